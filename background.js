@@ -1,460 +1,743 @@
-// --- Token Caching ---
-let cachedToken = null;
-let tokenExpiry = null;
+importScripts('providers.js', 'draftSchema.js', 'draftLinter.js', 'overlap.js', 'companyContext.js', 'templates.js', 'personas.js', 'senderContext.js', 'styleMemory.js', 'emailFinder.js', 'followups.js', 'outreach.js', 'gmailSync.js', 'gmail.js', 'mime.js', 'destinations.js', 'batch.js');
+
+// Angles used when the user asks for several variants of the same email
+const VARIANT_ANGLES = [
+    {
+        label: 'Career transition',
+        instruction: 'Hook on the most interesting transition in their career (a company switch, a role change, a pivot) and why it matters to the sender.'
+    },
+    {
+        label: 'Shared background',
+        instruction: 'Hook on the strongest piece of genuinely shared background between sender and recipient (same firm, same path, same problem space).'
+    },
+    {
+        label: 'Question-led',
+        instruction: 'Open with one sharp, specific question about a decision they made, then explain briefly why the sender is asking.'
+    }
+];
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'generateDraft') {
-        handleGenerateDraft(request.data)
+    if (request.action === 'createDraft') {
+        handleCreateDraft(request.data)
             .then(sendResponse)
             .catch((error) => sendResponse({ success: false, error: error.message }));
         return true; // Will respond asynchronously
     }
+
+    // mailto drafts: the page opens the link itself once it has put the text on the clipboard
+    if (request.action === 'openMailto') {
+        if (typeof request.url === 'string' && request.url.startsWith('mailto:')) chrome.tabs.create({ url: request.url });
+        return;
+    }
+
+    if (request.action === 'syncGmail') {
+        handleGmailSync({ interactive: true })
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'buildSenderContext') {
+        handleBuildSenderContext(request.profile).then(sendResponse);
+        return true;
+    }
+
+    if (request.action === 'startBatch') {
+        handleStartBatch(request.list, request.senderName).then(sendResponse);
+        return true;
+    }
+
+    if (request.action === 'cancelBatch') {
+        handleCancelBatch().then(sendResponse);
+        return true;
+    }
+
+    if (request.action === 'addGmailAccount' || request.action === 'removeGmailAccount') {
+        const task = request.action === 'addGmailAccount' ? addGmailAccount() : removeGmailAccount(request.email);
+        task.then((email) => sendResponse({ success: true, email }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
 });
 
-async function handleGenerateDraft(requestData) {
+// Generation streams over a long-lived port so the page can show the email as it is written.
+// Page -> worker: { action: 'start', data } | { action: 'cancel' }
+// Worker -> page: { type: 'delta', text } | { type: 'restart', status } | { type: 'done', result }
+// 'restart' means the streamed text so far is being replaced (e.g. by a repair pass).
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'generateDraft') return;
+
+    const controller = new AbortController();
+    let connected = true;
+    port.onDisconnect.addListener(() => {
+        connected = false;
+        controller.abort(); // Closing the modal or leaving the page cancels the request
+    });
+
+    const post = (message) => {
+        if (connected) port.postMessage(message);
+    };
+
+    port.onMessage.addListener(async (message) => {
+        if (message.action === 'cancel') {
+            controller.abort();
+            return;
+        }
+
+        if (message.action === 'start') {
+            const result = await handleGenerateDraft(message.data, {
+                signal: controller.signal,
+                onDelta: (text) => post({ type: 'delta', text }),
+                onRestart: (status) => post({ type: 'restart', status })
+            });
+            post({ type: 'done', result });
+        }
+    });
+});
+
+// stream: optional { signal, onDelta, onRestart } to cancel the request and receive text as it is generated
+async function handleGenerateDraft(requestData, stream = {}) {
     try {
         const profileData = requestData.profile;
         const specialInstructions = requestData.instructions || '';
         let dynamicSenderName = requestData.senderName;
         const includeQuestions = requestData.includeQuestions || false;
-
-        const {
-            openAiApiKey,
-            anthropicApiKey,
-            userContext,
-            senderName: storedSenderName,
-            model = 'gpt-5.2',
-            tone = 'Casual & Friendly',
-            exampleEmail,
-            financeRecruitingMode = false
-        } = await chrome.storage.local.get(['openAiApiKey', 'anthropicApiKey', 'userContext', 'senderName', 'model', 'tone', 'exampleEmail', 'financeRecruitingMode']);
-
-        const finalSenderName = dynamicSenderName || storedSenderName || 'Your Name';
-
-        if (!openAiApiKey && !anthropicApiKey) {
-            throw new Error('No API Key found. Please set at least one key in extension options.');
+        const variantCount = Math.min(Math.max(parseInt(requestData.variants) || 1, 1), VARIANT_ANGLES.length);
+
+        const persona = await resolvePersona(requestData.personaId);
+        const { model, targets, baseUrl } = await loadModelSettings();
+
+        // The modal's pick wins, then the persona's template, then the default template from options
+        const { templates, defaultTemplateId } = await loadTemplates();
+        const template = findTemplate(templates, requestData.templateId || persona.templateId || defaultTemplateId);
+
+        // Closest past emails of this persona from the style memory, on top of its fixed examples
+        const { styleMemoryEnabled = true } = await chrome.storage.local.get('styleMemoryEnabled');
+        const styleContext = { personaId: persona.id, templateId: template.id, templateName: template.name, tone: persona.tone, industry: inferIndustry(profileData) };
+        const styleExamples = styleMemoryEnabled ? selectStyleExamples(await loadStyleMemory(), styleContext) : [];
+
+        // What the sender and recipient verifiably share: the ones ticked in the modal, or every one the
+        // analyzer finds when the draft was started elsewhere (popup, batch)
+        const sharedConnections = Array.isArray(requestData.sharedConnections)
+            ? requestData.sharedConnections
+            : findOverlaps(persona, profileData);
+        const sharedConnectionsText = formatSharedConnections(sharedConnections);
+
+        // The recipient's company: its cached page and the user's notes. Ticking research in the modal reads
+        // the page first when it's missing or stale; unticking it leaves only the notes.
+        const company = recipientCompany(profileData);
+        let companyEntry = company ? await getCompanyContext(company.key) : null;
+        if (company && company.url && requestData.companyResearch === true && isCompanyContextStale(companyEntry)) {
+            if (stream.onRestart) stream.onRestart(`Researching ${company.name || 'the company'}...`);
+            try {
+                companyEntry = await saveCompanyContext(company, { ...await readCompanyPage(company.url), scrapedAt: Date.now() });
+            } catch (e) {
+                console.warn('Company research failed, drafting without it:', e);
+            }
         }
+        const companyContextText = formatCompanyContext(companyEntry, { includePage: requestData.companyResearch !== false });
+
+        const finalSenderName = persona.senderName || dynamicSenderName || 'Your Name';
         // Extract first name for signature
         const firstName = finalSenderName.split(' ')[0];
 
-        // Build Finance Recruiting specific instructions
-        const financeInstructions = financeRecruitingMode ? `
-      FINANCE RECRUITING MODE - FORMAL NETWORKING EMAIL:
-      
-      THE GOAL: Write an email SO thoughtful and insightful that the recipient feels almost COMPELLED to respond. They should think: "This person really did their homework. I want to talk to them."
-      
-      This email must be CONCISE but THOUGHTFUL (100-150 words). Be respectful of their time.
-      
-      BE EXTREMELY ANALYTICAL & THOUGHTFUL:
-      - **MAXIMIZE PROFILE USAGE**: You MUST use multiple specific details from their LinkedIn profile (specific deals, roles, transitions, universities, volunteer work). The more specific data points, the better.
-      - **CONNECT THE DOTS**: Do not just list shared facts. Analyze HOW your background connects to theirs. 
-      - **AVOID FLUFF**: Never say things like "I came across your profile because you are doing the work I am about to start..." -> This is low signal. Instead, jump straight into the specific connection.
-      - **BRIDGE THE GAP**: Example: "You went from [Company A] to [Company B] implies you prioritized [Skill X]. I am currently building [Skill X] at [My Company] and..."
-      
-      WARM CONNECTION RULE:
-      - If the "SENDER CONTEXT" or "SPECIAL INSTRUCTIONS" implies we already know each other (e.g. mentor/mentee, former colleagues):
-        - DO NOT formally introduce yourself (e.g. "My name is...").
-        - DO NOT explicitly explain the relationship like a robot (e.g. "I was your mentee...").
-        - DO act like an old friend reconnecting.
-        - BAD: "Pranav here -- I was one of your BAP IBD mentees back in sophomore year."
-        - GOOD: "It's been a while since BAP IBD! Hope you've been well."
-      
-      STRUCTURE:
-      1. INTRODUCTION: Concisely state your name, role, and background (1 sentence).
-      2. CONNECTION: Connect your background to theirs using SPECIFIC details from their profile. Why does their specific path matter to you? Be analytical.
-      ${includeQuestions ? `3. TRANSITION & QUESTIONS:
-         - Write a transition sentence: "I wanted to reach out and ask for your advice on a few questions:"
-         - Then list 2-3 thoughtful questions as a COMPACT NUMBERED LIST.
-         - IMPORTANT: Do NOT put blank lines between questions.` : '3. Ask to connect briefly to learn from their experience.'}
-      ${includeQuestions ? '4' : '4'}. CLOSING: Express openness to a call but acknowledge they may be busy. Thank them sincerely.
-      
-      SUBJECT LINE:
-      - Formal and direct (e.g., "Incoming IB Analyst Seeking Advice", "Question from a Fellow [School] Alum")
-      - Never casual or clickbait-y
-      
-      TONE:
-      - Professional and respectful, not casual
-      - Slightly deferential but not sycophantic
-      - Demonstrate intellectual curiosity and genuine interest in THEIR perspective
-      - Show you've done your research
-      
-      ${includeQuestions ? `QUESTION GUIDELINES:
-      - **CRITICAL RELEVANCE BAR**: Only include questions if the recipient has **UNIQUE INSIGHT** (e.g., they made a specific transition you are considering) AND it ties **STRONGLY** to your background.
-      - **NO BLACK BOX QUESTIONS**: Do not ask "what is it like" questions. Ask about *decisions* and *trade-offs*.
-      - **INTERSECTION IS KEY**: The question must sit at the intersection of THEIR unique path and YOUR specific context.
-      - **BE CONCISE**: Questions must be short and direct. Avoid wordy setups.
-      - If you cannot find a *highly pertinent* question based on the data, SKIP the questions and just ask for a chat.
-      
-      GOLD STANDARD QUESTION EXAMPLES (Use these as inspiration only - adapt to their specific background):
-      ${(() => {
-                    const pool = [
-
-                        "At what point did you feel the job shift from 'executing work' to 'owning outcomes,' and what triggered that shift?",
-                        "Looking back, what behaviors mattered most for being seen as 'reliable' early on versus 'trusted' later?",
-                        "How did you think about choosing industry coverage versus a product group early on, and how reversible did that decision feel?",
-                        "In practice, how much does deep industry knowledge really compound versus being excellent at a core product like M&A or LevFin?",
-                        "For someone starting in coverage, what’s the fastest way to build real industry judgment versus just learning the buzzwords?",
-                        "Did you ever feel pigeonholed by your group choice, and if so, how did you manage that internally?",
-                        "How do strong coverage bankers differentiate themselves once product execution becomes table stakes?"
-                    ];
-                    // Provide 3 random examples to keep the model fresh
-                    const shuffled = pool.sort(() => 0.5 - Math.random());
-                    return shuffled.slice(0, 3).map(q => `- "${q}"`).join('\n      ');
-                })()}
-      
-      - Good: "How do you think about impact within your career?" or "Looking back, what skills would you focus on improving during [stage]?"
-      - Good: "What do you think was overrated during [path]? I feel like there's a lot of 'conventional wisdom' that isn't always the best advice."
-      - Bad: "What's your take on current deal flow?" or "How do you evaluate companies?" (too job-specific)
-      - Avoid generic questions like "Any advice?" or "How did you get into finance?"
-      ` : ''}
-      TIMING RULE:
-      - Do NOT mention that someone "recently started" or "just joined" unless they started less than 1 year ago
-      - If start date is unclear, do not reference recency at all
-      
-      FORMATTING:
-      - Use proper paragraph breaks between sections
-      ${includeQuestions ? `- QUESTIONS MUST BE FORMATTED AS A COMPACT NUMBERED LIST:
-        1. Question one...
-        2. Question two...
-        3. Question three...
-        (Do NOT use blank lines between items)` : ''}
-      - Sign off with "Best," and first name only
-        ` : '';
-
-        // Build Question Mode instructions
-        const questionInstructions = includeQuestions ? `
-      QUESTION MODE ENABLED:
-      Include 1-3 thoughtful, high-quality questions in the email.
-      
-      QUESTION RULES:
-      - Questions should show genuine intellectual curiosity
-      - They should be specific to THIS person's unique journey/decisions
-      - They should be questions YOU actually want answered
-      - Frame the email around asking these questions
-      - End with "would love to hop on a call to discuss" or similar
-      
-      QUESTION EXAMPLES (adapt to this person):
-      - "How did you think about the tradeoff between stability at [Big Corp] vs. the upside at [Startup]?"
-      - "What surprised you most about the transition from [Role A] to [Role B]?"
-      - "I'm curious how you balanced [specific challenge] -- any frameworks that helped?"
-      
-      BAD QUESTIONS (avoid):
-      - "Can I pick your brain?" (too vague)
-      - "What do you do?" (lazy, they already wrote it)
-      - "Any advice?" (too broad)
-        ` : '';
-
-        const prompt = `
-      You are a human writing a genuine, personal cold email. NOT a marketer. NOT a salesperson. Just a real person reaching out.
-
-      RECIPIENT:
-      Name: ${profileData.name}
-      Headline: ${profileData.headline}
-      About: ${profileData.about}
-      Recent Experience: ${profileData.experience}
-
-      SENDER CONTEXT:
-      ${userContext || 'Not provided'}
-
-      ${specialInstructions ? `SPECIAL INSTRUCTIONS:\n${specialInstructions}` : ''}
-
-      ${exampleEmail ? `STYLE REFERENCE (match the vibe, not the words):\n${exampleEmail}` : ''}
-
-      ${financeInstructions}
-
-      ${questionInstructions}
-
-      TONE: ${financeRecruitingMode ? 'Professional & Formal' : tone}
-      GOAL: ${financeRecruitingMode ? 'Get career advice and potentially a call' : 'Get a 15-minute intro call'}.
-
-      ALWAYS WRITE LIKE A HUMAN:
-      - No corporate jargon or buzzwords
-      - Sound natural, not robotic
-
-      ${financeRecruitingMode ? '' : `CASUAL MODE RULES:
-      - Keep sentences short and punchy
-      - Sound like you're texting a professional friend
-
-      FIND THE CORE INSIGHT:
-      Think: "What would make this person actually WANT to grab coffee with me?"
-      - Look for shared struggles, not just shared interests
-      - Find the tension or inflection point in their career
-      - Connect YOUR journey to THEIR journey at a deeper level
-      - The goal is mutual curiosity, not a sales pitch
-
-      EXAMPLES OF DEPTH:
-
-         SURFACE LEVEL (BAD):
-         "I saw you work at Stripe. I'm interested in fintech too."
-
-         BETTER:
-         "Your move from Goldman to that Series A caught my eye -- I'm wrestling with a similar decision."
-
-         BEST (INSIGHT-DRIVEN):
-         "Reading your post about leaving banking for startups hit home. I've been at JPM for 3 years and the 'golden handcuffs' debate keeps me up at night. Would love to hear how you thought through the math vs. the mission tradeoff."
-
-         Another example:
-         SURFACE: "You went to Wharton and work in PE."
-         INSIGHT: "Your path from Wharton to ops at that growth fund is uncommon -- most of your classmates probably went portco or banking. I'm curious what made you bet on the operator side early."
-      `}
-
-      4. SIGNATURE:
-         Best,
-         ${firstName}
-
-      5. SUBJECT LINE:
-         ${financeRecruitingMode ? '- Formal and direct (e.g., "Incoming IB Analyst Seeking Advice")' : '- Reference the specific insight, not generic interest'}
-         - Match the tone
-         - Never use "Quick Question", "Reaching Out", or "Coffee?"
-
-      6. FORMATTING:
-         - ${financeRecruitingMode ? '100-150 words' : 'Under 100 words'}
-         - NEVER use special characters like curly quotes, em-dashes, or fancy apostrophes
-         - Use only standard ASCII: straight quotes ('), double hyphens (--)
-         - Return JSON: {"subject": "...", "body": "..."}
-
-      7. ALMA MATER RULE:
-         - NEVER mention the recipient's college, university, or school unless the sender (user context) attended the SAME institution
-         - Only reference shared alma mater as a connection point, never just theirs
-    `;
-
-        let content;
-
-        // --- ANTHROPIC / CLAUDE API CALL ---
-        if (model.startsWith('claude-')) {
-            if (!anthropicApiKey) {
-                throw new Error('Claude API Key missing. Please set it in options.');
-            }
-
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'x-api-key': anthropicApiKey,
-                    'anthropic-version': '2023-06-01',
-                    'content-type': 'application/json',
-                    'anthropic-dangerous-direct-browser-access': 'true' // Requesting from extension
+        // Build Variants instructions
+        const variantInstructions = variantCount > 1 ? `VARIANTS MODE:
+Write ${variantCount} DIFFERENT versions of this email. Each version must use a different angle:
+${VARIANT_ANGLES.slice(0, variantCount).map((angle, i) => `${i + 1}. ${angle.label.toUpperCase()}: ${angle.instruction}`).join('\n')}
+Every version must follow ALL of the rules above on its own.` : '';
+
+        const outputFormat = variantCount > 1
+            ? `{"drafts": [${VARIANT_ANGLES.slice(0, variantCount).map(angle => `{"angle": "${angle.label}", "subject": "...", "body": "...", "questions": [...] or null, "rationale": "..."}`).join(', ')}]}`
+            : '{"subject": "...", "body": "...", "questions": [...] or null, "rationale": "..."}';
+
+        const prompt = [
+            renderTemplate(template.prompt, {
+                recipient: { name: profileData.name, headline: profileData.headline, profile: formatProfileForPrompt(profileData) },
+                sender: {
+                    name: finalSenderName,
+                    firstName,
+                    signature: persona.signature || `Best,\n${firstName}`,
+                    context: persona.context || 'Not provided'
                 },
-                body: JSON.stringify({
-                    model: model,
-                    max_tokens: 1024,
-                    messages: [{ role: "user", content: prompt }],
-                    system: "You are a helpful assistant that outputs only JSON."
-                })
+                companyContext: companyContextText,
+                sharedConnections: sharedConnectionsText,
+                instructions: specialInstructions,
+                styleReference: [...persona.exampleEmails, ...styleExamples.map(formatStyleExample)].join('\n\n---\n\n'),
+                tone: persona.tone,
+                includeQuestions,
+                questionExamples: pickQuestionExamples()
+            }).trim(),
+            // Custom templates written before these sections existed
+            /\{\{#\s*companyContext\s*\}\}/.test(template.prompt) ? '' : renderTemplate(COMPANY_CONTEXT_SECTION, { companyContext: companyContextText }),
+            /\{\{#\s*sharedConnections\s*\}\}/.test(template.prompt) ? '' : renderTemplate(SHARED_CONNECTIONS_SECTION, { sharedConnections: sharedConnectionsText }),
+            variantInstructions,
+            `Return JSON: ${outputFormat}`
+        ].filter(Boolean).join('\n\n');
+
+        // Everything the linter needs to hold the draft to the prompt's hard rules
+        const lintContext = {
+            firstName,
+            signature: persona.signature || '',
+            minWords: template.minWords || null,
+            maxWords: template.maxWords || null,
+            recipientSchools: (profileData.education || []).map(e => e.school),
+            sharedSchools: sharedConnections.filter(overlap => overlap.kind === 'school').map(overlap => overlap.name),
+            senderContext: persona.context || ''
+        };
+
+        // Generate, validate the shape, lint (auto-fixing what we can) and re-prompt with whatever
+        // is still wrong until the output is clean or we run out of repair attempts
+        const messages = [{ role: 'user', content: prompt }];
+        let result;
+        for (let attempt = 0; ; attempt++) {
+            const { content, model: attemptModel } = await callWithFallback(targets, {
+                system: 'You are a helpful assistant that outputs only JSON.',
+                messages,
+                baseUrl,
+                maxTokens: 1024 * variantCount,
+                json: true,
+                schema: buildDraftSchema(variantCount),
+                signal: stream.signal,
+                onDelta: stream.onDelta
             });
 
-            const data = await response.json();
-            if (data.error) {
-                throw new Error(data.error.message);
-            }
-            content = data.content[0].text;
+            result = { ...validateDraftOutput(content, variantCount), model: attemptModel };
+            result.drafts = result.drafts.map(draft => {
+                const { draft: fixed, report } = lintDraft(draft, { ...lintContext, fix: true });
+                return { ...fixed, lint: report };
+            });
+
+            const problems = [
+                ...result.errors,
+                ...result.drafts.flatMap(draft => draft.lint.violations.map(v => v.message))
+            ];
+            if (problems.length === 0 || attempt >= MAX_REPAIR_ATTEMPTS) break;
+
+            console.warn('Draft failed validation, asking the model to repair it:', problems);
+            if (stream.onRestart) stream.onRestart('Fixing issues in the draft...');
+            messages.push(
+                { role: 'assistant', content },
+                { role: 'user', content: buildRepairPrompt(problems, variantCount) }
+            );
         }
-        // --- OPENAI API CALL ---
-        else {
-            if (!openAiApiKey) {
-                throw new Error('OpenAI API Key missing. Please set it in options.');
-            }
 
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${openAiApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: model,
-                    messages: [{ role: "user", content: prompt }],
-                    response_format: { type: "json_object" }
-                })
-            });
+        if (result.drafts.length === 0) {
+            throw new Error(`The model did not return a usable draft (${result.errors.join(' ')}). Please try again.`);
+        }
 
-            const data = await response.json();
-            if (data.error) {
-                throw new Error(data.error.message);
-            }
-            content = data.choices[0].message.content;
+        const emailDrafts = result.drafts;
+        const usedModel = result.model;
+
+        // --- EMAIL PREDICTION ---
+        // Ranked guesses from the company domain table; the user picks one in the preview
+        const emailCandidates = profileData.name
+            ? guessEmails(profileData.name, getCurrentCompany(profileData), await loadCompanyDomains())
+            : [];
+
+        // Hand the drafts back to the page for review; nothing reaches Gmail until the user approves one
+        return {
+            success: true,
+            model: usedModel,
+            usedFallback: usedModel !== model,
+            lintContext,
+            templateName: template.name,
+            personaName: persona.name,
+            gmailAccount: persona.gmailAccount || null,
+            styleContext,
+            styleExampleCount: styleExamples.length,
+            emailCandidates,
+            drafts: emailDrafts.map(draft => ({
+                to: emailCandidates.length > 0 ? emailCandidates[0].email : '',
+                angle: draft.angle || '',
+                subject: draft.subject,
+                body: draft.body,
+                questions: draft.questions || [],
+                rationale: draft.rationale || '',
+                lint: draft.lint
+            }))
+        };
+
+    } catch (err) {
+        if (err.cancelled) {
+            return { success: false, cancelled: true };
         }
+        console.error('Error generating draft:', err);
+        // Batch drafting pauses on rate limits instead of failing the profile
+        return { success: false, error: err.message, rateLimited: err.status === 429, retryAfterMs: err.retryAfterMs || null };
+    }
+}
 
-        let emailDraft;
-        try {
-            // Remove markdown code blocks if present (common with Claude)
-            let cleanContent = content.trim();
-            if (cleanContent.startsWith('```json')) {
-                cleanContent = cleanContent.replace(/^```json/, '').replace(/```$/, '');
-            } else if (cleanContent.startsWith('```')) {
-                cleanContent = cleanContent.replace(/^```/, '').replace(/```$/, '');
-            }
-            emailDraft = JSON.parse(cleanContent);
-        } catch (e) {
-            console.warn('JSON parsing failed, using raw content:', e);
-            emailDraft = { subject: "Intro", body: content };
+// How many times a draft that fails validation is sent back to the model
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Default model on the other provider when the user hasn't picked a fallback model
+const DEFAULT_FALLBACK_MODELS = {
+    openai: 'claude-sonnet-4-5',
+    anthropic: 'gpt-5.2'
+};
+
+// Model, provider and fallback settings from options.
+// Returns { model, targets, baseUrl } ready for callWithFallback; throws when no key is configured.
+async function loadModelSettings() {
+    const {
+        openAiApiKey,
+        anthropicApiKey,
+        model = 'gpt-5.2',
+        provider = 'auto',
+        customBaseUrl = '',
+        customApiKey = '',
+        fallbackEnabled = true,
+        fallbackModel = ''
+    } = await chrome.storage.local.get(['openAiApiKey', 'anthropicApiKey', 'model', 'provider', 'customBaseUrl', 'customApiKey', 'fallbackEnabled', 'fallbackModel']);
+
+    const providerId = resolveProviderId(model, provider);
+    if (providerId !== 'custom' && !openAiApiKey && !anthropicApiKey) {
+        throw new Error('No API Key found. Please set at least one key in extension options.');
+    }
+
+    const targets = buildModelTargets({
+        model, providerId, fallbackEnabled, fallbackModel,
+        apiKeys: { openai: openAiApiKey, anthropic: anthropicApiKey, custom: customApiKey }
+    });
+    return { model, targets, baseUrl: customBaseUrl };
+}
+
+// Primary model first, then the other provider's model when fallback is on and both keys are stored
+function buildModelTargets({ model, providerId, fallbackEnabled, fallbackModel, apiKeys }) {
+    const targets = [{ providerId, model, apiKey: apiKeys[providerId] }];
+
+    const otherProviderId = { openai: 'anthropic', anthropic: 'openai' }[providerId];
+    if (fallbackEnabled && otherProviderId && apiKeys.openai && apiKeys.anthropic) {
+        targets.push({
+            providerId: otherProviderId,
+            model: fallbackModel || DEFAULT_FALLBACK_MODELS[providerId],
+            apiKey: apiKeys[otherProviderId]
+        });
+    }
+
+    return targets;
+}
+
+// Formats the scraped profile as the RECIPIENT block of the prompt.
+// Older saved profiles only carry the flat "experience" string, so every structured section is optional.
+function formatProfileForPrompt(profile) {
+    const lines = [
+        `Name: ${profile.name}`,
+        `Headline: ${profile.headline}`
+    ];
+    if (profile.location) lines.push(`Location: ${profile.location}`);
+    lines.push(`About: ${profile.about || 'Not provided'}`);
+
+    const section = (title, entries, format) => {
+        if (!entries || entries.length === 0) return;
+        lines.push(`${title}:`);
+        entries.forEach(entry => lines.push(`- ${format(entry)}`));
+    };
+
+    if (profile.experiences && profile.experiences.length > 0) {
+        section('Experience (most recent first)', profile.experiences, e => {
+            const when = [e.dates, e.duration].filter(Boolean).join(', ');
+            return `${e.title} at ${e.company}${when ? ` (${when})` : ''}${e.description ? `: ${e.description}` : ''}`;
+        });
+    } else {
+        lines.push(`Recent Experience: ${profile.experience}`);
+    }
+
+    section('Education', profile.education, e => {
+        const degree = e.degree ? `, ${e.degree}` : '';
+        const dates = e.dates ? ` (${e.dates})` : '';
+        const activities = e.activities ? `. Activities: ${e.activities}` : '';
+        return `${e.school}${degree}${dates}${activities}`;
+    });
+    section('Certifications', profile.certifications, e => [e.name, e.issuer, e.issued].filter(Boolean).join(', '));
+    section('Volunteer Work', profile.volunteer, e => {
+        const dates = e.dates ? ` (${e.dates})` : '';
+        return `${e.role} at ${e.organization}${dates}${e.description ? `: ${e.description}` : ''}`;
+    });
+    if (profile.skills && profile.skills.length > 0) {
+        lines.push(`Skills: ${profile.skills.join(', ')}`);
+    }
+    section('Recent Activity / Posts', profile.activity, post => `"${post}"`);
+
+    return lines.join('\n');
+}
+
+// Follow-up turn sent when a draft fails validation
+function buildRepairPrompt(problems, variantCount) {
+    return `Your previous reply broke these rules:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Rewrite it so that it fixes every problem above while keeping the same content and angle${variantCount > 1 ? 's' : ''}.
+Return ONLY the corrected JSON in the same format.`;
+}
+
+// Hands a draft the user approved in the preview modal to the destination picked in options and logs it
+// for the contact ({ name, headline, url }). With `followUp` set a follow-up sequence is started for it.
+// copyText in the response is for the page to put on the clipboard (mailto destination). That write has to
+// happen while the page still has focus, so a draft with copyText isn't opened here: the page opens openUrl
+// with openMailto once the clipboard is done.
+// openDraft: false keeps batch drafting from opening a tab per draft.
+// style: the generation's styleContext plus { source, edited }, to remember the email in the style memory.
+async function handleCreateDraft(draftData) {
+    try {
+        const { to, cc, bcc, subject, body, account, attachResume, contact, senderName, followUp, model, template, style, openDraft = true } = draftData;
+
+        if (!subject && !body) {
+            throw new Error('Draft is empty.');
         }
 
-        // --- EMAIL PREDICTION LOGIC ---
-        let predictedEmail = null;
-        if (financeRecruitingMode && profileData.experience && profileData.name) {
-            const FINANCE_DOMAINS = {
-                "Goldman Sachs": { domain: "gs.com", format: "first.last" },
-                "Morgan Stanley": { domain: "morganstanley.com", format: "first.last" },
-                "J.P. Morgan": { domain: "jpmorgan.com", format: "first.last" },
-                "Bank of America": { domain: "bofa.com", format: "first.last" },
-                "Citi": { domain: "citi.com", format: "first.last" },
-                "Barclays": { domain: "barclays.com", format: "first.last" },
-                "UBS": { domain: "ubs.com", format: "first.last" },
-                "Deutsche Bank": { domain: "db.com", format: "first.last" },
-                "Evercore": { domain: "evercore.com", format: "first.last" },
-                "Centerview": { domain: "centerview.com", format: "flast" },
-                "Lazard": { domain: "lazard.com", format: "first.last" },
-                "PJT Partners": { domain: "pjtpartners.com", format: "first.last" },
-                "Moelis & Co.": { domain: "moelis.com", format: "first.last" },
-                "Qatalyst Partners": { domain: "qatalyst.com", format: "first.last" },
-                "Guggenheim": { domain: "guggenheimpartners.com", format: "first.last" },
-                "Perella Weinberg": { domain: "pwpartners.com", format: "flast" },
-                "Jefferies": { domain: "jefferies.com", format: "flast" },
-                "Houlihan Lokey": { domain: "hl.com", format: "flast" },
-                "William Blair": { domain: "williamblair.com", format: "flast" },
-                "RBC Capital Mkts": { domain: "rbccm.com", format: "first.last" },
-                "RBC": { domain: "rbccm.com", format: "first.last" },
-                "BMO Capital Mkts": { domain: "bmo.com", format: "first.last" },
-                "BMO": { domain: "bmo.com", format: "first.last" },
-                "Piper Sandler": { domain: "psc.com", format: "first.last" },
-                "Raymond James": { domain: "raymondjames.com", format: "first.last" },
-                "Rothschild & Co": { domain: "rothschildandco.com", format: "first.last" },
-                "Stifel": { domain: "stifel.com", format: "lastf" },
-                "Wells Fargo": { domain: "wellsfargo.com", format: "first.last" }
-            };
-
-            const currentCompany = profileData.experience.split('\n')[0].split(' at ')[1]; // Heuristic to get company
-            if (currentCompany) {
-                // Find matching company
-                const companyKey = Object.keys(FINANCE_DOMAINS).find(key =>
-                    currentCompany.toLowerCase().includes(key.toLowerCase()) ||
-                    key.toLowerCase().includes(currentCompany.toLowerCase())
-                );
-
-                if (companyKey) {
-                    const { domain, format } = FINANCE_DOMAINS[companyKey];
-                    const nameParts = profileData.name.toLowerCase().split(' ').filter(p => !p.includes('.')); // Remove titles like "Mr." if simple split
-                    // Basic name parsing (first last)
-                    if (nameParts.length >= 2) {
-                        const first = nameParts[0].replace(/[^a-z]/g, '');
-                        const last = nameParts[nameParts.length - 1].replace(/[^a-z]/g, '');
-
-                        if (format === 'first.last') predictedEmail = `${first}.${last}@${domain}xxxx`;
-                        else if (format === 'flast') predictedEmail = `${first[0]}${last}@${domain}xxxx`;
-                        else if (format === 'lastf') predictedEmail = `${last}${first[0]}@${domain}xxxx`;
-                    }
-                }
-            }
+        // Reply-To, the HTML copy and the resume are set once in options
+        const { replyToAddress = '', htmlEmail = false, resumeAttachment = null } =
+            await chrome.storage.local.get(['replyToAddress', 'htmlEmail', 'resumeAttachment']);
+        const attachments = attachResume && resumeAttachment ? [resumeAttachment] : [];
+
+        const { id: destinationId, destination } = await loadDraftDestination();
+        const created = await destination.createDraft({
+            to, cc, bcc, subject, body, account, attachments,
+            replyTo: replyToAddress,
+            html: htmlEmail,
+            thread: null
+        });
+
+        if (openDraft && !created.copyText) chrome.tabs.create({ url: created.openUrl });
+
+        const ids = {
+            destination: destinationId,
+            account: created.account,
+            draftId: created.draftId,
+            messageId: created.messageId,
+            threadId: created.threadId
+        };
+        await recordOutreach(contact, { subject, body, to, cc, model, template, ...ids });
+        if (style) {
+            await addStyleExample({
+                ...style,
+                subject,
+                body,
+                recipient: contact ? { name: contact.name || '', headline: contact.headline || '' } : null,
+                destination: ids.destination,
+                account: ids.account,
+                threadId: ids.threadId
+            });
+        }
+        if (followUp && contact) {
+            await startFollowUpSequence({ to, cc, subject, body, ...ids }, { ...contact, senderName });
         }
 
-        // --- GMAIL API INTEGRATION ---
-        const token = await getAuthToken();
-        const mimeMessage = createMimeMessage(emailDraft.subject, emailDraft.body, predictedEmail);
-        const draft = await createDraft(token, mimeMessage);
+        return { success: true, ...ids, openUrl: created.openUrl, copyText: created.copyText || null };
 
-        const gmailUrl = `https://mail.google.com/mail/u/0/#drafts?compose=${draft.message.id}`;
-        chrome.tabs.create({ url: gmailUrl });
+    } catch (err) {
+        console.error('Error creating draft:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+// --- GMAIL SYNC ---
+// With sync on, an alarm periodically checks the threads of our drafts for sent mail and replies.
+
+async function handleGmailSync({ interactive = false } = {}) {
+    try {
+        const { gmailSyncEnabled = false } = await chrome.storage.local.get('gmailSyncEnabled');
+        if (!gmailSyncEnabled) {
+            throw new Error('Gmail sync is turned off. Turn it on in options.');
+        }
 
-        return { success: true };
+        const { defaultAccount } = await loadGmailAccounts();
+        const getApi = (email) => createGmailApi((path) => gmailRequest(path, { email, interactive }));
+        const updates = await syncOutreachWithGmail(getApi, defaultAccount);
+        return { success: true, updates };
 
     } catch (err) {
-        console.error('Error generating draft:', err);
+        console.warn('Gmail sync failed:', err.message);
         return { success: false, error: err.message };
     }
 }
 
-async function getAuthToken() {
-    // Check persistent cache first
-    const { gmailToken, gmailTokenExpiry } = await chrome.storage.local.get(['gmailToken', 'gmailTokenExpiry']);
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === GMAIL_SYNC_ALARM) handleGmailSync();
+});
 
-    if (gmailToken && gmailTokenExpiry && Date.now() < gmailTokenExpiry) {
-        console.log('Using cached Gmail token');
-        return gmailToken;
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.gmailSyncEnabled) {
+        scheduleGmailSync(changes.gmailSyncEnabled.newValue);
     }
+});
 
-    console.log('Fetching new Gmail token...');
-    return new Promise((resolve, reject) => {
-        const manifest = chrome.runtime.getManifest();
-        const clientId = manifest.oauth2.client_id;
-        const scopes = manifest.oauth2.scopes.join(' ');
-
-        const redirectUri = chrome.identity.getRedirectURL();
-        const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
-            `client_id=${clientId}` +
-            `&response_type=token` +
-            `&redirect_uri=${encodeURIComponent(redirectUri)}` +
-            `&scope=${encodeURIComponent(scopes)}`;
-
-        chrome.identity.launchWebAuthFlow(
-            { url: authUrl, interactive: true },
-            async (responseUrl) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                    return;
-                }
-
-                const url = new URL(responseUrl);
-                const params = new URLSearchParams(url.hash.substring(1));
-                const accessToken = params.get('access_token');
-                const expiresIn = params.get('expires_in');
-
-                if (accessToken) {
-                    // Persist to storage
-                    const expiry = Date.now() + ((parseInt(expiresIn) - 60) * 1000);
-                    await chrome.storage.local.set({
-                        gmailToken: accessToken,
-                        gmailTokenExpiry: expiry
-                    });
-                    resolve(accessToken);
-                } else {
-                    reject(new Error('No access token in response'));
-                }
-            }
-        );
+// --- FOLLOW-UPS ---
+// Each sequence step has an alarm; when it fires the user gets a notification offering to draft the follow-up.
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    const parsed = parseFollowUpAlarmName(alarm.name);
+    if (!parsed) return;
+
+    const sequences = await loadFollowUpSequences();
+    const sequence = sequences[parsed.sequenceId];
+    const step = sequence && sequence.steps[parsed.stepIndex];
+    if (!step || sequence.stopped || step.status !== 'pending') return;
+
+    step.status = 'due';
+    await saveFollowUpSequence(sequence);
+
+    chrome.notifications.create(alarm.name, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: `${step.label} due: ${sequence.contact.name || sequence.original.to || 'your cold email'}`,
+        message: `No follow-up yet on "${sequence.original.subject}".`,
+        buttons: [{ title: 'Draft follow-up' }, { title: 'Stop sequence' }],
+        requireInteraction: true
     });
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    const parsed = parseFollowUpAlarmName(notificationId);
+    if (!parsed) return;
+    chrome.notifications.clear(notificationId);
+
+    if (buttonIndex === 1) {
+        await stopFollowUpSequence(parsed.sequenceId);
+        return;
+    }
+
+    const result = await handleGenerateFollowUp(parsed.sequenceId, parsed.stepIndex);
+    if (!result.success) {
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: 'Could not draft the follow-up',
+            message: result.error
+        });
+    }
+});
+
+// Writes follow-up `stepIndex` of a sequence and drafts it where the original went, in the same thread
+async function handleGenerateFollowUp(sequenceId, stepIndex) {
+    try {
+        const sequences = await loadFollowUpSequences();
+        const sequence = sequences[sequenceId];
+        if (!sequence || !sequence.steps[stepIndex]) {
+            throw new Error('This follow-up no longer exists.');
+        }
+
+        // Follow-ups are written as the persona the first email was (sequences from before personas get the default)
+        const persona = await resolvePersona(sequence.contact.personaId);
+        const { targets, baseUrl } = await loadModelSettings();
+        const firstName = (persona.senderName || sequence.contact.senderName || 'Your Name').split(' ')[0];
+
+        const { content, model: usedModel } = await callWithFallback(targets, {
+            system: 'You are a helpful assistant that outputs only JSON.',
+            messages: [{ role: 'user', content: buildFollowUpPrompt(sequence, stepIndex, { senderContext: persona.context, firstName }) }],
+            baseUrl,
+            json: true,
+            schema: buildDraftSchema(1)
+        });
+
+        const { drafts, errors } = validateDraftOutput(content, 1);
+        if (drafts.length === 0) {
+            throw new Error(`The model did not return a usable follow-up (${errors.join(' ')}).`);
+        }
+        const { draft } = lintDraft(drafts[0], { fix: true, firstName, signature: persona.signature });
+
+        // Gmail only threads a draft when the subject matches the original
+        const subject = `Re: ${sequence.original.subject.replace(/^re:\s*/i, '')}`;
+
+        // Sequences from before destinations existed were all Gmail
+        const { id: destinationId, destination } = await loadDraftDestination(sequence.original.destination || 'gmail');
+        const { replyToAddress = '', htmlEmail = false } = await chrome.storage.local.get(['replyToAddress', 'htmlEmail']);
+        const created = await destination.createDraft({
+            to: sequence.original.to,
+            cc: sequence.original.cc || '',
+            subject,
+            body: draft.body,
+            replyTo: replyToAddress,
+            html: htmlEmail,
+            account: sequence.original.account || null,
+            thread: sequence.original.messageId
+                ? { messageId: sequence.original.messageId, threadId: sequence.original.threadId }
+                : null
+        });
+
+        sequence.steps[stepIndex].status = 'drafted';
+        sequence.steps[stepIndex].draftId = created.draftId;
+        await saveFollowUpSequence(sequence);
+        await recordOutreach(sequence.contact, {
+            kind: 'follow-up',
+            subject,
+            body: draft.body,
+            to: sequence.original.to,
+            model: usedModel,
+            template: sequence.steps[stepIndex].label,
+            destination: destinationId,
+            account: created.account,
+            draftId: created.draftId,
+            messageId: created.messageId,
+            threadId: created.threadId
+        });
+
+        // Started from a notification, so there's no page here to put copyText on the clipboard; it goes back with the result
+        chrome.tabs.create({ url: created.openUrl });
+        return { success: true, draftId: created.draftId, openUrl: created.openUrl, copyText: created.copyText || null };
+
+    } catch (err) {
+        console.error('Error generating follow-up:', err);
+        return { success: false, error: err.message };
+    }
 }
 
-function createMimeMessage(subject, body, toEmail) {
-    const nl = '\r\n';
-    let emailContent = [];
+// --- SENDER CONTEXT BUILDER ---
+// "Use as my sender context" on the user's own profile. Only writes the text; the page shows it
+// against the persona's current context and stores it once the user accepts.
+async function handleBuildSenderContext(profile) {
+    try {
+        if (!profile || !profile.name) {
+            throw new Error('Could not read your profile. Scroll through it once and try again.');
+        }
+
+        const { targets, baseUrl } = await loadModelSettings();
+        const { content, model } = await callWithFallback(targets, {
+            system: SENDER_CONTEXT_PROMPT,
+            messages: [{ role: 'user', content: buildSenderContextMessage(formatProfileForPrompt(profile)) }],
+            baseUrl,
+            maxTokens: 1500
+        });
+
+        const context = content.trim();
+        if (!context) throw new Error('The model returned an empty sender profile. Please try again.');
+        return { success: true, context, words: countContextWords(context), model };
 
-    if (toEmail) {
-        emailContent.push(`To: ${toEmail}`);
+    } catch (err) {
+        console.error('Error building sender context:', err);
+        return { success: false, error: err.message };
     }
+}
 
-    emailContent.push(`Subject: ${subject}`);
-    emailContent.push('Content-Type: text/plain; charset="UTF-8"');
-    emailContent.push('MIME-Version: 1.0');
-    emailContent.push('');
-    emailContent.push(body);
+// --- COMPANY RESEARCH ---
+// Reads a company's LinkedIn page in an inactive tab that the content script scrapes (scrapeCompany).
+
+const COMPANY_TAB_TIMEOUT_MS = 20000;
+
+// Resolves when the tab finishes loading, or after the timeout (whatever rendered is read then)
+const waitForTabLoad = (tabId) => new Promise((resolve) => {
+    const listener = (id, info) => {
+        if (id === tabId && info.status === 'complete') done();
+    };
+    const timer = setTimeout(() => done(), COMPANY_TAB_TIMEOUT_MS);
+    const done = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+});
 
-    const joinedContent = emailContent.join(nl);
+// The content script may not be listening yet right after the load; null when it never answers
+async function askCompanyTab(tabId, wantPosts) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            return await chrome.tabs.sendMessage(tabId, { action: 'scrapeCompany', wantPosts });
+        } catch (e) {
+            await sleep(1000);
+        }
+    }
+    return null;
+}
 
-    return btoa(unescape(encodeURIComponent(joinedContent)))
-        .replace(/\+/g, '-')
-        .replace(/\//g, '_')
-        .replace(/=+$/, '');
+// The About tab has the details, the Posts tab the recent posts. The tab is always closed again.
+async function readCompanyPage(url) {
+    const tab = await chrome.tabs.create({ url: `${url}about/`, active: false });
+    try {
+        await waitForTabLoad(tab.id);
+        const about = await askCompanyTab(tab.id, false);
+        await chrome.tabs.update(tab.id, { url: `${url}posts/` });
+        await waitForTabLoad(tab.id);
+        const posts = await askCompanyTab(tab.id, true);
+
+        if (!about && !posts) throw new Error('Could not read the company page.');
+        return { ...about, posts: posts ? posts.posts : [] };
+    } finally {
+        chrome.tabs.remove(tab.id).catch(() => {});
+    }
 }
 
+// --- BATCH DRAFTING ---
+// "Draft all" on a saved list. Progress is written to storage (batchJob) for the popup.
 
+let activeBatchJob = null; // The job object the running workers share, so a cancel reaches them
 
-async function createDraft(token, rawMessage) {
-    const response = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/drafts', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            message: {
-                raw: rawMessage
+async function startBatchRun(job) {
+    activeBatchJob = job;
+    chrome.alarms.create(BATCH_KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+
+    try {
+        await runBatchJob(job, {
+            generate: (profile) => handleGenerateDraft({ profile, variants: 1, personaId: job.personaId, senderName: job.senderName }),
+            deliver: async (profile, generated, to) => {
+                const draft = generated.drafts[0];
+                const { defaultCc = '', defaultBcc = '', resumeAttachment = null } =
+                    await chrome.storage.local.get(['defaultCc', 'defaultBcc', 'resumeAttachment']);
+                return handleCreateDraft({
+                    to,
+                    cc: defaultCc,
+                    bcc: defaultBcc,
+                    subject: draft.subject,
+                    body: draft.body,
+                    account: generated.gmailAccount,
+                    attachResume: !!resumeAttachment,
+                    contact: { name: profile.name, headline: profile.headline, url: profile.url, personaId: job.personaId },
+                    followUp: false,
+                    model: generated.model,
+                    template: generated.templateName,
+                    style: { ...generated.styleContext, source: 'batch' },
+                    openDraft: false
+                });
             }
-        })
-    });
+        });
+    } catch (err) {
+        console.error('Batch drafting stopped:', err);
+    } finally {
+        activeBatchJob = null;
+        chrome.alarms.clear(BATCH_KEEPALIVE_ALARM);
+    }
+}
+
+async function handleStartBatch(list, senderName) {
+    try {
+        const { id: destinationId } = await loadDraftDestination();
+        if (destinationId === 'mailto') {
+            throw new Error('Batch drafting needs Gmail or Outlook as the draft destination (see options).');
+        }
+        await loadModelSettings(); // Fail now rather than once per profile when no API key is set
 
-    const data = await response.json();
-    if (!response.ok) {
-        throw new Error(data.error ? data.error.message : 'Failed to create draft');
+        const job = await createBatchJob(list, senderName);
+        startBatchRun(job); // Keeps going after we respond
+        return { success: true, job };
+
+    } catch (err) {
+        return { success: false, error: err.message };
     }
-    return data;
 }
+
+async function handleCancelBatch() {
+    const job = activeBatchJob || await loadBatchJob();
+    if (!job || job.status !== 'running') {
+        return { success: false, error: 'No batch is running.' };
+    }
+    await cancelBatchJob(job);
+    return { success: true };
+}
+
+// Chrome may stop the service worker mid-batch; the alarm picks the job up again where it was left
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== BATCH_KEEPALIVE_ALARM || activeBatchJob) return;
+
+    const job = await loadBatchJob();
+    if (!job || job.status !== 'running') {
+        chrome.alarms.clear(BATCH_KEEPALIVE_ALARM);
+        return;
+    }
+
+    job.items.forEach(item => {
+        if (item.status === 'running') item.status = 'queued';
+    });
+    startBatchRun(job);
+});
@@ -0,0 +1,170 @@
+// Batch drafting: drafts an email for every profile in a saved list, using the profile data stored when
+// it was saved, and hands each one to the draft destination for review there. Loaded by background.js.
+//
+// The job lives in chrome.storage.local `batchJob` so the popup can show progress and a restarted
+// service worker can pick it up again:
+// { id, list, personaId, personaName, senderName, status: running | done | cancelled, createdAt, updatedAt, finishedAt,
+//   items: [{ url, name, status: queued | running | succeeded | failed | skipped | cancelled, error, attempts, to,
+//             needsAddress }] }
+// needsAddress marks a draft created without a recipient because no address was certain enough (see batchRecipient).
+//
+// The generate/deliver steps are passed in so the queue logic can run against mocks (test/batch.test.js).
+
+const BATCH_CONCURRENCY = 2;
+const BATCH_MAX_ATTEMPTS = 3; // Per profile, counting rate-limited attempts
+const BATCH_RATE_LIMIT_PAUSE_MS = 60000; // When the provider doesn't say how long to wait
+const BATCH_KEEPALIVE_ALARM = 'batchKeepAlive';
+
+// Batch drafts skip the preview where the user picks the address, so only a 'high' confidence guess
+// (the company's known pattern) goes in To. Anything less is a guess, down to a made-up <company>.com domain
+// for companies missing from the table, and is left for the user to fill in.
+const batchRecipient = (emailCandidates = []) => (emailCandidates.find(candidate => candidate.confidence === 'high') || {}).email || '';
+
+const loadBatchJob = async () => {
+    const { batchJob = null } = await chrome.storage.local.get('batchJob');
+    return batchJob;
+};
+
+const saveBatchJob = async (job) => {
+    job.updatedAt = Date.now();
+    await chrome.storage.local.set({ batchJob: job });
+    return job;
+};
+
+// { total, queued, running, succeeded, failed, skipped, cancelled }
+const summarizeBatchJob = (job) => {
+    const summary = { total: job.items.length, queued: 0, running: 0, succeeded: 0, failed: 0, skipped: 0, cancelled: 0 };
+    job.items.forEach(item => summary[item.status]++);
+    return summary;
+};
+
+// Queues every profile saved to `list`. Contacts that already have an email in the outreach log are skipped.
+// Drafts are written as the persona last used for the list (or the default persona).
+// senderName: the user's name from LinkedIn's nav bar, which signs the drafts when the persona has none.
+async function createBatchJob(list, senderName = null) {
+    const current = await loadBatchJob();
+    if (current && current.status === 'running') {
+        throw new Error(`Already drafting the "${current.list}" list. Cancel it first.`);
+    }
+
+    const { savedProfiles = [] } = await chrome.storage.local.get('savedProfiles');
+    const profiles = savedProfiles.filter(profile => profile.list === list);
+    if (profiles.length === 0) {
+        throw new Error(`No saved profiles in "${list}".`);
+    }
+
+    const log = await loadOutreachLog();
+    const persona = await resolvePersona(await personaIdForList(list));
+    if (!persona.senderName && !senderName) {
+        throw new Error(`Could not find your name to sign the drafts with. Open LinkedIn in a tab while signed in, or set a sender name for the "${persona.name}" persona in options.`);
+    }
+
+    const createdAt = Date.now();
+    const job = {
+        id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+        list,
+        personaId: persona.id,
+        personaName: persona.name,
+        senderName: senderName || null,
+        status: 'running',
+        createdAt,
+        finishedAt: null,
+        items: profiles.map(profile => {
+            const record = log[normalizeProfileUrl(profile.url)];
+            const emailed = !!record && record.entries.length > 0;
+            return {
+                url: profile.url,
+                name: profile.name || profile.url,
+                status: emailed ? 'skipped' : 'queued',
+                error: emailed ? 'Already emailed' : null,
+                attempts: 0,
+                to: null,
+                needsAddress: false
+            };
+        })
+    };
+
+    return saveBatchJob(job);
+}
+
+// Works through the queued items, BATCH_CONCURRENCY at a time, until none are left or the job is cancelled.
+// generate(profile) resolves like handleGenerateDraft ({ success, drafts, emailCandidates, error, rateLimited, retryAfterMs });
+// deliver(profile, generated, to) resolves like handleCreateDraft ({ success, error }); `to` is '' when no
+// address was certain enough.
+// A rate-limited attempt puts the profile back in the queue and pauses every worker until the limit resets.
+async function runBatchJob(job, { generate, deliver }) {
+    let pausedUntil = 0;
+
+    const worker = async () => {
+        while (job.status === 'running') {
+            const wait = pausedUntil - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+                continue;
+            }
+
+            const item = job.items.find(i => i.status === 'queued');
+            if (!item) return;
+
+            item.status = 'running';
+            item.attempts++;
+            await saveBatchJob(job);
+
+            try {
+                // Look the profile up now: it may have been removed from the list since the job started
+                const { savedProfiles = [] } = await chrome.storage.local.get('savedProfiles');
+                const profile = savedProfiles.find(p => p.url === item.url);
+                if (!profile) {
+                    item.status = 'skipped';
+                    item.error = 'No longer saved';
+                    continue;
+                }
+
+                const generated = await generate(profile);
+                if (!generated.success) {
+                    const error = new Error(generated.error || 'Generation failed');
+                    error.rateLimited = !!generated.rateLimited;
+                    error.retryAfterMs = generated.retryAfterMs || null;
+                    throw error;
+                }
+
+                const to = batchRecipient(generated.emailCandidates);
+                const delivered = await deliver(profile, generated, to);
+                if (!delivered.success) throw new Error(delivered.error || 'Could not create the draft');
+
+                item.status = 'succeeded';
+                item.error = null;
+                item.to = to || null;
+                item.needsAddress = !to;
+
+            } catch (err) {
+                if (err.rateLimited && item.attempts < BATCH_MAX_ATTEMPTS) {
+                    console.warn(`Rate limited while drafting for ${item.name}, pausing the batch`);
+                    item.status = 'queued';
+                    pausedUntil = Math.max(pausedUntil, Date.now() + (err.retryAfterMs || BATCH_RATE_LIMIT_PAUSE_MS));
+                } else {
+                    item.status = 'failed';
+                    item.error = err.message;
+                }
+            } finally {
+                await saveBatchJob(job);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, worker));
+
+    if (job.status === 'running') job.status = 'done';
+    job.finishedAt = job.finishedAt || Date.now();
+    return saveBatchJob(job);
+}
+
+// Marks the job cancelled; running items finish, queued ones are dropped
+async function cancelBatchJob(job) {
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    job.items.forEach(item => {
+        if (item.status === 'queued') item.status = 'cancelled';
+    });
+    return saveBatchJob(job);
+}
@@ -0,0 +1,243 @@
+// Bulk capture: checkboxes on LinkedIn result lists (people search, a company's People tab, Sales Navigator
+// searches and lead lists) and a floating "Save selected to list" bar. Captured results go straight into
+// `savedProfiles` / `profileLists` with what the result card shows (name, headline, profile URL).
+// Content script, loaded after content.js (uses its save-to-list modal).
+
+// --- Result list strategies ---
+// { describe, matches(url), items() -> result elements, parse(item) -> { name, headline, url, company } | null }.
+// parse may instead return { name, url, unsupported: true } for a result that can't be saved, which is
+// counted in the selection bar rather than getting a checkbox.
+// Tried in order; the first one whose page matches and that finds results wins.
+
+const BULK_ITEM_ATTR = 'data-cec-bulk';
+
+const cleanText = (el) => (el?.innerText || '').split('\n')[0].trim();
+
+// Profile links carry tracking parameters (?miniProfileUrn=...); saved profiles keep the bare URL
+const cleanProfileLink = (href) => {
+    try {
+        const url = new URL(href, window.location.origin);
+        return `${url.origin}${url.pathname.replace(/\/?$/, '/')}`;
+    } catch (e) {
+        return '';
+    }
+};
+
+// "Analyst at Evercore" -> "Evercore"
+const companyFromHeadline = (headline) => {
+    const [, company] = (headline || '').split(/\s+at\s+|\s+@\s+/);
+    return company ? company.split('|')[0].trim() : '';
+};
+
+const RESULT_LIST_STRATEGIES = [
+    {
+        describe: 'people search results',
+        matches: (url) => url.includes('/search/results/people'),
+        items: () => Array.from(document.querySelectorAll('li.reusable-search__result-container, [data-view-name="search-entity-result-universal-template"]')),
+        parse: (item) => {
+            const link = item.querySelector('.entity-result__title-text a[href*="/in/"], a[href*="/in/"]');
+            if (!link) return null;
+            const name = cleanText(link.querySelector('span[aria-hidden="true"]') || link);
+            const headline = cleanText(item.querySelector('.entity-result__primary-subtitle, .t-14.t-black.t-normal'));
+            return { name, headline, url: cleanProfileLink(link.href), company: companyFromHeadline(headline) };
+        }
+    },
+    {
+        describe: 'company People tab',
+        matches: (url) => /\/company\/[^/]+\/people/.test(url),
+        items: () => Array.from(document.querySelectorAll('li.org-people-profile-card__profile-card-spacing, .org-people-profile-card')),
+        parse: (item) => {
+            const link = item.querySelector('a[href*="/in/"]');
+            if (!link) return null;
+            const name = cleanText(item.querySelector('.org-people-profile-card__profile-title, .artdeco-entity-lockup__title'));
+            const headline = cleanText(item.querySelector('.artdeco-entity-lockup__subtitle'));
+            // The company whose People tab we're on is the best guess for where they work
+            const company = companyFromHeadline(headline) || cleanText(document.querySelector('.org-top-card-summary__title, h1'));
+            return { name, headline, url: cleanProfileLink(link.href), company };
+        }
+    },
+    {
+        describe: 'Sales Navigator search / lead list',
+        matches: (url) => url.includes('/sales/search/people') || url.includes('/sales/lists/people'),
+        items: () => Array.from(document.querySelectorAll('[data-x-search-result="LEAD"], li.artdeco-list__item, tr.artdeco-models-table-row')),
+        parse: (item) => {
+            // Saved profiles are public /in/ pages: the popup opens them, the outreach log is keyed by them and
+            // drafting scrapes them. A /sales/lead/ URL is none of that, so a lead without an /in/ link is skipped.
+            const link = item.querySelector('a[href*="/in/"]');
+            const lead = item.querySelector('a[href*="/sales/lead/"]');
+            if (!link && !lead) return null;
+            const name = cleanText(item.querySelector('[data-anonymize="person-name"]') || link || lead);
+            if (!link) return { name, url: cleanProfileLink(lead.href), unsupported: true };
+            const title = cleanText(item.querySelector('[data-anonymize="title"]'));
+            const company = cleanText(item.querySelector('[data-anonymize="company-name"]'));
+            return {
+                name,
+                headline: title && company ? `${title} at ${company}` : (title || company),
+                url: cleanProfileLink(link.href),
+                company
+            };
+        }
+    },
+    {
+        describe: 'any list item with a profile link',
+        matches: (url) => url.includes('/search/results/') || url.includes('/people'),
+        items: () => Array.from(document.querySelectorAll('main li')).filter(li => li.querySelector('a[href*="/in/"]') && !li.parentElement.closest('li')),
+        parse: (item) => {
+            const link = item.querySelector('a[href*="/in/"]');
+            const texts = Array.from(item.querySelectorAll('span[aria-hidden="true"]')).map(cleanText).filter(Boolean);
+            const name = texts[0] || cleanText(link);
+            const headline = texts.find(text => text !== name && text.length > 10) || '';
+            return { name, headline, url: cleanProfileLink(link.href), company: companyFromHeadline(headline) };
+        }
+    }
+];
+
+const findResultList = () => {
+    const url = window.location.href;
+    for (const strategy of RESULT_LIST_STRATEGIES) {
+        if (!strategy.matches(url)) continue;
+        const items = strategy.items();
+        if (items.length > 0) return { strategy, items };
+    }
+    return null;
+};
+
+// Same shape as a profile saved from its own page, with only the top-level fields filled in
+const toSavedProfile = (result, list) => ({
+    name: result.name,
+    headline: result.headline,
+    location: '',
+    about: '',
+    experiences: result.company ? [{ title: result.headline.split(/\s+at\s+|\s+@\s+/)[0].trim(), company: result.company, companyUrl: '', dates: '', duration: '', description: '' }] : [],
+    education: [],
+    certifications: [],
+    volunteer: [],
+    skills: [],
+    activity: [],
+    experience: result.headline || 'See profile for details',
+    url: result.url,
+    savedAt: new Date().toISOString(),
+    list,
+    capturedFrom: 'results'
+});
+
+// --- Selection bar ---
+// The selection survives paging through results, until it's saved or cleared.
+const bulkSelection = new Map(); // url -> parsed result
+const bulkUnsupported = new Set(); // urls of results seen that can't be saved
+
+const createBulkBar = () => {
+    let bar = document.querySelector('.cec-bulk-bar');
+    if (bar) return bar;
+
+    bar = document.createElement('div');
+    bar.className = 'cec-bulk-bar';
+    bar.innerHTML = `
+        <span class="cec-bulk-count"></span>
+        <button class="cec-btn cec-btn-secondary" id="cec-bulk-select-all">Select page</button>
+        <button class="cec-btn cec-btn-secondary" id="cec-bulk-clear">Clear</button>
+        <button class="cec-btn cec-btn-primary" id="cec-bulk-save">Save selected to list</button>
+    `;
+    document.body.appendChild(bar);
+
+    bar.querySelector('#cec-bulk-select-all').addEventListener('click', () => {
+        document.querySelectorAll('.cec-bulk-checkbox').forEach(checkbox => {
+            if (!checkbox.checked) checkbox.click();
+        });
+    });
+    bar.querySelector('#cec-bulk-clear').addEventListener('click', () => {
+        bulkSelection.clear();
+        document.querySelectorAll('.cec-bulk-checkbox').forEach(checkbox => checkbox.checked = false);
+        updateBulkBar();
+    });
+    bar.querySelector('#cec-bulk-save').addEventListener('click', saveBulkSelection);
+
+    return bar;
+};
+
+const updateBulkBar = (message = null) => {
+    const bar = createBulkBar();
+    const skipped = bulkUnsupported.size > 0
+        ? ` (${bulkUnsupported.size} Sales Navigator lead${bulkUnsupported.size === 1 ? '' : 's'} without a LinkedIn profile link skipped)`
+        : '';
+    bar.querySelector('.cec-bulk-count').textContent = message || `${bulkSelection.size} selected${skipped}`;
+    bar.querySelector('#cec-bulk-save').disabled = bulkSelection.size === 0;
+    bar.querySelector('#cec-bulk-clear').disabled = bulkSelection.size === 0;
+};
+
+// Adds the selected results to a list, skipping profiles that are already saved
+const saveBulkSelection = async () => {
+    if (bulkSelection.size === 0) return;
+    const list = await openSaveModal();
+    if (list === null) return; // Cancelled
+
+    const { savedProfiles = [] } = await chrome.storage.local.get('savedProfiles');
+    const savedUrls = new Set(savedProfiles.map(profile => normalizeProfileUrl(profile.url)));
+
+    let added = 0;
+    bulkSelection.forEach(result => {
+        if (savedUrls.has(normalizeProfileUrl(result.url))) return;
+        savedProfiles.push(toSavedProfile(result, list));
+        savedUrls.add(normalizeProfileUrl(result.url));
+        added++;
+    });
+    await chrome.storage.local.set({ savedProfiles });
+
+    const duplicates = bulkSelection.size - added;
+    bulkSelection.clear();
+    document.querySelectorAll('.cec-bulk-checkbox').forEach(checkbox => checkbox.checked = false);
+    updateBulkBar(`Saved ${added} to "${list}"${duplicates > 0 ? ` (${duplicates} already saved)` : ''}`);
+};
+
+// --- Injection ---
+
+const injectBulkCheckboxes = () => {
+    const found = findResultList();
+    const bar = document.querySelector('.cec-bulk-bar');
+    if (!found) {
+        if (bar && bulkSelection.size === 0) bar.remove();
+        return;
+    }
+
+    const unsupportedBefore = bulkUnsupported.size;
+    found.items.forEach(item => {
+        // LinkedIn sometimes re-renders a card's contents in place, dropping our checkbox
+        if (item.hasAttribute(BULK_ITEM_ATTR) && item.querySelector('.cec-bulk-checkbox')) return;
+
+        let result = null;
+        try {
+            result = found.strategy.parse(item);
+        } catch (e) {
+            console.warn(`ColdEmailCopilot: Result strategy "${found.strategy.describe}" threw`, e);
+        }
+        if (!result || !result.name || !result.url) return;
+        if (result.unsupported) {
+            bulkUnsupported.add(result.url);
+            return;
+        }
+        item.setAttribute(BULK_ITEM_ATTR, result.url);
+        item.classList.add('cec-bulk-item');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'cec-bulk-checkbox';
+        checkbox.title = `Select ${result.name}`;
+        checkbox.checked = bulkSelection.has(result.url);
+        // The result card is one big link; keep clicks on the checkbox from navigating
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) bulkSelection.set(result.url, result);
+            else bulkSelection.delete(result.url);
+            updateBulkBar();
+        });
+        (item.tagName === 'TR' ? item.querySelector('td') || item : item).prepend(checkbox);
+    });
+
+    if (!bar || bulkUnsupported.size !== unsupportedBefore) updateBulkBar();
+};
+
+injectBulkCheckboxes();
+
+// Results load lazily and the URL changes without a page load when paging
+const bulkObserver = new MutationObserver(() => injectBulkCheckboxes());
+bulkObserver.observe(document.body, { childList: true, subtree: true });
@@ -0,0 +1,91 @@
+// Company research: what the recipient's current company's LinkedIn page says (about, industry, size,
+// recent posts) plus the user's own notes, cached per company and given to the prompt as COMPANY CONTEXT.
+// Pages are read by the content script, whenever the user has one open or in a background tab opened
+// by background.js. Shared by background.js, the content script and options.
+//
+// chrome.storage.local `companyContext`: { [key]: { key, name, url, about, industry, size, headquarters,
+//   website, posts: [], notes, scrapedAt, updatedAt } } where key is the company page slug
+//   ("evercore"), or the normalized name for companies without a linked page.
+// `companyResearch`: the last state of the modal's "Research the company page" checkbox.
+
+const COMPANY_CONTEXT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // Company pages are read again after 30 days
+const COMPANY_ABOUT_MAX_CHARS = 800;
+
+// "https://www.linkedin.com/company/evercore/life/?x=1" -> "evercore"
+const companySlug = (url) => ((url || '').match(/linkedin\.com\/company\/([^/?#]+)/i) || [])[1] || '';
+
+const companyPageUrl = (slug) => `https://www.linkedin.com/company/${slug}/`;
+
+// The company a profile works at now: { key, name, url } (url is empty without a linked company page), or null
+function recipientCompany(profile) {
+    const latest = (profile.experiences || [])[0];
+    const name = latest ? latest.company : '';
+    const slug = companySlug(latest && latest.companyUrl);
+    if (!name && !slug) return null;
+    return { key: slug || name.toLowerCase().trim(), name, url: slug ? companyPageUrl(slug) : '' };
+}
+
+const loadCompanyContexts = async () => {
+    const { companyContext = {} } = await chrome.storage.local.get('companyContext');
+    return companyContext;
+};
+
+async function getCompanyContext(key) {
+    return (await loadCompanyContexts())[key] || null;
+}
+
+// Merges `fields` into the cached entry. Empty page fields (a read that missed them) keep what's there;
+// notes are taken as given, so they can be cleared.
+async function saveCompanyContext(company, fields) {
+    const contexts = await loadCompanyContexts();
+    const filled = Object.fromEntries(Object.entries({ name: company.name, url: company.url, ...fields }).filter(([field, value]) =>
+        field === 'notes' || (value !== '' && value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))));
+    const entry = {
+        key: company.key,
+        name: '',
+        url: '',
+        about: '',
+        industry: '',
+        size: '',
+        headquarters: '',
+        website: '',
+        posts: [],
+        notes: '',
+        scrapedAt: null,
+        ...contexts[company.key],
+        ...filled,
+        updatedAt: Date.now()
+    };
+    await chrome.storage.local.set({ companyContext: { ...contexts, [company.key]: entry } });
+    return entry;
+}
+
+async function removeCompanyContext(key) {
+    const contexts = await loadCompanyContexts();
+    delete contexts[key];
+    await chrome.storage.local.set({ companyContext: contexts });
+}
+
+const isCompanyContextStale = (entry) => !entry || !entry.scrapedAt || Date.now() - entry.scrapedAt > COMPANY_CONTEXT_MAX_AGE_MS;
+
+// The COMPANY CONTEXT lines for the prompt; empty when there's nothing to say.
+// includePage: false leaves out what was read from the company page and keeps only the user's notes.
+function formatCompanyContext(entry, { includePage = true } = {}) {
+    if (!entry) return '';
+    const lines = [];
+    if (includePage && entry.scrapedAt) {
+        if (entry.industry) lines.push(`Industry: ${entry.industry}`);
+        if (entry.size) lines.push(`Size: ${entry.size}`);
+        if (entry.headquarters) lines.push(`Headquarters: ${entry.headquarters}`);
+        if (entry.about) {
+            const about = entry.about.length > COMPANY_ABOUT_MAX_CHARS ? `${entry.about.slice(0, COMPANY_ABOUT_MAX_CHARS)}...` : entry.about;
+            lines.push(`About: ${about}`);
+        }
+        if (entry.posts.length > 0) {
+            lines.push('Recent posts:');
+            entry.posts.forEach(post => lines.push(`- ${post}`));
+        }
+    }
+    if (entry.notes) lines.push(`Sender's notes: ${entry.notes}`);
+    return lines.length > 0 ? [`Company: ${entry.name}`, ...lines].join('\n') : '';
+}
@@ -1,66 +1,139 @@
-// Basic scraping and button injection logic
+// Button injection and modal logic (scraping lives in scraper.js)
 
-const scrapeProfile = () => {
-    // Selectors for LinkedIn profile elements (these can be brittle and may need updates)
-    // Using more generic reliable selectors where possible or multiple fallbacks
-
-    // Name
-    const name = document.querySelector('h1')?.innerText?.trim() || "";
-
-    // Headline
-    const headline = document.querySelector('.text-body-medium.break-words')?.innerText?.trim() || "";
-
-    // About
-    const aboutSection = document.querySelector('#about')?.parentElement;
-    const about = aboutSection?.querySelectorAll('[aria-hidden="true"]')[1]?.innerText?.trim() ||
-        document.querySelector('.inline-show-more-text--is-collapsed')?.innerText?.trim() || "";
-
-    // Experience (Getting the latest role)
-    const experienceSection = document.querySelector('#experience')?.parentElement;
-    const latestRole = experienceSection?.querySelector('.display-flex.align-items-center.mr1.t-bold span[aria-hidden="true"]')?.innerText?.trim() || "";
-    const latestCompany = experienceSection?.querySelector('.t-14.t-normal span[aria-hidden="true"]')?.innerText?.trim() || "";
-
-    // Construct a simple experience string
-    const experience = latestRole && latestCompany ? `${latestRole} at ${latestCompany}` : "See profile for details";
-
-    return {
-        name,
-        headline,
-        about,
-        experience
-    };
-};
-
-// Listen for messages from Popup
+// Listen for messages from Popup (and from the background worker's company research tab)
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'scrapeAndGenerate') {
         runGeneration();
         sendResponse({ started: true });
     }
+    if (request.action === 'scrapeCompany') {
+        waitForCompanyPage(request.wantPosts).then(sendResponse);
+        return true; // Responds asynchronously
+    }
+    if (request.action === 'getSenderName') {
+        sendResponse({ senderName: scrapeCurrentUser() });
+    }
 });
 
-const runGeneration = async (instructions = '', senderName = null, includeQuestions = false) => {
+// Streams one generation from the background worker over a port.
+// Returns { promise, cancel }; the promise resolves with the worker's result ({ cancelled: true } when cancelled).
+// onRestart(status) is called when the worker throws away what it streamed so far (e.g. to repair the draft).
+const requestDraftStream = (data, onDelta, onRestart) => {
+    const port = chrome.runtime.connect({ name: 'generateDraft' });
+    let settle;
+
+    const promise = new Promise((resolve) => {
+        settle = resolve;
+        port.onMessage.addListener((message) => {
+            if (message.type === 'delta') onDelta(message.text);
+            if (message.type === 'restart') onRestart(message.status);
+            if (message.type === 'done') {
+                resolve(message.result);
+                port.disconnect();
+            }
+        });
+        // Fires if the worker goes away before finishing
+        port.onDisconnect.addListener(() => resolve({ success: false, error: 'Connection to the extension was lost.' }));
+    });
+
+    port.postMessage({ action: 'start', data });
+
+    const cancel = () => {
+        port.postMessage({ action: 'cancel' });
+        port.disconnect();
+        settle({ success: false, cancelled: true });
+    };
+
+    return { promise, cancel };
+};
+
+// sharedConnections: the overlaps ticked in the modal; null lets the background use every verified one.
+// companyResearch: true reads the company page first when it isn't cached, false leaves it out, null uses the cache.
+const runGeneration = async (instructions = '', senderName = null, includeQuestions = false, variants = 1, templateId = null, personaId = null, sharedConnections = null, companyResearch = null) => {
     const profileData = scrapeProfile();
     console.log('ColdEmailCopilot: Scraped Data:', profileData);
     console.log('ColdEmailCopilot: Sender Name:', senderName);
     console.log('ColdEmailCopilot: Include Questions:', includeQuestions);
 
     try {
-        const response = await chrome.runtime.sendMessage({
-            action: 'generateDraft',
-            data: {
+        // Generate -> preview loop: keeps going until the user sends or closes the preview
+        while (true) {
+            showPreviewProgress();
+
+            let streamedText = '';
+            const generation = requestDraftStream({
                 profile: profileData,
                 instructions: instructions,
                 senderName: senderName,
-                includeQuestions: includeQuestions
+                includeQuestions: includeQuestions,
+                variants: variants,
+                templateId: templateId,
+                personaId: personaId,
+                sharedConnections: sharedConnections,
+                companyResearch: companyResearch
+            }, (text) => {
+                streamedText += text;
+                updatePreviewProgress(streamedText);
+            }, (status) => {
+                streamedText = '';
+                showPreviewProgress(status);
+            });
+
+            activeGenerationCancel = generation.cancel;
+            const response = await generation.promise;
+            activeGenerationCancel = null;
+
+            if (response.cancelled) {
+                closePreviewModal();
+                return;
             }
-        });
 
-        if (response && response.error) {
-            alert('Error: ' + response.error + '\n\nPlease reload the page and try again.');
+            if (response.error) {
+                closePreviewModal();
+                alert('Error: ' + response.error + '\n\nPlease reload the page and try again.');
+                return;
+            }
+
+            const decision = await openPreviewModal(response.drafts, {
+                model: response.model,
+                usedFallback: response.usedFallback,
+                templateName: response.templateName,
+                personaName: response.personaName,
+                gmailAccount: response.gmailAccount,
+                styleExampleCount: response.styleExampleCount,
+                emailCandidates: response.emailCandidates,
+                lintContext: response.lintContext
+            });
+            if (decision === null) return; // Discarded
+            if (decision.action === 'regenerate') continue;
+
+            // Whether the user changed the text before approving it (the style memory weighs edited emails up)
+            const edited = !response.drafts.some(d => d.subject === decision.draft.subject && d.body === decision.draft.body);
+
+            const sendResult = await chrome.runtime.sendMessage({
+                action: 'createDraft',
+                data: {
+                    ...decision.draft,
+                    contact: { name: profileData.name, headline: profileData.headline, url: window.location.href, personaId: personaId },
+                    senderName: senderName,
+                    followUp: decision.followUp,
+                    model: response.model,
+                    template: response.templateName,
+                    style: { ...response.styleContext, source: 'preview', edited }
+                }
+            });
+
+            if (sendResult && sendResult.error) {
+                alert('Error: ' + sendResult.error + '\n\nPlease reload the page and try again.');
+            } else if (sendResult && sendResult.copyText) {
+                await openMailtoDraft(sendResult);
+            }
+            renderOutreachBadge();
+            return;
         }
     } catch (e) {
         console.error(e);
+        closePreviewModal();
         alert('Failed to generate email. Please reload the page and try again.');
     }
 };
@@ -100,12 +173,36 @@ const createModal = () => {
                 <button class="cec-close-btn">&times;</button>
             </div>
             <div class="cec-modal-body">
+                <div id="cec-diagnostics" class="cec-diagnostics"></div>
+                <div id="cec-persona-row">
+                    <label class="cec-label" for="cec-persona">Write as</label>
+                    <select id="cec-persona" class="cec-input" style="margin-bottom: 12px;"></select>
+                </div>
+                <label class="cec-label" for="cec-template">Template</label>
+                <select id="cec-template" class="cec-input" style="margin-bottom: 12px;"></select>
+                <div id="cec-overlaps-row" class="cec-overlaps">
+                    <div class="cec-label">Verified Shared Connections</div>
+                    <div id="cec-overlaps"></div>
+                </div>
+                <div id="cec-company-row" class="cec-company">
+                    <div class="cec-label">Company Context: <span id="cec-company-name"></span></div>
+                    <label class="cec-overlap">
+                        <input type="checkbox" id="cec-company-research">
+                        <span>Use the company's LinkedIn page (about, size, industry, recent posts)</span>
+                    </label>
+                    <div class="cec-company-status"></div>
+                    <textarea id="cec-company-notes" class="cec-textarea cec-company-notes"></textarea>
+                </div>
                 <label class="cec-label" for="cec-context">Special Instructions / Context (Optional)</label>
                 <textarea id="cec-context" class="cec-textarea" placeholder="e.g. Mention we met at the conference, or ask for a 15min call..."></textarea>
                 <div style="display: flex; align-items: center; gap: 8px; margin-top: 12px;">
                     <input type="checkbox" id="cec-include-questions" style="width: 16px; height: 16px; margin: 0; cursor: pointer;">
                     <label for="cec-include-questions" style="font-size: 13px; color: #374151; cursor: pointer; margin: 0;">Include 1-3 thoughtful questions</label>
                 </div>
+                <div style="display: flex; align-items: center; gap: 8px; margin-top: 8px;">
+                    <input type="checkbox" id="cec-variants" style="width: 16px; height: 16px; margin: 0; cursor: pointer;">
+                    <label for="cec-variants" style="font-size: 13px; color: #374151; cursor: pointer; margin: 0;">Generate 3 variants with different angles</label>
+                </div>
             </div>
             <div class="cec-modal-footer">
                 <button class="cec-btn cec-btn-secondary" id="cec-cancel">Cancel</button>
@@ -126,14 +223,23 @@ const createModal = () => {
     const submit = () => {
         const text = document.getElementById('cec-context').value;
         const includeQuestions = document.getElementById('cec-include-questions').checked;
+        const variants = document.getElementById('cec-variants').checked ? 3 : 1;
+        const templateId = document.getElementById('cec-template').value;
+        const personaId = document.getElementById('cec-persona').value;
+        const ticked = Array.from(document.querySelectorAll('.cec-overlap-checkbox:checked')).map(checkbox => checkbox.value);
+        const sharedConnections = modalOverlaps.filter(overlap => ticked.includes(overlap.id));
+        const companyResearch = document.getElementById('cec-company-research').checked;
+        const companyNotes = document.getElementById('cec-company-notes').value.trim();
         overlay.classList.remove('open');
-        if (modalResolve) modalResolve({ instructions: text, includeQuestions: includeQuestions });
+        if (modalResolve) modalResolve({ instructions: text, includeQuestions: includeQuestions, variants: variants, templateId: templateId, personaId: personaId, sharedConnections: sharedConnections, companyResearch: companyResearch, companyNotes: companyNotes });
         modalResolve = null;
     };
 
     overlay.querySelector('.cec-close-btn').addEventListener('click', close);
     overlay.querySelector('#cec-cancel').addEventListener('click', close);
     overlay.querySelector('#cec-submit').addEventListener('click', submit);
+    overlay.querySelector('#cec-persona').addEventListener('change', applyPersonaTemplate);
+    overlay.querySelector('#cec-persona').addEventListener('change', renderOverlapOptions);
 
     // Cmd+Enter (Mac) or Ctrl+Enter (Windows) to submit
     overlay.querySelector('#cec-context').addEventListener('keydown', (e) => {
@@ -149,9 +255,160 @@ const createModal = () => {
     });
 };
 
+// Shows which key profile fields the scraper could not find (or only guessed)
+const renderDiagnostics = () => {
+    const container = document.getElementById('cec-diagnostics');
+    const { report } = scrapeProfileWithReport();
+    const warnings = getScrapeWarnings(report);
+
+    container.innerHTML = '';
+    container.style.display = warnings.length > 0 ? 'block' : 'none';
+    if (warnings.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'cec-diagnostics-title';
+    title.textContent = 'Some profile details could not be read reliably. The draft may be less specific.';
+    container.appendChild(title);
+
+    warnings.forEach(entry => {
+        const line = document.createElement('div');
+        line.className = 'cec-diagnostics-line';
+        line.textContent = entry.found
+            ? `${entry.field}: guessed from ${entry.strategy} (confidence ${Math.round(entry.confidence * 100)}%)`
+            : `${entry.field}: not found (tried ${entry.tried.join(', ')})`;
+        container.appendChild(line);
+    });
+};
+
+// Fills the template picker, preselecting the default template from options
+const renderTemplateOptions = async () => {
+    const select = document.getElementById('cec-template');
+    const { templates, defaultTemplateId } = await loadTemplates();
+
+    select.innerHTML = '';
+    templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        select.appendChild(option);
+    });
+    select.value = findTemplate(templates, defaultTemplateId).id;
+};
+
+// The saved list this profile is in, or null when it isn't saved
+const findCurrentProfileList = async () => {
+    const { savedProfiles = [] } = await chrome.storage.local.get('savedProfiles');
+    const url = normalizeProfileUrl(window.location.href);
+    const saved = savedProfiles.find(profile => normalizeProfileUrl(profile.url) === url);
+    return saved ? saved.list || null : null;
+};
+
+// Fills the persona picker, preselecting the persona last used for this profile's list.
+// Hidden when there's only one persona.
+const renderPersonaOptions = async () => {
+    const select = document.getElementById('cec-persona');
+    const { personas } = await loadPersonas();
+
+    select.innerHTML = '';
+    personas.forEach(persona => {
+        const option = document.createElement('option');
+        option.value = persona.id;
+        option.textContent = persona.name;
+        select.appendChild(option);
+    });
+    select.value = await personaIdForList(await findCurrentProfileList());
+    document.getElementById('cec-persona-row').style.display = personas.length > 1 ? 'block' : 'none';
+};
+
+// Switching persona switches to its default template (when it has one)
+const applyPersonaTemplate = async () => {
+    const persona = await resolvePersona(document.getElementById('cec-persona').value);
+    const { templates, defaultTemplateId } = await loadTemplates();
+    document.getElementById('cec-template').value = findTemplate(templates, persona.templateId || defaultTemplateId).id;
+};
+
+// Overlaps between the picked persona and this profile (overlap.js), all ticked; the ticked ones go
+// into the prompt as VERIFIED SHARED CONNECTIONS
+let modalOverlaps = [];
+
+const renderOverlapOptions = async () => {
+    const container = document.getElementById('cec-overlaps');
+    const persona = await resolvePersona(document.getElementById('cec-persona').value);
+    modalOverlaps = findOverlaps(persona, scrapeProfile(), resolveField('mutualConnections').value || '');
+
+    container.innerHTML = '';
+    modalOverlaps.forEach(overlap => {
+        const row = document.createElement('label');
+        row.className = 'cec-overlap';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'cec-overlap-checkbox';
+        checkbox.value = overlap.id;
+        checkbox.checked = true;
+        const text = document.createElement('span');
+        text.textContent = formatOverlap(overlap);
+        row.appendChild(checkbox);
+        row.appendChild(text);
+        container.appendChild(row);
+    });
+
+    // Without a saved profile only the free-text sender context could be checked
+    if (!persona.senderProfile) {
+        const hint = document.createElement('div');
+        hint.className = 'cec-overlap-hint';
+        hint.textContent = modalOverlaps.length > 0
+            ? 'Checked against your sender context only. Click "Use as my sender context" on your own profile to compare full profiles.'
+            : 'None found in your sender context. Click "Use as my sender context" on your own profile to compare full profiles.';
+        container.appendChild(hint);
+    }
+    document.getElementById('cec-overlaps-row').style.display = container.children.length > 0 ? 'block' : 'none';
+};
+
+// The recipient's current company: whether its page is cached, the research checkbox (remembered between
+// emails) and the user's notes, which are saved per company when the modal is submitted
+let modalCompany = null;
+let modalCompanyNotes = '';
+
+const renderCompanyContext = async () => {
+    const row = document.getElementById('cec-company-row');
+    modalCompany = recipientCompany(scrapeProfile());
+    row.style.display = modalCompany ? 'block' : 'none';
+    if (!modalCompany) return;
+
+    const entry = await getCompanyContext(modalCompany.key);
+    const { companyResearch = false } = await chrome.storage.local.get('companyResearch');
+    const cached = !!(entry && entry.scrapedAt);
+    const name = modalCompany.name || (entry && entry.name) || 'the company';
+    const checkbox = document.getElementById('cec-company-research');
+    const notes = document.getElementById('cec-company-notes');
+
+    document.getElementById('cec-company-name').textContent = name;
+    checkbox.disabled = !cached && !modalCompany.url;
+    checkbox.checked = companyResearch && !checkbox.disabled;
+    row.querySelector('.cec-company-status').textContent = cached
+        ? `Company page read ${formatDaysAgo(entry.scrapedAt)}.`
+        : modalCompany.url
+            ? 'Not read yet. When ticked, the company page is opened in a background tab before drafting.'
+            : 'No company page is linked on this profile, so only your notes can be used.';
+    modalCompanyNotes = entry ? entry.notes : '';
+    notes.value = modalCompanyNotes;
+    notes.placeholder = `Your notes on ${name} (recent deals, news, why you're interested)...`;
+};
+
+const saveModalCompanyNotes = async (notes) => {
+    if (!modalCompany || notes === modalCompanyNotes) return;
+    await saveCompanyContext(modalCompany, { notes });
+};
+
 const openModal = async () => {
     createModal(); // Ensure it exists
     const overlay = document.querySelector('.cec-modal-overlay');
+    renderDiagnostics();
+    await renderTemplateOptions();
+    await renderPersonaOptions();
+    await applyPersonaTemplate();
+    await renderOverlapOptions();
+    await renderCompanyContext();
     const textarea = document.getElementById('cec-context');
     textarea.value = ''; // Clear previous
     textarea.focus();
@@ -163,6 +420,422 @@ const openModal = async () => {
     });
 };
 
+// --- PREVIEW MODAL ---
+// Shows the email while it streams in ("streaming" state), then the editable result.
+let previewModalResolve = null;
+let activeGenerationCancel = null; // Set while a generation is streaming
+
+const createPreviewModal = () => {
+    if (document.querySelector('.cec-preview-modal-overlay')) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cec-modal-overlay cec-preview-modal-overlay';
+
+    overlay.innerHTML = `
+        <div class="cec-modal cec-preview-modal">
+            <div class="cec-modal-header">
+                <h3 class="cec-modal-title">Review Draft</h3>
+                <button class="cec-close-btn">&times;</button>
+            </div>
+            <div class="cec-modal-body cec-preview-progress">
+                <div class="cec-stream-status">Writing your email...</div>
+                <div id="cec-stream-output" class="cec-stream-output"></div>
+            </div>
+            <div class="cec-modal-body cec-preview-editor">
+                <div id="cec-preview-meta" class="cec-preview-meta"></div>
+                <div class="cec-variants"></div>
+                <div id="cec-preview-issues" class="cec-diagnostics"></div>
+                <div id="cec-preview-rationale" class="cec-preview-meta"></div>
+                <div id="cec-preview-account-row">
+                    <label class="cec-label" for="cec-preview-account">From</label>
+                    <select id="cec-preview-account" class="cec-input"></select>
+                </div>
+                <label class="cec-label" for="cec-preview-to">To</label>
+                <input type="text" id="cec-preview-to" class="cec-input" placeholder="recipient@example.com (optional)" readonly>
+                <div id="cec-preview-email-candidates" class="cec-email-candidates"></div>
+                <div class="cec-copy-row">
+                    <div>
+                        <label class="cec-label" for="cec-preview-cc">Cc</label>
+                        <input type="text" id="cec-preview-cc" class="cec-input" placeholder="optional" readonly>
+                    </div>
+                    <div>
+                        <label class="cec-label" for="cec-preview-bcc">Bcc</label>
+                        <input type="text" id="cec-preview-bcc" class="cec-input" placeholder="optional" readonly>
+                    </div>
+                </div>
+                <label class="cec-label" for="cec-preview-subject">Subject</label>
+                <input type="text" id="cec-preview-subject" class="cec-input" readonly>
+                <label class="cec-label" for="cec-preview-body">Body</label>
+                <textarea id="cec-preview-body" class="cec-textarea cec-preview-body" readonly></textarea>
+            </div>
+            <div class="cec-modal-footer">
+                <label class="cec-attach-toggle" id="cec-preview-attach-row">
+                    <input type="checkbox" id="cec-preview-attach">
+                    Attach resume
+                </label>
+                <label class="cec-followup-toggle">
+                    <input type="checkbox" id="cec-preview-followups">
+                    Remind me to follow up
+                </label>
+                <button class="cec-btn cec-btn-secondary" id="cec-preview-cancel">Cancel</button>
+                <button class="cec-btn cec-btn-secondary" id="cec-preview-regenerate">Regenerate</button>
+                <button class="cec-btn cec-btn-secondary" id="cec-preview-edit">Edit</button>
+                <button class="cec-btn cec-btn-primary" id="cec-preview-send">Send to Gmail</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+
+    const fields = ['#cec-preview-to', '#cec-preview-subject', '#cec-preview-body'].map(sel => overlay.querySelector(sel));
+    const copyFields = ['#cec-preview-cc', '#cec-preview-bcc'].map(sel => overlay.querySelector(sel));
+
+    const finish = (result) => {
+        overlay.classList.remove('open');
+        if (previewModalResolve) previewModalResolve(result);
+        previewModalResolve = null;
+    };
+
+    const close = () => {
+        if (activeGenerationCancel) {
+            activeGenerationCancel(); // runGeneration closes the modal once the cancel lands
+            return;
+        }
+        finish(null);
+    };
+
+    const edit = () => {
+        [...fields, ...copyFields].forEach(field => field.readOnly = false);
+        overlay.querySelector('#cec-preview-body').focus();
+    };
+
+    const send = () => {
+        const [to, subject, body] = fields.map(field => field.value.trim());
+        const followUp = overlay.querySelector('#cec-preview-followups').checked;
+        const account = overlay.querySelector('#cec-preview-account').value || null;
+        const [cc, bcc] = copyFields.map(field => field.value.trim());
+        const attachResume = overlay.querySelector('#cec-preview-attach').checked;
+        finish({ action: 'send', draft: { to, cc, bcc, subject, body, account, attachResume }, followUp });
+    };
+
+    fields.forEach(field => field.addEventListener('input', relintEditor));
+
+    overlay.querySelector('.cec-close-btn').addEventListener('click', close);
+    overlay.querySelector('#cec-preview-cancel').addEventListener('click', close);
+    overlay.querySelector('#cec-preview-regenerate').addEventListener('click', () => finish({ action: 'regenerate' }));
+    overlay.querySelector('#cec-preview-edit').addEventListener('click', edit);
+    overlay.querySelector('#cec-preview-send').addEventListener('click', send);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+};
+
+// Pulls the "subject"/"body" strings out of JSON that is still being written,
+// so the user sees readable text instead of a growing JSON blob
+const extractPartialDrafts = (text) => {
+    const fields = [];
+    const pattern = /"(subject|body)"\s*:\s*"((?:[^"\\]|\\.)*)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const raw = match[2];
+        let value;
+        try {
+            value = JSON.parse(`"${raw}"`);
+        } catch (e) {
+            value = raw.replace(/\\n/g, '\n');
+        }
+        fields.push({ key: match[1], value });
+    }
+
+    return fields
+        .map(field => field.key === 'subject' ? `Subject: ${field.value}\n` : field.value)
+        .join('\n');
+};
+
+const showPreviewProgress = (status = 'Writing your email...') => {
+    createPreviewModal(); // Ensure it exists
+    const overlay = document.querySelector('.cec-preview-modal-overlay');
+    overlay.classList.add('streaming');
+    overlay.querySelector('.cec-stream-status').textContent = status;
+    document.getElementById('cec-stream-output').textContent = '';
+    overlay.classList.add('open');
+};
+
+const updatePreviewProgress = (text) => {
+    const output = document.getElementById('cec-stream-output');
+    output.textContent = extractPartialDrafts(text);
+    output.scrollTop = output.scrollHeight;
+};
+
+const closePreviewModal = () => {
+    const overlay = document.querySelector('.cec-preview-modal-overlay');
+    if (overlay) overlay.classList.remove('open', 'streaming');
+};
+
+// Lint report for the draft in the editor: what was auto-fixed and what still breaks the rules
+let previewLintContext = null;
+
+const renderLintReport = (report) => {
+    const container = document.getElementById('cec-preview-issues');
+    container.innerHTML = '';
+
+    const addLine = (className, text) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        container.appendChild(line);
+    };
+
+    const { fixes = [], violations = [] } = report || {};
+    container.style.display = fixes.length > 0 || violations.length > 0 ? 'block' : 'none';
+    container.classList.toggle('cec-diagnostics--ok', violations.length === 0);
+
+    if (violations.length > 0) {
+        addLine('cec-diagnostics-title', 'This draft breaks some of the rules. Edit it before sending:');
+        violations.forEach(v => addLine('cec-diagnostics-line', v.message));
+    }
+    if (fixes.length > 0) {
+        addLine('cec-diagnostics-title', 'Auto-fixed:');
+        fixes.forEach(fix => addLine('cec-diagnostics-line', fix));
+    }
+};
+
+// Re-checks the editor contents as the user types (report only, never rewrites their text)
+const relintEditor = () => {
+    if (!previewLintContext) return;
+    const { report } = lintDraft({
+        subject: document.getElementById('cec-preview-subject').value,
+        body: document.getElementById('cec-preview-body').value
+    }, previewLintContext);
+    renderLintReport(report);
+};
+
+const renderDraftNotes = (draft) => {
+    renderLintReport(draft.lint);
+    document.getElementById('cec-preview-rationale').textContent = draft.rationale ? `Why this hook: ${draft.rationale}` : '';
+};
+
+// Renders one card per variant; the buttons copy the whole draft or just one part into the editor
+const renderVariantCards = (overlay, drafts) => {
+    const container = overlay.querySelector('.cec-variants');
+    container.innerHTML = '';
+
+    const isMulti = drafts.length > 1;
+    container.style.display = isMulti ? 'grid' : 'none';
+    container.style.gridTemplateColumns = `repeat(${drafts.length}, 1fr)`;
+    overlay.querySelector('.cec-preview-modal').classList.toggle('cec-preview-modal--variants', isMulti);
+    if (!isMulti) return;
+
+    drafts.forEach((draft, index) => {
+        const card = document.createElement('div');
+        card.className = 'cec-variant-card';
+        card.innerHTML = `
+            <div class="cec-variant-angle"></div>
+            <div class="cec-variant-subject"></div>
+            <div class="cec-variant-body"></div>
+            <div class="cec-variant-actions">
+                <button class="cec-btn cec-btn-primary cec-variant-use">Use this</button>
+                <button class="cec-btn cec-btn-secondary cec-variant-use-subject">Subject</button>
+                <button class="cec-btn cec-btn-secondary cec-variant-use-body">Body</button>
+            </div>
+        `;
+        card.querySelector('.cec-variant-angle').textContent = draft.angle || `Variant ${index + 1}`;
+        card.querySelector('.cec-variant-subject').textContent = draft.subject || '';
+        card.querySelector('.cec-variant-body').textContent = draft.body || '';
+
+        const select = () => {
+            container.querySelectorAll('.cec-variant-card').forEach(c => c.classList.remove('selected'));
+            card.classList.add('selected');
+        };
+
+        card.querySelector('.cec-variant-use').addEventListener('click', () => {
+            document.getElementById('cec-preview-subject').value = draft.subject || '';
+            document.getElementById('cec-preview-body').value = draft.body || '';
+            renderDraftNotes(draft);
+            select();
+        });
+        card.querySelector('.cec-variant-use-subject').addEventListener('click', () => {
+            document.getElementById('cec-preview-subject').value = draft.subject || '';
+            relintEditor();
+        });
+        card.querySelector('.cec-variant-use-body').addEventListener('click', () => {
+            document.getElementById('cec-preview-body').value = draft.body || '';
+            relintEditor();
+        });
+
+        if (index === 0) card.classList.add('selected');
+        container.appendChild(card);
+    });
+};
+
+// Send button label for the draft destination picked in options
+const DESTINATION_SEND_LABELS = {
+    gmail: 'Send to Gmail',
+    outlook: 'Send to Outlook',
+    mailto: 'Open in Email App'
+};
+
+// Sending account picker; only shown for Gmail when more than one account is connected.
+// Preselects the persona's account when it's connected, otherwise the default one.
+const renderAccountPicker = async (preferredAccount = null) => {
+    const { gmailAccounts = {}, defaultGmailAccount = null, draftDestination = 'gmail' } =
+        await chrome.storage.local.get(['gmailAccounts', 'defaultGmailAccount', 'draftDestination']);
+    document.getElementById('cec-preview-send').textContent = DESTINATION_SEND_LABELS[draftDestination] || DESTINATION_SEND_LABELS.gmail;
+    const emails = Object.keys(gmailAccounts);
+    const select = document.getElementById('cec-preview-account');
+
+    select.innerHTML = '';
+    emails.forEach(email => {
+        const option = document.createElement('option');
+        option.value = email;
+        option.textContent = email;
+        select.appendChild(option);
+    });
+    select.value = [preferredAccount, defaultGmailAccount].find(email => email && gmailAccounts[email]) || emails[0] || '';
+    if (draftDestination !== 'gmail') select.value = '';
+    document.getElementById('cec-preview-account-row').style.display = draftDestination === 'gmail' && emails.length > 1 ? 'block' : 'none';
+};
+
+// Guessed addresses for the recipient, best first; clicking one puts it in the To field
+const renderEmailCandidates = (candidates = []) => {
+    const container = document.getElementById('cec-preview-email-candidates');
+    const to = document.getElementById('cec-preview-to');
+    container.innerHTML = '';
+    container.style.display = candidates.length > 0 ? 'flex' : 'none';
+
+    const markSelected = () => {
+        container.querySelectorAll('.cec-email-candidate').forEach(chip => {
+            chip.classList.toggle('selected', chip.dataset.email === to.value.trim());
+        });
+    };
+
+    candidates.forEach(candidate => {
+        const chip = document.createElement('button');
+        chip.className = `cec-email-candidate cec-email-candidate--${candidate.confidence}`;
+        chip.dataset.email = candidate.email;
+        chip.textContent = candidate.email;
+        chip.title = `${candidate.pattern} pattern, ${candidate.confidence} confidence`;
+        chip.addEventListener('click', () => {
+            to.value = candidate.email;
+            markSelected();
+        });
+        container.appendChild(chip);
+    });
+
+    to.oninput = markSelected;
+    markSelected();
+};
+
+const openPreviewModal = async (drafts, meta = {}) => {
+    createPreviewModal(); // Ensure it exists
+    const overlay = document.querySelector('.cec-preview-modal-overlay');
+    overlay.classList.remove('streaming');
+    const draft = drafts[0];
+    previewLintContext = meta.lintContext || null;
+
+    // Which model actually wrote this (may differ from the configured one after a fallback)
+    const metaLine = document.getElementById('cec-preview-meta');
+    metaLine.textContent = meta.model
+        ? `Written by ${meta.model}${meta.personaName ? ` as ${meta.personaName}` : ''}${meta.templateName ? ` using the ${meta.templateName} template` : ''}${meta.styleExampleCount ? `, in the style of ${meta.styleExampleCount} of your past emails` : ''}${meta.usedFallback ? ' (fallback: primary model was unavailable)' : ''}`
+        : '';
+
+    const to = document.getElementById('cec-preview-to');
+    const subject = document.getElementById('cec-preview-subject');
+    const body = document.getElementById('cec-preview-body');
+
+    const cc = document.getElementById('cec-preview-cc');
+    const bcc = document.getElementById('cec-preview-bcc');
+
+    to.value = draft.to || '';
+    subject.value = draft.subject || '';
+    body.value = draft.body || '';
+    [to, subject, body, cc, bcc].forEach(field => field.readOnly = true); // Read-only until "Edit"
+
+    // Default Cc/Bcc and the resume come from options; mailto links can't carry attachments
+    const { defaultCc = '', defaultBcc = '', resumeAttachment = null, draftDestination = 'gmail' } =
+        await chrome.storage.local.get(['defaultCc', 'defaultBcc', 'resumeAttachment', 'draftDestination']);
+    cc.value = defaultCc;
+    bcc.value = defaultBcc;
+    const attach = document.getElementById('cec-preview-attach');
+    const canAttach = !!resumeAttachment && draftDestination !== 'mailto';
+    attach.checked = canAttach;
+    document.getElementById('cec-preview-attach-row').style.display = canAttach ? 'flex' : 'none';
+    if (resumeAttachment) attach.parentElement.title = resumeAttachment.filename;
+
+    // Follow-up reminders default to on whenever a cadence is configured
+    const { followUpCadence = DEFAULT_FOLLOW_UP_CADENCE } = await chrome.storage.local.get('followUpCadence');
+    const followUpToggle = document.getElementById('cec-preview-followups');
+    followUpToggle.checked = followUpCadence.length > 0;
+    followUpToggle.disabled = followUpCadence.length === 0;
+    followUpToggle.parentElement.title = followUpCadence.length > 0
+        ? `Reminders after ${followUpCadence.map(step => step.days).join(' and ')} days (change in options)`
+        : 'No follow-up cadence set in options';
+
+    await renderAccountPicker(meta.gmailAccount);
+    renderEmailCandidates(meta.emailCandidates);
+    renderVariantCards(overlay, drafts);
+    renderDraftNotes(draft);
+
+    overlay.classList.add('open');
+
+    return new Promise((resolve) => {
+        previewModalResolve = resolve;
+    });
+};
+
+// --- MAILTO DRAFTS ---
+// mailto links drop long bodies in some mail apps, so the full text goes on the clipboard first. The link is
+// only opened after that: the mail app takes focus from the page, and the clipboard refuses an unfocused page.
+const openMailtoDraft = async ({ openUrl, copyText }) => {
+    try {
+        await navigator.clipboard.writeText(copyText);
+    } catch (err) {
+        console.warn('Clipboard write failed:', err);
+        await showCopyFallbackModal(copyText, err);
+    }
+    chrome.runtime.sendMessage({ action: 'openMailto', url: openUrl });
+};
+
+// Shows the text to copy by hand when the clipboard write failed; resolves when the user moves on
+const showCopyFallbackModal = (text, err) => new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'cec-modal-overlay cec-copy-modal-overlay';
+    overlay.innerHTML = `
+        <div class="cec-modal">
+            <div class="cec-modal-header">
+                <h3 class="cec-modal-title">Copy Your Email</h3>
+                <button class="cec-close-btn">&times;</button>
+            </div>
+            <div class="cec-modal-body">
+                <p class="cec-copy-error" style="color: #b91c1c; font-size: 14px; margin-bottom: 12px;"></p>
+                <textarea class="cec-textarea cec-preview-body" readonly></textarea>
+            </div>
+            <div class="cec-modal-footer">
+                <button class="cec-btn cec-btn-primary" id="cec-copy-open">Open mail app</button>
+            </div>
+        </div>
+    `;
+    overlay.querySelector('.cec-copy-error').textContent =
+        `Could not put the email on the clipboard (${err.message.replace(/\.$/, '')}). Your mail app may cut a long email short, so copy it from here first.`;
+    const textarea = overlay.querySelector('textarea');
+    textarea.value = text;
+
+    document.body.appendChild(overlay);
+    overlay.classList.add('open');
+    textarea.focus();
+    textarea.select();
+
+    const done = () => {
+        overlay.classList.remove('open');
+        setTimeout(() => overlay.remove(), 200);
+        resolve();
+    };
+    overlay.querySelector('.cec-close-btn').addEventListener('click', done);
+    overlay.querySelector('#cec-copy-open').addEventListener('click', done);
+});
+
 // --- SAVE MODAL ---
 let saveModalResolve = null;
 
@@ -179,7 +852,6 @@ const createSaveModal = async () => {
 
     // Build dropdown options
     const hasLists = profileLists.length > 0;
-    let listOptionsHTML = profileLists.map(list => `<option value="${list}">${list}</option>`).join('');
 
     overlay.innerHTML = `
         <div class="cec-modal cec-save-modal">
@@ -191,7 +863,6 @@ const createSaveModal = async () => {
                 ${hasLists ? `
                     <label class="cec-label">Select a list</label>
                     <select id="cec-list-select" style="width: 100%; padding: 10px; border-radius: 8px; border: 1px solid #d1d5db; font-size: 14px; margin-bottom: 12px;">
-                        ${listOptionsHTML}
                         <option value="__new__">+ Create New List</option>
                     </select>
                 ` : `
@@ -213,6 +884,16 @@ const createSaveModal = async () => {
 
     // Show/hide new list input based on dropdown
     if (listSelect) {
+        // List names can come from an import, so they go in as text
+        const newListOption = listSelect.querySelector('option[value="__new__"]');
+        profileLists.forEach(list => {
+            const option = document.createElement('option');
+            option.value = list;
+            option.textContent = list;
+            listSelect.insertBefore(option, newListOption);
+        });
+        listSelect.value = profileLists[0];
+
         listSelect.addEventListener('change', () => {
             if (listSelect.value === '__new__') {
                 newListInput.style.display = 'block';
@@ -275,6 +956,124 @@ const openSaveModal = async () => {
     });
 };
 
+// --- SENDER CONTEXT MODAL ---
+// On the user's own profile: writes a sender profile from it (background) and shows it as a diff
+// against the picked persona's current context. Nothing is stored until "Replace" is clicked, which also
+// keeps the scraped profile on the persona for the overlap analyzer.
+
+const renderContextDiff = (container, before, after) => {
+    container.innerHTML = '';
+    diffWords(before, after).forEach(part => {
+        const span = document.createElement('span');
+        span.className = `cec-diff-${part.type}`;
+        span.textContent = part.text;
+        container.appendChild(span);
+    });
+};
+
+const openSenderContextModal = async () => {
+    const existing = document.querySelector('.cec-context-modal-overlay');
+    if (existing) existing.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cec-modal-overlay cec-context-modal-overlay';
+    overlay.innerHTML = `
+        <div class="cec-modal cec-context-modal">
+            <div class="cec-modal-header">
+                <h3 class="cec-modal-title">Use as My Sender Context</h3>
+                <button class="cec-close-btn">&times;</button>
+            </div>
+            <div class="cec-modal-body">
+                <label class="cec-label" for="cec-context-persona">Persona</label>
+                <select id="cec-context-persona" class="cec-input" style="margin-bottom: 12px;"></select>
+                <div class="cec-context-status">Reading your profile and writing your sender profile...</div>
+                <div class="cec-context-diff" style="display: none;"></div>
+            </div>
+            <div class="cec-modal-footer">
+                <button class="cec-btn cec-btn-secondary" id="cec-context-cancel">Cancel</button>
+                <button class="cec-btn cec-btn-primary" id="cec-context-replace" disabled>Replace</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const select = overlay.querySelector('#cec-context-persona');
+    const status = overlay.querySelector('.cec-context-status');
+    const diff = overlay.querySelector('.cec-context-diff');
+    const replace = overlay.querySelector('#cec-context-replace');
+
+    const { personas, defaultPersonaId } = await loadPersonas();
+    personas.forEach(persona => {
+        const option = document.createElement('option');
+        option.value = persona.id;
+        option.textContent = persona.name;
+        select.appendChild(option);
+    });
+    select.value = defaultPersonaId;
+
+    const close = () => {
+        overlay.classList.remove('open');
+        setTimeout(() => overlay.remove(), 200);
+    };
+    overlay.querySelector('.cec-close-btn').addEventListener('click', close);
+    overlay.querySelector('#cec-context-cancel').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    overlay.classList.add('open');
+
+    const ownProfile = scrapeProfile();
+    const response = await chrome.runtime.sendMessage({ action: 'buildSenderContext', profile: ownProfile });
+    if (!response || !response.success) {
+        status.textContent = `Error: ${response ? response.error : 'no response from the extension'}`;
+        return;
+    }
+
+    // Re-diffed whenever another persona is picked
+    const showDiff = () => {
+        const persona = findPersona(personas, select.value);
+        renderContextDiff(diff, persona.context, response.context);
+        status.textContent = persona.context
+            ? `Changes to "${persona.name}" (${response.words} words, written by ${response.model}):`
+            : `New sender context for "${persona.name}" (${response.words} words, written by ${response.model}):`;
+        if (response.words > SENDER_CONTEXT_MAX_WORDS) {
+            status.textContent += ` Longer than the ${SENDER_CONTEXT_MAX_WORDS} words asked for; you can trim it in options.`;
+        }
+    };
+    select.addEventListener('change', showDiff);
+    showDiff();
+    diff.style.display = 'block';
+    replace.disabled = false;
+
+    replace.addEventListener('click', async () => {
+        replace.disabled = true;
+        // The structured profile goes along so the overlap analyzer can compare schools, employers and dates
+        const persona = await updatePersona(select.value, { context: response.context, senderProfile: toSenderProfile(ownProfile) });
+        status.textContent = `Saved as the sender context of "${persona.name}".`;
+        setTimeout(close, 1200);
+    });
+};
+
+// On your own profile the only button is "Use as my sender context"
+const createSenderContextButton = () => {
+    const container = document.createElement('div');
+    container.style.display = 'flex';
+    container.style.alignItems = 'center';
+    container.className = 'cold-email-copilot-container';
+    container.dataset.ownProfile = 'true';
+
+    const button = document.createElement('button');
+    button.innerText = 'Use as my sender context';
+    button.className = 'artdeco-button artdeco-button--2 artdeco-button--primary ember-view cold-email-copilot-btn';
+    button.style.marginLeft = '8px';
+    button.style.backgroundColor = '#2563eb';
+    button.addEventListener('click', openSenderContextModal);
+
+    container.appendChild(button);
+    return container;
+};
+
 // Also reuse this function for the button click
 const createButton = () => {
     const container = document.createElement('div');
@@ -303,7 +1102,15 @@ const createButton = () => {
         // Scrape Sender Name dynamically
         const senderName = scrapeCurrentUser();
 
-        await runGeneration(result.instructions, senderName, result.includeQuestions);
+        // The next profile from the same list starts with this persona
+        await rememberPersonaForList(await findCurrentProfileList(), result.personaId);
+
+        await saveModalCompanyNotes(result.companyNotes);
+        if (!document.getElementById('cec-company-research').disabled) {
+            await chrome.storage.local.set({ companyResearch: result.companyResearch });
+        }
+
+        await runGeneration(result.instructions, senderName, result.includeQuestions, result.variants, result.templateId, result.personaId, result.sharedConnections, result.companyResearch);
 
         emailBtn.innerText = originalText;
         emailBtn.disabled = false;
@@ -355,9 +1162,62 @@ const createButton = () => {
     return container;
 };
 
+// --- COMPANY PAGES ---
+// Any company page the user opens refreshes that company's cached context; the background worker's
+// research tab asks for a read with scrapeCompany.
+
+// Waits (up to 10s) for LinkedIn to render the company page, then reads it.
+// wantPosts waits for the posts feed instead of the About details.
+const waitForCompanyPage = async (wantPosts = false) => {
+    const ready = (page) => page.name && (wantPosts ? page.posts.length > 0 : (page.about || page.industry));
+    let page = scrapeCompanyPage();
+    for (let waited = 0; !ready(page) && waited < 10000; waited += 500) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        page = scrapeCompanyPage();
+    }
+    return page;
+};
+
+let capturedCompanyUrl = null;
+
+const captureCompanyPage = async () => {
+    const currentUrl = window.location.href;
+    if (!isCompanyPage() || capturedCompanyUrl === currentUrl) return;
+
+    const page = scrapeCompanyPage();
+    if (!page.name || !(page.about || page.industry || page.posts.length > 0)) return; // Not rendered yet
+    capturedCompanyUrl = currentUrl;
+
+    const slug = companySlug(currentUrl);
+    await saveCompanyContext({ key: slug, name: page.name, url: companyPageUrl(slug) }, { ...page, scrapedAt: Date.now() });
+};
+
 // Track current URL to detect profile changes
 let lastInjectedUrl = null;
 
+// "You emailed this person 12 days ago" next to our buttons, when the outreach log has this profile
+const renderOutreachBadge = async () => {
+    const container = document.querySelector('.cold-email-copilot-container');
+    if (!container) return;
+
+    const record = await getOutreachRecord(window.location.href);
+    let badge = container.querySelector('.cec-outreach-badge');
+    if (!record || record.entries.length === 0) {
+        if (badge) badge.remove();
+        return;
+    }
+
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'cec-outreach-badge';
+        container.appendChild(badge);
+    }
+    badge.className = `cec-outreach-badge cec-outreach-badge--${record.status}`;
+    badge.textContent = describeOutreach(record);
+    const last = record.entries[record.entries.length - 1];
+    badge.title = `Last email: "${last.subject}"`;
+};
+
 const injectButton = () => {
     const currentUrl = window.location.href;
 
@@ -370,37 +1230,18 @@ const injectButton = () => {
     }
     lastInjectedUrl = currentUrl;
 
-    // 1. Try to find the specific action bar container
-    const selectors = [
-        '.pvs-profile-actions',
-        '.ph5 .display-flex',
-        '.pv-top-card-v2-ctas',
-        '.pv-top-card__ctas'
-    ];
-
-    let actionPanel = null;
-
-    // Strategy A: Try known class names
-    for (const selector of selectors) {
-        const found = document.querySelector(selector);
-        if (found) {
-            actionPanel = found;
-            break;
-        }
-    }
+    // Find the action bar container via the scraper's strategy registry
+    const actionPanel = resolveField('actionPanel').value;
 
-    // Strategy B: Find the "Message" button and get its parent
-    if (!actionPanel) {
-        const buttons = Array.from(document.querySelectorAll('button'));
-        const messageBtn = buttons.find(b => b.innerText.trim() === 'Message');
-        if (messageBtn) {
-            actionPanel = messageBtn.parentElement;
-        }
-    }
+    // The edit controls that mark your own profile can render after the action bar
+    const ownProfile = !!resolveField('ownProfile').value;
+    const existing = document.querySelector('.cold-email-copilot-container');
+    if (existing && (existing.dataset.ownProfile === 'true') !== ownProfile) existing.remove();
 
     if (actionPanel && !document.querySelector('.cold-email-copilot-container')) {
-        const btnContainer = createButton();
+        const btnContainer = ownProfile ? createSenderContextButton() : createButton();
         actionPanel.appendChild(btnContainer);
+        renderOutreachBadge();
         console.log('ColdEmailCopilot: Buttons injected successfully into', actionPanel);
     }
 };
@@ -408,9 +1249,18 @@ const injectButton = () => {
 // Run immediately
 injectButton();
 
-// Also run on mutations because LinkedIn is a SPA
-const observer = new MutationObserver((mutations) => {
-    injectButton();
+// Also run on mutations because LinkedIn is a SPA. The page changes all the time (feed, presence, ads), so
+// the strategy lookups run at most once per INJECT_THROTTLE_MS instead of once per mutation. A throttle
+// rather than a debounce, so a page that never goes quiet still gets its buttons.
+const INJECT_THROTTLE_MS = 200;
+let injectTimer = null;
+
+const observer = new MutationObserver(() => {
+    if (injectTimer) return;
+    injectTimer = setTimeout(() => {
+        injectTimer = null;
+        injectButton();
+    }, INJECT_THROTTLE_MS);
 });
 
 observer.observe(document.body, {
@@ -420,3 +1270,5 @@ observer.observe(document.body, {
 
 // One final fallback check
 setInterval(injectButton, 3000);
+
+setInterval(captureCompanyPage, 3000);
@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV reading/writing for the import and export features in options.
+
+// Parses CSV text into an array of rows (arrays of strings). Handles quoted fields,
+// escaped quotes ("") and newlines inside quotes; blank lines are skipped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = (text || '').replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parses CSV with a header row into objects keyed by the (trimmed, lower-cased) header names
+function parseCsvObjects(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim().toLowerCase());
+    return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, (row[i] || '').trim()])));
+}
+
+const escapeCsvField = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds CSV text from objects, one column per entry in `columns`
+function toCsv(objects, columns) {
+    const lines = [columns.map(escapeCsvField).join(',')];
+    objects.forEach(object => {
+        lines.push(columns.map(column => escapeCsvField(object[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Saves text as a file through a temporary link (options page only)
+const downloadTextFile = (filename, text, type = 'text/csv') => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
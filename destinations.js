@@ -0,0 +1,231 @@
+// Draft destinations: where an approved email ends up. Gmail (API draft), Outlook / Microsoft 365 (Graph
+// message in Drafts) or a plain mailto: link with the text on the clipboard. Picked in options
+// (chrome.storage.local `draftDestination`). Loaded by background.js after gmail.js and mime.js.
+//
+// Every destination has createDraft(email, { baseUrl }) where email is
+// { to, cc, bcc, replyTo, subject, body, html, attachments, account, thread: { messageId, threadId } | null }
+// (see buildMimeMessage in mime.js for the fields) and resolves with
+// { account, draftId, messageId, threadId, openUrl, copyText }. baseUrl is only passed by the tests
+// (test/destinations.test.js), which run each target against a local mock server.
+
+const DEFAULT_DRAFT_DESTINATION = 'gmail';
+
+const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0/';
+const OUTLOOK_SCOPES = ['https://graph.microsoft.com/Mail.ReadWrite', 'https://graph.microsoft.com/User.Read'];
+
+// --- OUTLOOK AUTH ---
+// Implicit flow against the Microsoft identity platform with the app registration from options
+// (`outlookClientId`, `outlookTenant`). The token lives in `outlookAccount` ({ email, token, expiry }).
+
+async function launchOutlookAuth({ interactive }) {
+    const { outlookClientId = '', outlookTenant = 'common' } = await chrome.storage.local.get(['outlookClientId', 'outlookTenant']);
+    if (!outlookClientId) {
+        throw new Error('Add your Azure app client ID under Draft Destination in options to use Outlook.');
+    }
+
+    return new Promise((resolve, reject) => {
+        const authUrl = `https://login.microsoftonline.com/${encodeURIComponent(outlookTenant || 'common')}/oauth2/v2.0/authorize?` +
+            `client_id=${encodeURIComponent(outlookClientId)}` +
+            `&response_type=token` +
+            `&redirect_uri=${encodeURIComponent(chrome.identity.getRedirectURL())}` +
+            `&scope=${encodeURIComponent(OUTLOOK_SCOPES.join(' '))}`;
+
+        chrome.identity.launchWebAuthFlow({ url: authUrl, interactive }, (responseUrl) => {
+            if (chrome.runtime.lastError || !responseUrl) {
+                reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Sign-in was cancelled.'));
+                return;
+            }
+
+            const params = new URLSearchParams(new URL(responseUrl).hash.substring(1));
+            const accessToken = params.get('access_token');
+            if (!accessToken) {
+                reject(new Error(params.get('error_description') || params.get('error') || 'No access token in response'));
+                return;
+            }
+
+            resolve({
+                token: accessToken,
+                expiry: Date.now() + ((parseInt(params.get('expires_in')) - 60) * 1000)
+            });
+        });
+    });
+}
+
+// Returns { email, token }, signing in again (silently first) when the stored token has expired
+async function getOutlookToken({ interactive = true, baseUrl = GRAPH_API_BASE } = {}) {
+    const { outlookAccount = null } = await chrome.storage.local.get('outlookAccount');
+    if (outlookAccount && outlookAccount.token && Date.now() < outlookAccount.expiry) {
+        return outlookAccount;
+    }
+
+    let auth;
+    try {
+        auth = await launchOutlookAuth({ interactive: false });
+    } catch (e) {
+        if (!interactive) throw new Error('Outlook sign-in required.');
+        auth = await launchOutlookAuth({ interactive: true });
+    }
+
+    const response = await fetch(`${baseUrl}me`, { headers: { 'Authorization': `Bearer ${auth.token}` } });
+    const profile = await response.json();
+    if (!response.ok) {
+        throw new Error(profile.error ? profile.error.message : 'Could not read the Outlook account address.');
+    }
+
+    const account = { email: profile.mail || profile.userPrincipalName, ...auth };
+    await chrome.storage.local.set({ outlookAccount: account });
+    return account;
+}
+
+const signOutOutlook = () => chrome.storage.local.remove('outlookAccount');
+
+// Calls Microsoft Graph; a 401 triggers one re-auth and retry like gmailRequest.
+// Immutable ids keep a message's id stable when Outlook moves it from Drafts to Sent Items.
+async function graphRequest(path, { method = 'GET', body = null, interactive = true, baseUrl = GRAPH_API_BASE } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        const auth = await getOutlookToken({ interactive, baseUrl });
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${auth.token}`,
+                'Content-Type': 'application/json',
+                'Prefer': 'IdType="ImmutableId"'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401 && attempt === 0) {
+            console.warn('Outlook token was rejected, signing in again');
+            await signOutOutlook();
+            continue;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error ? data.error.message : `Outlook request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return { ...data, account: auth.email };
+    }
+}
+
+// --- DESTINATIONS ---
+
+const buildMailtoUrl = ({ to, cc, bcc, subject, body }) => {
+    const params = [['cc', cc], ['bcc', bcc], ['subject', subject], ['body', body]]
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+    return `mailto:${encodeURIComponent(to || '').replace('%40', '@')}?${params.join('&')}`;
+};
+
+// "Jane <jane@x.com>, bob@y.com" -> Graph recipients
+const toGraphRecipients = (value) => splitAddressList(value)
+    .map(item => {
+        const { name, address } = parseAddress(item);
+        return { emailAddress: name ? { name, address } : { address } };
+    });
+
+const DRAFT_DESTINATIONS = {
+    gmail: {
+        label: 'Gmail',
+        async createDraft(email, { baseUrl = GMAIL_API_BASE } = {}) {
+            // No account picked in the preview -> the default one (signs in first if none is connected yet)
+            const { email: account } = await getAuthToken({ email: email.account, baseUrl });
+
+            const headers = {};
+            if (email.thread) {
+                const originalMessageId = await getMessageIdHeader(email.thread.messageId, account, baseUrl);
+                headers['In-Reply-To'] = originalMessageId;
+                headers['References'] = originalMessageId;
+            }
+
+            const mimeMessage = toBase64Url(buildMimeMessage({ ...email, headers }));
+            const draft = await createDraft(mimeMessage, {
+                email: account,
+                threadId: email.thread ? email.thread.threadId : null,
+                baseUrl
+            });
+
+            return {
+                account,
+                draftId: draft.id,
+                messageId: draft.message.id,
+                threadId: draft.message.threadId,
+                openUrl: gmailDraftUrl(account, draft.message.id)
+            };
+        }
+    },
+
+    outlook: {
+        label: 'Outlook / Microsoft 365',
+        async createDraft(email, { baseUrl = GRAPH_API_BASE } = {}) {
+            const recipients = {
+                toRecipients: toGraphRecipients(email.to),
+                ccRecipients: toGraphRecipients(email.cc),
+                bccRecipients: toGraphRecipients(email.bcc),
+                replyTo: toGraphRecipients(email.replyTo)
+            };
+            let message;
+
+            if (email.thread) {
+                // createReply keeps the conversation and quotes the original under the comment. It addresses
+                // the original's sender, which is the user here, so the recipients are set explicitly.
+                message = await graphRequest(`me/messages/${encodeURIComponent(email.thread.messageId)}/createReply`, {
+                    method: 'POST',
+                    body: {
+                        comment: email.body,
+                        message: { toRecipients: recipients.toRecipients, ccRecipients: recipients.ccRecipients, bccRecipients: recipients.bccRecipients }
+                    },
+                    baseUrl
+                });
+            } else {
+                const html = email.html ? (typeof email.html === 'string' ? email.html : textToHtml(email.body)) : null;
+                message = await graphRequest('me/messages', {
+                    method: 'POST',
+                    body: {
+                        subject: email.subject,
+                        body: html ? { contentType: 'HTML', content: html } : { contentType: 'Text', content: email.body },
+                        ...recipients,
+                        attachments: (email.attachments || []).map(file => ({
+                            '@odata.type': '#microsoft.graph.fileAttachment',
+                            name: file.filename,
+                            contentType: file.mimeType,
+                            contentBytes: file.data
+                        }))
+                    },
+                    baseUrl
+                });
+            }
+
+            return {
+                account: message.account,
+                draftId: message.id,
+                messageId: message.id,
+                threadId: message.conversationId,
+                openUrl: message.webLink
+            };
+        }
+    },
+
+    mailto: {
+        label: 'Email app (mailto link + clipboard)',
+        async createDraft(email) {
+            return {
+                account: null,
+                draftId: null,
+                messageId: null,
+                threadId: null,
+                openUrl: buildMailtoUrl(email),
+                copyText: `Subject: ${email.subject}\n\n${email.body}`
+            };
+        }
+    }
+};
+
+// `id` when it names a destination, else the one picked in options ({ id, destination })
+const loadDraftDestination = async (id = null) => {
+    const { draftDestination = DEFAULT_DRAFT_DESTINATION } = await chrome.storage.local.get('draftDestination');
+    const destinationId = DRAFT_DESTINATIONS[id] ? id : (DRAFT_DESTINATIONS[draftDestination] ? draftDestination : DEFAULT_DRAFT_DESTINATION);
+    return { id: destinationId, destination: DRAFT_DESTINATIONS[destinationId] };
+};
@@ -0,0 +1,176 @@
+// Deterministic linter for generated drafts. Enforces the hard rules the prompt states, fixing
+// what can be fixed mechanically (ASCII, signature) and flagging the rest. Shared by background.js
+// (every generated draft) and the content script (re-checks while the user edits the preview).
+
+// Subject phrases the prompt bans outright
+const BANNED_SUBJECT_PHRASES = ['quick question', 'reaching out', 'coffee?'];
+
+const ASCII_REPLACEMENTS = [
+    [/[\u2018\u2019\u201a\u201b\u2032]/g, "'"],
+    [/[\u201c\u201d\u201e\u201f\u2033]/g, '"'],
+    [/\u2014/g, '--'],
+    [/[\u2013\u2012\u2010\u2011]/g, '-'],
+    [/\u2026/g, '...'],
+    [/[\u00a0\u2002\u2003\u2009\u202f]/g, ' '],
+    [/\u2022/g, '-']
+];
+
+const SIGN_OFF_PATTERN = /^(best|thanks|thank you|cheers|regards|best regards|kind regards|warm regards|sincerely),?\s*$/i;
+
+// Words too generic to identify a school on their own ("University of Michigan" -> "Michigan")
+const GENERIC_SCHOOL_WORDS = ['university', 'college', 'school', 'institute', 'of', 'the', 'at', 'and', 'business', 'law', 'graduate', '&'];
+
+const findNonAscii = (text) => [...new Set((text || '').match(/[^\x09\x0A\x0D\x20-\x7E]/g) || [])];
+
+const toAscii = (text) => {
+    let result = text || '';
+    ASCII_REPLACEMENTS.forEach(([pattern, replacement]) => {
+        result = result.replace(pattern, replacement);
+    });
+    // Strip accents (José -> Jose); anything still non-ASCII is left for the report
+    return result.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Index of the sign-off line ("Best,") in the last few lines, or -1
+const findSignOffIndex = (lines) => {
+    for (let i = lines.length - 1; i >= Math.max(0, lines.length - 4); i--) {
+        if (SIGN_OFF_PATTERN.test(lines[i].trim())) return i;
+    }
+    return -1;
+};
+
+// Words in the body, not counting the greeting line and the sign-off
+function countWords(body) {
+    const lines = (body || '').trim().split('\n');
+    if (/^(hi|hey|hello|dear)\b.{0,40},\s*$/i.test(lines[0] || '')) lines.shift();
+
+    const signOffIndex = findSignOffIndex(lines);
+    const content = signOffIndex === -1 ? lines : lines.slice(0, signOffIndex);
+
+    return content.join(' ').split(/\s+/).filter(Boolean).length;
+}
+
+// Ways a school may be written in an email: full name plus its distinctive core
+const schoolNameVariants = (school) => {
+    const full = school.trim();
+    const core = full
+        .split(/[\s,-]+/)
+        .filter(word => word && !GENERIC_SCHOOL_WORDS.includes(word.toLowerCase()))
+        .join(' ');
+    return [...new Set([full, core].filter(name => name.length >= 4))];
+};
+
+const mentions = (text, name) => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(text);
+
+// --- Rules ---
+// Each rule gets (draft, context) and returns { draft, fixes, violations }. Fixable rules return
+// a changed draft when `context.fix` is set; otherwise they report the problem as a violation.
+
+const LINT_RULES = [
+    {
+        id: 'raw-json',
+        check(draft) {
+            const body = (draft.body || '').trim();
+            const broken = body.startsWith('{') || /"subject"\s*:/.test(body);
+            return { violations: broken ? ['The body contains raw JSON instead of the email text.'] : [] };
+        }
+    },
+    {
+        id: 'ascii',
+        check(draft, context) {
+            if (findNonAscii(draft.subject + draft.body).length === 0) return {};
+
+            const fixed = context.fix ? { ...draft, subject: toAscii(draft.subject), body: toAscii(draft.body) } : draft;
+            const remaining = findNonAscii(fixed.subject + fixed.body);
+            return {
+                draft: fixed,
+                fixes: fixed !== draft ? ['Replaced curly quotes, dashes and other special characters with plain ASCII.'] : [],
+                violations: remaining.length > 0 ? [`Use only standard ASCII characters. Found: ${remaining.join(' ')}`] : []
+            };
+        }
+    },
+    {
+        id: 'signature',
+        check(draft, context) {
+            if (!context.firstName && !context.signature) return {};
+
+            // A persona's signature block replaces the plain "Best, <first name>"
+            const expected = (context.signature || '').trim() || `Best,\n${context.firstName}`;
+            const body = (draft.body || '').trimEnd();
+            if (body.endsWith(expected)) return {};
+
+            if (!context.fix) {
+                return { violations: [context.signature ? 'End with your signature block.' : `Sign off with "Best," and ${context.firstName}.`] };
+            }
+
+            const lines = body.split('\n');
+            const signOffIndex = findSignOffIndex(lines);
+            const content = (signOffIndex === -1 ? lines : lines.slice(0, signOffIndex)).join('\n').trimEnd();
+            return {
+                draft: { ...draft, body: `${content}\n\n${expected}` },
+                fixes: [context.signature ? 'Replaced the sign-off with your signature block.' : `Set the sign-off to "Best, ${context.firstName}".`]
+            };
+        }
+    },
+    {
+        id: 'word-count',
+        check(draft, context) {
+            const words = countWords(draft.body);
+            const violations = [];
+            if (context.maxWords && words > context.maxWords) {
+                violations.push(`The body is ${words} words; it must be at most ${context.maxWords}.`);
+            }
+            if (context.minWords && words < context.minWords) {
+                violations.push(`The body is ${words} words; it must be at least ${context.minWords}.`);
+            }
+            return { violations };
+        }
+    },
+    {
+        id: 'banned-subject',
+        check(draft) {
+            const subject = (draft.subject || '').toLowerCase();
+            const banned = BANNED_SUBJECT_PHRASES.filter(phrase => subject.includes(phrase));
+            return { violations: banned.map(phrase => `The subject must not use "${phrase}".`) };
+        }
+    },
+    {
+        id: 'alma-mater',
+        check(draft, context) {
+            const text = `${draft.subject}\n${draft.body}`;
+            const senderText = context.senderContext || '';
+            const verified = context.sharedSchools || [];
+
+            const violations = (context.recipientSchools || [])
+                .filter(school => school)
+                .filter(school => {
+                    const variants = schoolNameVariants(school);
+                    const mentioned = variants.some(name => mentions(text, name));
+                    const shared = verified.includes(school) || variants.some(name => mentions(senderText, name));
+                    return mentioned && !shared;
+                })
+                .map(school => `Mentions the recipient's school (${school}), which the sender did not attend.`);
+
+            return { violations };
+        }
+    }
+];
+
+// Lints one draft. context: { fix, firstName, signature, minWords, maxWords, recipientSchools, sharedSchools, senderContext }
+// (sharedSchools: recipient schools the overlap analyzer verified the sender attended too)
+// Returns { draft, report } where report is { fixes: [...], violations: [{ rule, message }] }.
+function lintDraft(draft, context = {}) {
+    let current = { ...draft, subject: draft.subject || '', body: draft.body || '' };
+    const report = { fixes: [], violations: [] };
+
+    LINT_RULES.forEach(rule => {
+        const result = rule.check(current, context);
+        if (result.draft) current = result.draft;
+        (result.fixes || []).forEach(fix => report.fixes.push(fix));
+        (result.violations || []).forEach(message => report.violations.push({ rule: rule.id, message }));
+    });
+
+    return { draft: current, report };
+}
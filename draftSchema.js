@@ -0,0 +1,109 @@
+// Draft output contract: the JSON schema we ask providers to enforce, plus validation of the shape
+// of what actually came back. The prompt's writing rules are checked by draftLinter.js. Loaded by background.js.
+
+const DRAFT_PROPERTIES = {
+    subject: { type: 'string', description: 'Email subject line' },
+    body: { type: 'string', description: 'Email body, including greeting and sign-off' },
+    questions: {
+        type: ['array', 'null'],
+        items: { type: 'string' },
+        description: 'Questions asked in the body, if any'
+    },
+    rationale: {
+        type: ['string', 'null'],
+        description: 'One sentence on why this hook should work for this recipient'
+    }
+};
+
+// Strict structured outputs need every property listed as required; optional ones are nullable instead
+const draftObjectSchema = (extraProperties = {}) => {
+    const properties = { ...extraProperties, ...DRAFT_PROPERTIES };
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+    };
+};
+
+// Returns { name, schema } for one draft or for the {"drafts": [...]} variants shape
+function buildDraftSchema(variantCount = 1) {
+    if (variantCount <= 1) {
+        return { name: 'email_draft', schema: draftObjectSchema() };
+    }
+    return {
+        name: 'email_drafts',
+        schema: {
+            type: 'object',
+            properties: {
+                drafts: {
+                    type: 'array',
+                    items: draftObjectSchema({ angle: { type: 'string', description: 'Which angle this variant uses' } })
+                }
+            },
+            required: ['drafts'],
+            additionalProperties: false
+        }
+    };
+}
+
+// Strips markdown code fences (common with Claude) and parses. Throws on invalid JSON.
+function parseModelJson(content) {
+    let cleanContent = (content || '').trim();
+    if (cleanContent.startsWith('```json')) {
+        cleanContent = cleanContent.replace(/^```json/, '').replace(/```$/, '');
+    } else if (cleanContent.startsWith('```')) {
+        cleanContent = cleanContent.replace(/^```/, '').replace(/```$/, '');
+    }
+    return JSON.parse(cleanContent);
+}
+
+// Shape checks for a single draft object
+function validateDraftShape(draft) {
+    const errors = [];
+    if (!draft || typeof draft !== 'object' || Array.isArray(draft)) {
+        return ['Draft must be a JSON object.'];
+    }
+    if (typeof draft.subject !== 'string' || !draft.subject.trim()) errors.push('"subject" must be a non-empty string.');
+    if (typeof draft.body !== 'string' || !draft.body.trim()) errors.push('"body" must be a non-empty string.');
+    if (draft.questions != null && (!Array.isArray(draft.questions) || draft.questions.some(q => typeof q !== 'string'))) {
+        errors.push('"questions" must be an array of strings or null.');
+    }
+    if (draft.rationale != null && typeof draft.rationale !== 'string') errors.push('"rationale" must be a string or null.');
+    return errors;
+}
+
+// Parses and validates raw model output.
+// Returns { drafts, errors }; drafts is empty whenever errors is not.
+function validateDraftOutput(content, variantCount = 1) {
+    let parsed;
+    try {
+        parsed = parseModelJson(content);
+    } catch (e) {
+        return { drafts: [], errors: [`Output is not valid JSON (${e.message}).`] };
+    }
+
+    let candidates;
+    if (variantCount > 1) {
+        if (!Array.isArray(parsed.drafts) || parsed.drafts.length === 0) {
+            return { drafts: [], errors: ['Output must be {"drafts": [...]} with one object per variant.'] };
+        }
+        candidates = parsed.drafts;
+    } else {
+        candidates = [Array.isArray(parsed.drafts) ? parsed.drafts[0] : parsed];
+    }
+
+    const errors = [];
+    const drafts = [];
+    candidates.forEach((draft, index) => {
+        const shapeErrors = validateDraftShape(draft);
+        const label = candidates.length > 1 ? `Draft ${index + 1}: ` : '';
+        if (shapeErrors.length > 0) {
+            errors.push(...shapeErrors.map(e => label + e));
+            return;
+        }
+        drafts.push(draft);
+    });
+
+    return { drafts: errors.length > 0 ? [] : drafts, errors };
+}
@@ -0,0 +1,188 @@
+// Email address finder: guesses a recipient's work address from their name and current company,
+// using a user-editable company -> domain/pattern table (chrome.storage.local `companyDomains`).
+// Loaded by background.js and the options page.
+
+// Local-part builders, keyed by the pattern names used in the table and its CSV
+const EMAIL_PATTERNS = {
+    'first.last': n => `${n.first}.${n.last}`,
+    'flast': n => `${n.first[0]}${n.last}`,
+    'firstlast': n => `${n.first}${n.last}`,
+    'first_last': n => `${n.first}_${n.last}`,
+    'first': n => n.first,
+    'firstl': n => `${n.first}${n.last[0]}`,
+    'f.last': n => `${n.first[0]}.${n.last}`,
+    'lastf': n => `${n.last}${n.first[0]}`,
+    'last.first': n => `${n.last}.${n.first}`,
+    'last': n => n.last,
+    'fmlast': n => `${n.first[0]}${n.middle ? n.middle[0] : ''}${n.last}`,
+    'first.m.last': n => n.middle ? `${n.first}.${n.middle[0]}.${n.last}` : `${n.first}.${n.last}`
+};
+
+// Order tried after the company's known pattern (most common corporate formats first)
+const FALLBACK_PATTERN_ORDER = ['first.last', 'flast', 'first', 'firstlast', 'firstl', 'lastf', 'first_last', 'f.last', 'last.first'];
+
+const DEFAULT_COMPANY_DOMAINS = [
+    { company: 'Goldman Sachs', domain: 'gs.com', pattern: 'first.last' },
+    { company: 'Morgan Stanley', domain: 'morganstanley.com', pattern: 'first.last' },
+    { company: 'J.P. Morgan', domain: 'jpmorgan.com', pattern: 'first.last' },
+    { company: 'Bank of America', domain: 'bofa.com', pattern: 'first.last' },
+    { company: 'Citi', domain: 'citi.com', pattern: 'first.last' },
+    { company: 'Barclays', domain: 'barclays.com', pattern: 'first.last' },
+    { company: 'UBS', domain: 'ubs.com', pattern: 'first.last' },
+    { company: 'Deutsche Bank', domain: 'db.com', pattern: 'first.last' },
+    { company: 'Evercore', domain: 'evercore.com', pattern: 'first.last' },
+    { company: 'Centerview', domain: 'centerview.com', pattern: 'flast' },
+    { company: 'Lazard', domain: 'lazard.com', pattern: 'first.last' },
+    { company: 'PJT Partners', domain: 'pjtpartners.com', pattern: 'first.last' },
+    { company: 'Moelis & Co.', domain: 'moelis.com', pattern: 'first.last' },
+    { company: 'Qatalyst Partners', domain: 'qatalyst.com', pattern: 'first.last' },
+    { company: 'Guggenheim', domain: 'guggenheimpartners.com', pattern: 'first.last' },
+    { company: 'Perella Weinberg', domain: 'pwpartners.com', pattern: 'flast' },
+    { company: 'Jefferies', domain: 'jefferies.com', pattern: 'flast' },
+    { company: 'Houlihan Lokey', domain: 'hl.com', pattern: 'flast' },
+    { company: 'William Blair', domain: 'williamblair.com', pattern: 'flast' },
+    { company: 'RBC Capital Markets', domain: 'rbccm.com', pattern: 'first.last' },
+    { company: 'RBC', domain: 'rbccm.com', pattern: 'first.last' },
+    { company: 'BMO Capital Markets', domain: 'bmo.com', pattern: 'first.last' },
+    { company: 'BMO', domain: 'bmo.com', pattern: 'first.last' },
+    { company: 'Piper Sandler', domain: 'psc.com', pattern: 'first.last' },
+    { company: 'Raymond James', domain: 'raymondjames.com', pattern: 'first.last' },
+    { company: 'Rothschild & Co', domain: 'rothschildandco.com', pattern: 'first.last' },
+    { company: 'Stifel', domain: 'stifel.com', pattern: 'lastf' },
+    { company: 'Wells Fargo', domain: 'wellsfargo.com', pattern: 'first.last' }
+];
+
+const COMPANY_DOMAIN_COLUMNS = ['company', 'domain', 'pattern'];
+
+const NAME_PREFIXES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof'];
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'mba', 'cfa', 'cpa', 'md', 'jd', 'esq', 'pmp', 'caia', 'frm'];
+// Lower-case particles that belong to the last name ("van der Berg" -> "vanderberg")
+const SURNAME_PARTICLES = ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'di', 'du', 'la', 'le', 'st'];
+
+const COMPANY_NOISE_WORDS = ['inc', 'llc', 'ltd', 'plc', 'lp', 'llp', 'corp', 'corporation', 'co', 'company', 'group', 'the', 'and'];
+
+// Lower-case ASCII letters only (José -> jose, O'Brien -> obrien)
+const normalizeNamePart = (part) => part.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z-]/g, '');
+
+// Splits a display name into { first, middle, last, lastVariants }, or null when there is no usable first + last.
+// Drops credentials after a comma ("Jane Doe, CFA"), nicknames in brackets or quotes, prefixes and suffixes.
+function parseName(fullName) {
+    const cleaned = (fullName || '')
+        .split(',')[0]
+        .replace(/\(.*?\)|\[.*?\]|".*?"|\u201c.*?\u201d/g, ' ');
+
+    const words = cleaned.split(/\s+/)
+        .map(word => word.replace(/\.$/, ''))
+        .filter(word => word && !NAME_PREFIXES.includes(word.toLowerCase()) && !NAME_SUFFIXES.includes(word.toLowerCase().replace(/\./g, '')))
+        .map(normalizeNamePart)
+        .map(word => word.replace(/^-+|-+$/g, ''))
+        .filter(Boolean);
+
+    if (words.length < 2) return null;
+
+    // Pull surname particles into the last name
+    let lastStart = words.length - 1;
+    while (lastStart > 1 && SURNAME_PARTICLES.includes(words[lastStart - 1])) lastStart--;
+
+    const first = words[0].split('-').join('');
+    const lastRaw = words.slice(lastStart).join('');
+    const middle = words.slice(1, lastStart).join('') || null;
+
+    // Hyphenated surnames are written joined, hyphenated or as the first half depending on the company
+    const lastParts = lastRaw.split('-').filter(Boolean);
+    const lastVariants = [...new Set([lastParts.join(''), lastParts[0], lastRaw])];
+
+    return { first, middle, last: lastVariants[0], lastVariants };
+}
+
+const normalizeCompany = (company) => (company || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !COMPANY_NOISE_WORDS.includes(word));
+
+const containsSequence = (haystack, needle) => needle.length > 0 &&
+    haystack.some((_, i) => needle.every((word, j) => haystack[i + j] === word));
+
+// Finds the table row for a company name. Exact (normalized) matches win, then whole-word
+// matches ("Goldman Sachs & Co. LLC" -> "Goldman Sachs"), then prefixes ("Citigroup" -> "Citi").
+function findCompanyDomain(company, table) {
+    const words = normalizeCompany(company);
+    if (words.length === 0) return null;
+
+    const compact = words.join('');
+    const rows = table
+        .filter(row => row.company && row.domain)
+        .map(row => ({ row, words: normalizeCompany(row.company) }))
+        .filter(entry => entry.words.length > 0);
+
+    const exact = rows.find(entry => entry.words.join('') === compact);
+    if (exact) return exact.row;
+
+    const wordMatch = rows
+        .filter(entry => containsSequence(words, entry.words) || containsSequence(entry.words, words))
+        .sort((a, b) => b.words.length - a.words.length)[0];
+    if (wordMatch) return wordMatch.row;
+
+    const prefix = rows.find(entry => entry.words.join('').length >= 4 && compact.startsWith(entry.words.join('')));
+    return prefix ? prefix.row : null;
+}
+
+// Current employer from the structured experience list, or the legacy "Title at Company" string
+function getCurrentCompany(profile) {
+    if (profile.experiences && profile.experiences.length > 0) {
+        return profile.experiences[0].company || '';
+    }
+    const firstLine = (profile.experience || '').split('\n')[0];
+    const atIndex = firstLine.lastIndexOf(' at ');
+    return atIndex === -1 ? '' : firstLine.slice(atIndex + 4).trim();
+}
+
+// Ranked candidate addresses for a person, best guess first.
+// Returns [{ email, pattern, domain, confidence: 'high' | 'medium' | 'low' }].
+// Known companies use their table pattern first; unknown ones get a guessed <company>.com domain.
+function guessEmails(fullName, company, table, limit = 6) {
+    const name = parseName(fullName);
+    if (!name) return [];
+
+    const row = findCompanyDomain(company, table);
+    const guessedDomain = normalizeCompany(company).join('');
+    const domain = row ? row.domain.trim().toLowerCase().replace(/^@/, '') : (guessedDomain.length >= 2 ? `${guessedDomain}.com` : '');
+    if (!domain) return [];
+
+    const knownPattern = row && EMAIL_PATTERNS[row.pattern] ? row.pattern : null;
+    const patterns = [...new Set([knownPattern, ...FALLBACK_PATTERN_ORDER].filter(Boolean))];
+
+    const candidates = [];
+    const add = (localPart, pattern, confidence) => {
+        const email = `${localPart}@${domain}`;
+        if (localPart && !candidates.some(c => c.email === email)) {
+            candidates.push({ email, pattern, domain, confidence });
+        }
+    };
+
+    // The known pattern with every spelling of a hyphenated surname, then the other common formats
+    if (knownPattern) {
+        name.lastVariants.forEach(last => add(EMAIL_PATTERNS[knownPattern]({ ...name, last }), knownPattern, 'high'));
+    }
+    patterns.forEach(pattern => add(EMAIL_PATTERNS[pattern](name), pattern, row ? 'medium' : 'low'));
+
+    return candidates.slice(0, limit);
+}
+
+// Drops incomplete rows and unknown patterns from imported or edited tables
+const sanitizeCompanyDomains = (rows) => rows
+    .map(row => ({
+        company: (row.company || '').trim(),
+        domain: (row.domain || '').trim().toLowerCase().replace(/^@/, ''),
+        pattern: (row.pattern || '').trim().toLowerCase()
+    }))
+    .filter(row => row.company && row.domain && EMAIL_PATTERNS[row.pattern]);
+
+// The user's table, or the defaults when it has never been edited
+const loadCompanyDomains = async () => {
+    const { companyDomains } = await chrome.storage.local.get('companyDomains');
+    return Array.isArray(companyDomains) ? companyDomains : DEFAULT_COMPANY_DOMAINS;
+};
@@ -0,0 +1,141 @@
+// Follow-up sequences: after a cold email is drafted, reminds the user (chrome.alarms + a notification)
+// when each follow-up in their cadence is due, and builds the prompt for a follow-up in the same thread.
+// Sequences live in chrome.storage.local `followUpSequences`, keyed by sequence id. Loaded by background.js.
+
+const DEFAULT_FOLLOW_UP_CADENCE = [
+    { label: 'Bump', days: 4 },
+    { label: 'Final follow-up', days: 10 }
+];
+
+const FOLLOW_UP_ALARM_PREFIX = 'followup:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Step statuses: pending (alarm set) -> due (reminder shown) -> drafted | skipped.
+// A sequence is stopped when the user stops it or a reply comes in.
+const followUpAlarmName = (sequenceId, stepIndex) => `${FOLLOW_UP_ALARM_PREFIX}${sequenceId}:${stepIndex}`;
+
+const parseFollowUpAlarmName = (name) => {
+    if (!name.startsWith(FOLLOW_UP_ALARM_PREFIX)) return null;
+    const [sequenceId, stepIndex] = name.slice(FOLLOW_UP_ALARM_PREFIX.length).split(':');
+    return { sequenceId, stepIndex: parseInt(stepIndex) };
+};
+
+// "4, 10" -> [{ label: 'Bump', days: 4 }, { label: 'Final follow-up', days: 10 }]. Invalid entries are dropped.
+function parseCadence(text) {
+    const days = (text || '')
+        .split(/[\s,]+/)
+        .map(value => parseInt(value.replace(/^\+/, '')))
+        .filter(value => value > 0)
+        .sort((a, b) => a - b);
+
+    return [...new Set(days)].map((day, index, all) => ({
+        label: index === all.length - 1 && all.length > 1 ? 'Final follow-up' : (index === 0 ? 'Bump' : `Follow-up ${index + 1}`),
+        days: day
+    }));
+}
+
+const formatCadence = (cadence) => cadence.map(step => step.days).join(', ');
+
+const loadFollowUpSequences = async () => {
+    const { followUpSequences = {} } = await chrome.storage.local.get('followUpSequences');
+    return followUpSequences;
+};
+
+const saveFollowUpSequence = async (sequence) => {
+    const sequences = await loadFollowUpSequences();
+    sequences[sequence.id] = sequence;
+    await chrome.storage.local.set({ followUpSequences: sequences });
+    return sequence;
+};
+
+// Creates the sequence for a freshly drafted email and sets one alarm per step.
+// email: { to, cc, subject, body, destination, account, draftId, messageId, threadId }; contact: { name, url, senderName, personaId }
+async function startFollowUpSequence(email, contact) {
+    const { followUpCadence = DEFAULT_FOLLOW_UP_CADENCE } = await chrome.storage.local.get('followUpCadence');
+    if (followUpCadence.length === 0) return null;
+
+    const createdAt = Date.now();
+    const sequence = {
+        id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+        contact: {
+            name: contact.name || '',
+            url: contact.url || '',
+            senderName: contact.senderName || '',
+            personaId: contact.personaId || null
+        },
+        original: {
+            to: email.to || '',
+            cc: email.cc || '',
+            destination: email.destination || 'gmail',
+            account: email.account || null,
+            subject: email.subject || '',
+            body: email.body || '',
+            draftId: email.draftId,
+            messageId: email.messageId,
+            threadId: email.threadId
+        },
+        createdAt,
+        stopped: false,
+        steps: followUpCadence.map(step => ({
+            label: step.label,
+            days: step.days,
+            dueAt: createdAt + step.days * DAY_MS,
+            status: 'pending',
+            draftId: null
+        }))
+    };
+
+    await saveFollowUpSequence(sequence);
+    sequence.steps.forEach((step, index) => {
+        chrome.alarms.create(followUpAlarmName(sequence.id, index), { when: step.dueAt });
+    });
+    return sequence;
+}
+
+// Stops a sequence and clears its remaining alarms
+async function stopFollowUpSequence(sequenceId) {
+    const sequences = await loadFollowUpSequences();
+    const sequence = sequences[sequenceId];
+    if (!sequence) return null;
+
+    sequence.stopped = true;
+    sequence.steps.forEach((step, index) => {
+        if (step.status === 'pending' || step.status === 'due') step.status = 'skipped';
+        chrome.alarms.clear(followUpAlarmName(sequenceId, index));
+    });
+    return saveFollowUpSequence(sequence);
+}
+
+// Prompt for follow-up `stepIndex` of a sequence. Asks for the same JSON draft shape as the first email.
+function buildFollowUpPrompt(sequence, stepIndex, { senderContext, firstName }) {
+    const step = sequence.steps[stepIndex];
+    const isFinal = stepIndex === sequence.steps.length - 1 && sequence.steps.length > 1;
+    const daysSince = Math.max(1, Math.round((Date.now() - sequence.createdAt) / DAY_MS));
+    const earlierFollowUps = sequence.steps.slice(0, stepIndex).filter(s => s.status === 'drafted').length;
+
+    return `You are writing a short follow-up to a cold email that got no reply yet. Write it as the same real person, in the same thread.
+
+ORIGINAL EMAIL (sent about ${daysSince} days ago${earlierFollowUps > 0 ? `, followed up ${earlierFollowUps} time${earlierFollowUps > 1 ? 's' : ''} since` : ''}):
+Subject: ${sequence.original.subject}
+${sequence.original.body}
+
+RECIPIENT: ${sequence.contact.name || 'Unknown'}
+
+SENDER CONTEXT:
+${senderContext || 'Not provided'}
+
+THIS FOLLOW-UP: ${step.label}${isFinal ? ' (the last one -- close the loop politely and make it easy to say no)' : ''}
+
+RULES:
+- 2-4 sentences, under 60 words. It sits on top of the original in the thread, so do NOT repeat it
+- Reference the original email's specific hook or question in a few words
+- Add one small new reason to reply if you can; never guilt-trip ("just bumping this", "did you see my email?")
+- Keep the original tone
+- Subject: "Re: " followed by the original subject, unchanged
+- Sign off with:
+  Best,
+  ${firstName}
+- NEVER use special characters like curly quotes, em-dashes, or fancy apostrophes. Use only standard ASCII.
+
+Return JSON: {"subject": "...", "body": "...", "questions": null, "rationale": "..."}`;
+}
@@ -0,0 +1,214 @@
+// Gmail accounts and REST calls. Tokens come from the OAuth implicit flow (launchWebAuthFlow), one per
+// connected account, stored in chrome.storage.local `gmailAccounts` ({ [email]: { email, token, expiry, scopes } })
+// with `defaultGmailAccount` picking the account used when a draft doesn't name one. Loaded by background.js.
+
+const GMAIL_API_BASE = 'https://gmail.googleapis.com/gmail/v1/users/me/';
+
+const loadGmailAccounts = async () => {
+    const { gmailAccounts = {}, defaultGmailAccount = null, gmailToken } =
+        await chrome.storage.local.get(['gmailAccounts', 'defaultGmailAccount', 'gmailToken']);
+
+    // Tokens from before multi-account support aren't tied to an address; drop them and sign in again
+    if (gmailToken) {
+        await chrome.storage.local.remove(['gmailToken', 'gmailTokenExpiry', 'gmailTokenScopes']);
+    }
+
+    const emails = Object.keys(gmailAccounts);
+    return {
+        accounts: gmailAccounts,
+        defaultAccount: gmailAccounts[defaultGmailAccount] ? defaultGmailAccount : (emails[0] || null)
+    };
+};
+
+// Scopes every token needs: the manifest's, plus read access once Gmail sync is on
+const getRequiredScopes = async () => {
+    const { gmailSyncEnabled = false } = await chrome.storage.local.get('gmailSyncEnabled');
+    return [...chrome.runtime.getManifest().oauth2.scopes, ...(gmailSyncEnabled ? [GMAIL_READ_SCOPE] : [])];
+};
+
+// Runs the OAuth flow. loginHint pre-selects an account; selectAccount forces the account chooser.
+// With interactive false it only succeeds when Google can answer without showing any UI.
+function launchGmailAuth({ interactive, loginHint = null, selectAccount = false, scopes }) {
+    return new Promise((resolve, reject) => {
+        const manifest = chrome.runtime.getManifest();
+        const clientId = manifest.oauth2.client_id;
+
+        const redirectUri = chrome.identity.getRedirectURL();
+        const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
+            `client_id=${clientId}` +
+            `&response_type=token` +
+            `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+            `&scope=${encodeURIComponent(scopes.join(' '))}` +
+            `&include_granted_scopes=true` +
+            (loginHint ? `&login_hint=${encodeURIComponent(loginHint)}` : '') +
+            (selectAccount ? '&prompt=select_account' : '');
+
+        chrome.identity.launchWebAuthFlow({ url: authUrl, interactive }, (responseUrl) => {
+            if (chrome.runtime.lastError || !responseUrl) {
+                reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Sign-in was cancelled.'));
+                return;
+            }
+
+            const params = new URLSearchParams(new URL(responseUrl).hash.substring(1));
+            const accessToken = params.get('access_token');
+            if (!accessToken) {
+                reject(new Error(params.get('error') || 'No access token in response'));
+                return;
+            }
+
+            resolve({
+                token: accessToken,
+                expiry: Date.now() + ((parseInt(params.get('expires_in')) - 60) * 1000),
+                scopes: (params.get('scope') || scopes.join(' ')).split(' ')
+            });
+        });
+    });
+}
+
+// Stores a fresh token under the address it actually belongs to (the user may pick another account
+// in the Google window than the one we hinted). The first connected account becomes the default.
+async function saveGmailAccount(auth, baseUrl = GMAIL_API_BASE) {
+    const response = await fetch(`${baseUrl}profile`, {
+        headers: { 'Authorization': `Bearer ${auth.token}` }
+    });
+    const profile = await response.json();
+    if (!response.ok) {
+        throw new Error(profile.error ? profile.error.message : 'Could not read the Gmail account address.');
+    }
+
+    const { accounts, defaultAccount } = await loadGmailAccounts();
+    const email = profile.emailAddress;
+    accounts[email] = { email, ...auth };
+    await chrome.storage.local.set({ gmailAccounts: accounts, defaultGmailAccount: defaultAccount || email });
+    return email;
+}
+
+// Connects another Gmail account (always shows Google's account chooser)
+async function addGmailAccount(baseUrl = GMAIL_API_BASE) {
+    const auth = await launchGmailAuth({ interactive: true, selectAccount: true, scopes: await getRequiredScopes() });
+    return saveGmailAccount(auth, baseUrl);
+}
+
+// Returns { email, token } for an account (default account when email is empty).
+// Expired tokens are renewed silently when Google allows it, otherwise interactively unless interactive is false.
+async function getAuthToken({ email = null, interactive = true, baseUrl = GMAIL_API_BASE } = {}) {
+    const { accounts, defaultAccount } = await loadGmailAccounts();
+    const address = email || defaultAccount;
+    const account = address ? accounts[address] : null;
+    const scopes = await getRequiredScopes();
+
+    if (account && account.token && Date.now() < account.expiry && scopes.every(scope => account.scopes.includes(scope))) {
+        return { email: address, token: account.token };
+    }
+
+    if (!address) {
+        if (!interactive) throw new Error('Gmail sign-in required.');
+        const added = await addGmailAccount(baseUrl);
+        return { email: added, token: (await loadGmailAccounts()).accounts[added].token };
+    }
+
+    console.log(`Fetching new Gmail token for ${address}...`);
+    let auth;
+    try {
+        auth = await launchGmailAuth({ interactive: false, loginHint: address, scopes });
+    } catch (e) {
+        if (!interactive) throw new Error(`Gmail sign-in required for ${address}.`);
+        auth = await launchGmailAuth({ interactive: true, loginHint: address, scopes });
+    }
+
+    const saved = await saveGmailAccount(auth, baseUrl);
+    if (saved !== address) {
+        throw new Error(`Signed in as ${saved} instead of ${address}. Pick ${address} in the Google window.`);
+    }
+    return { email: address, token: auth.token };
+}
+
+// Forgets an account's token so the next request signs in again
+const invalidateGmailToken = async (email) => {
+    const { accounts } = await loadGmailAccounts();
+    if (!accounts[email]) return;
+    accounts[email].expiry = 0;
+    await chrome.storage.local.set({ gmailAccounts: accounts });
+};
+
+// Revokes the account's token at Google and removes the account
+async function removeGmailAccount(email) {
+    const { accounts, defaultAccount } = await loadGmailAccounts();
+    const account = accounts[email];
+    if (!account) return;
+
+    if (account.token) {
+        try {
+            await fetch(`https://oauth2.googleapis.com/revoke?token=${encodeURIComponent(account.token)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            });
+        } catch (e) {
+            console.warn('Could not revoke Gmail token (removing the account anyway):', e.message);
+        }
+    }
+
+    delete accounts[email];
+    const remaining = Object.keys(accounts);
+    await chrome.storage.local.set({
+        gmailAccounts: accounts,
+        defaultGmailAccount: defaultAccount === email ? (remaining[0] || null) : defaultAccount
+    });
+}
+
+// Calls the Gmail API as an account. A 401 (revoked or expired token) triggers one re-auth and retry.
+// Returns the parsed JSON, or null for a 404. baseUrl lets tests point it at a mock server (test/gmail.test.js).
+async function gmailRequest(path, { email = null, method = 'GET', body = null, interactive = true, baseUrl = GMAIL_API_BASE } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        const auth = await getAuthToken({ email, interactive, baseUrl });
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${auth.token}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401 && attempt === 0) {
+            console.warn(`Gmail token for ${auth.email} was rejected, signing in again`);
+            await invalidateGmailToken(auth.email);
+            continue;
+        }
+        if (response.status === 404) return null;
+
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error ? data.error.message : `Gmail request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+}
+
+// threadId puts the draft in an existing conversation (follow-ups)
+async function createDraft(rawMessage, { email = null, threadId = null, baseUrl = GMAIL_API_BASE } = {}) {
+    const message = { raw: rawMessage };
+    if (threadId) message.threadId = threadId;
+
+    const data = await gmailRequest('drafts', { email, method: 'POST', body: { message }, baseUrl });
+    if (!data) throw new Error('Failed to create draft');
+    return data;
+}
+
+// Message-ID header of a message, used for In-Reply-To/References so Gmail threads the follow-up.
+// Returns null when the message is gone (e.g. the draft was discarded) or cannot be read.
+async function getMessageIdHeader(messageId, email = null, baseUrl = GMAIL_API_BASE) {
+    try {
+        const data = await gmailRequest(`messages/${messageId}?format=metadata&metadataHeaders=Message-ID`, { email, baseUrl });
+        const header = ((data && data.payload?.headers) || []).find(h => h.name.toLowerCase() === 'message-id');
+        return header ? header.value : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Opens the right inbox for the account (Gmail accepts the address in place of the /u/N/ index)
+const gmailDraftUrl = (email, messageId) =>
+    `https://mail.google.com/mail/u/${email ? encodeURIComponent(email).replace('%40', '@') : '0'}/#drafts?compose=${messageId}`;
@@ -0,0 +1,143 @@
+// Gmail sync: checks the threads of drafts we created and moves contacts in the outreach log to
+// "sent" or "replied", and hands the text that actually went out to the style memory. Needs the optional
+// read scope on top of gmail.compose. Loaded by background.js (after styleMemory.js).
+//
+// The Gmail calls go through a small api object per account ({ getThread, getMessage }) so the sync logic
+// can be exercised against a mocked Gmail API.
+
+const GMAIL_READ_SCOPE = 'https://www.googleapis.com/auth/gmail.readonly';
+const GMAIL_SYNC_ALARM = 'gmailSync';
+const GMAIL_SYNC_INTERVAL_MINUTES = 30;
+
+// Statuses sync may move a contact out of, in order. "meeting" and "dead" are only ever set by the user.
+const SYNC_STATUS_ORDER = ['drafted', 'sent', 'replied'];
+
+// Wraps a Gmail GET for one account: request(path) resolves with the JSON, or null for a 404
+// (gmailRequest in gmail.js, or a mock in tests)
+function createGmailApi(request) {
+    return {
+        getThread: (threadId) => request(`threads/${threadId}?format=metadata&metadataHeaders=From`),
+        getMessage: (messageId) => request(`messages/${messageId}?format=full`)
+    };
+}
+
+const headerValue = (message, name) => {
+    const header = (message.payload?.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+    return header ? header.value : '';
+};
+
+// The text/plain body of a full-format message (the first one found in a multipart message), or ''
+function messagePlainText(message) {
+    const findPart = (part) => {
+        if (!part) return null;
+        if (part.mimeType === 'text/plain' && part.body && part.body.data) return part;
+        for (const child of part.parts || []) {
+            const found = findPart(child);
+            if (found) return found;
+        }
+        return null;
+    };
+
+    const part = findPart(message && message.payload);
+    if (!part) return '';
+    const base64 = part.body.data.replace(/-/g, '+').replace(/_/g, '/');
+    return decodeURIComponent(escape(atob(base64))).replace(/\r\n/g, '\n').trim();
+}
+
+// What a thread tells us: { sent, replied, repliedAt, sentMessageId }.
+// Sent = a message of ours left the drafts; replied = someone else wrote into the thread after that.
+function analyzeThread(thread, myAddress) {
+    const messages = (thread && thread.messages) || [];
+    const me = (myAddress || '').toLowerCase();
+
+    const sentMessages = messages.filter(m => (m.labelIds || []).includes('SENT') && !(m.labelIds || []).includes('DRAFT'));
+    if (sentMessages.length === 0) return { sent: false, replied: false, repliedAt: null, sentMessageId: null };
+
+    const firstSent = sentMessages.reduce((first, m) => Number(m.internalDate) < Number(first.internalDate) ? m : first);
+    const firstSentAt = Number(firstSent.internalDate);
+    const reply = messages.find(m => {
+        const labels = m.labelIds || [];
+        if (labels.includes('SENT') || labels.includes('DRAFT')) return false;
+        const from = headerValue(m, 'From').toLowerCase();
+        return Number(m.internalDate) > firstSentAt && !(me && from.includes(me));
+    });
+
+    return { sent: true, replied: !!reply, repliedAt: reply ? Number(reply.internalDate) : null, sentMessageId: firstSent.id || null };
+}
+
+// Works out the status changes for every contact in the outreach log. getApi(email) returns the api
+// for an account; entries logged before accounts were recorded are checked with defaultAccount.
+// Returns [{ url, status, threadId, account, sentMessageId }] for contacts whose status should move forward.
+async function computeOutreachUpdates(log, getApi, defaultAccount) {
+    const updates = [];
+
+    for (const record of Object.values(log)) {
+        const rank = SYNC_STATUS_ORDER.indexOf(record.status);
+        if (rank === -1 || rank === SYNC_STATUS_ORDER.length - 1) continue; // User-set or already replied
+
+        const threads = new Map();
+        record.entries.filter(e => e.threadId && (e.destination || 'gmail') === 'gmail').forEach(e => threads.set(e.threadId, e.account || defaultAccount));
+        let best = rank;
+        let bestThread = null;
+
+        for (const [threadId, account] of threads) {
+            if (!account) continue;
+            const { sent, replied, sentMessageId } = analyzeThread(await getApi(account).getThread(threadId), account);
+            const threadRank = replied ? 2 : (sent ? 1 : 0);
+            if (threadRank > best) {
+                best = threadRank;
+                bestThread = { threadId, account, sentMessageId };
+            }
+        }
+
+        if (best > rank) {
+            updates.push({ url: record.url, status: SYNC_STATUS_ORDER[best], ...bestThread });
+        }
+    }
+
+    return updates;
+}
+
+// Applies the updates to the stored log; stops follow-up sequences for contacts who replied and
+// passes the sent text of each email to the style memory. Returns the updates that were applied.
+async function syncOutreachWithGmail(getApi, defaultAccount) {
+    const updates = await computeOutreachUpdates(await loadOutreachLog(), getApi, defaultAccount);
+
+    for (const update of updates) {
+        await setOutreachStatus(update.url, update.status);
+        if (update.sentMessageId) {
+            // Only the style memory depends on this, so a failed fetch doesn't stop the sync
+            try {
+                const message = await getApi(update.account).getMessage(update.sentMessageId);
+                if (message) {
+                    await applySentEmailToStyleMemory(update.threadId, {
+                        subject: headerValue(message, 'Subject'),
+                        body: messagePlainText(message),
+                        replied: update.status === 'replied'
+                    });
+                }
+            } catch (err) {
+                console.warn(`Could not read the sent email in thread ${update.threadId}:`, err.message);
+            }
+        }
+        if (update.status === 'replied') {
+            const sequences = await loadFollowUpSequences();
+            const replied = Object.values(sequences).filter(s => !s.stopped && normalizeProfileUrl(s.contact.url) === update.url);
+            for (const sequence of replied) {
+                await stopFollowUpSequence(sequence.id);
+            }
+        }
+    }
+
+    await chrome.storage.local.set({ gmailLastSync: Date.now() });
+    return updates;
+}
+
+// Creates or clears the periodic sync alarm to match the setting
+const scheduleGmailSync = (enabled) => {
+    if (enabled) {
+        chrome.alarms.create(GMAIL_SYNC_ALARM, { delayInMinutes: 1, periodInMinutes: GMAIL_SYNC_INTERVAL_MINUTES });
+    } else {
+        chrome.alarms.clear(GMAIL_SYNC_ALARM);
+    }
+};
@@ -0,0 +1,158 @@
+// Raw RFC 5322 / MIME messages for the Gmail API: plain text, multipart/alternative (plain + HTML) and
+// multipart/mixed with attachments, with CC/BCC/Reply-To and RFC 2047 encoded non-ASCII headers.
+// Pure string functions (no chrome.* calls) so the output can be checked in isolation. Loaded by background.js.
+
+const MIME_LINE = '\r\n';
+
+// UTF-8 text -> base64
+const base64Utf8 = (text) => btoa(unescape(encodeURIComponent(text)));
+
+// Base64 wrapped at 76 characters per line (RFC 2045)
+const wrapBase64 = (base64) => (base64.match(/.{1,76}/g) || ['']).join(MIME_LINE);
+
+const isAscii = (text) => /^[\x00-\x7F]*$/.test(text);
+
+// RFC 2047 encoded words for a header value, split so each folded line stays under 78 characters
+// (even after a "Subject: " prefix) and no UTF-8 character is cut in half. ASCII values are returned unchanged.
+function encodeHeaderWord(text) {
+    if (isAscii(text)) return text;
+
+    const words = [];
+    let chunk = '';
+    for (const char of text) {
+        // 39 bytes -> 52 base64 characters -> a 64 character encoded word
+        if (unescape(encodeURIComponent(chunk + char)).length > 39) {
+            words.push(`=?UTF-8?B?${base64Utf8(chunk)}?=`);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    if (chunk) words.push(`=?UTF-8?B?${base64Utf8(chunk)}?=`);
+
+    return words.join(`${MIME_LINE} `);
+}
+
+// "Jane Doe <jane@x.com>" | "jane@x.com" -> { name, address }
+const parseAddress = (value) => {
+    const match = value.trim().match(/^(.*?)\s*<([^>]+)>$/);
+    if (!match) return { name: '', address: value.trim() };
+    return { name: match[1].replace(/^"(.*)"$/, '$1').trim(), address: match[2].trim() };
+};
+
+// Splits on commas/semicolons outside quotes and angle brackets: '"Doe, Jane" <j@x.com>, b@y.com' -> 2 items
+const splitAddressList = (value) => {
+    if (Array.isArray(value)) return value.map(item => item.trim()).filter(Boolean);
+
+    const items = [];
+    let current = '';
+    let quoted = false;
+    let angle = false;
+    for (const char of value || '') {
+        if (char === '"') quoted = !quoted;
+        if (char === '<' && !quoted) angle = true;
+        if (char === '>' && !quoted) angle = false;
+        if ((char === ',' || char === ';') && !quoted && !angle) {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    items.push(current);
+    return items.map(item => item.trim()).filter(Boolean);
+};
+
+// One address with its display name quoted (specials) or encoded (non-ASCII) as needed
+const formatAddress = ({ name, address }) => {
+    if (!name) return address;
+    if (!isAscii(name)) return `${encodeHeaderWord(name)} <${address}>`;
+    if (/[()<>\[\]:;@\\,."]/.test(name)) return `"${name.replace(/(["\\])/g, '\\$1')}" <${address}>`;
+    return `${name} <${address}>`;
+};
+
+// Accepts an array or a comma/semicolon separated string. Returns '' when there are no addresses.
+const formatAddressList = (value) => splitAddressList(value)
+    .map(item => formatAddress(parseAddress(item)))
+    .join(`,${MIME_LINE} `);
+
+// Plain text body -> minimal HTML: paragraphs on blank lines, <br> on single line breaks
+const textToHtml = (text) => {
+    const escape = (value) => value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const paragraphs = text.split(/\n{2,}/).map(p => `<p>${escape(p).replace(/\n/g, '<br>')}</p>`);
+    return `<!DOCTYPE html><html><body>${paragraphs.join('')}</body></html>`;
+};
+
+// Content headers + body for one text part. ASCII with short lines goes as-is; anything else as base64.
+const textPart = (text, subtype) => {
+    const normalized = text.replace(/\r?\n/g, MIME_LINE);
+    const plain = isAscii(normalized) && normalized.split(MIME_LINE).every(line => line.length <= 998);
+    return [
+        `Content-Type: text/${subtype}; charset="UTF-8"`,
+        `Content-Transfer-Encoding: ${plain ? '7bit' : 'base64'}`,
+        '',
+        plain ? normalized : wrapBase64(base64Utf8(normalized))
+    ].join(MIME_LINE);
+};
+
+// attachment: { filename, mimeType, data } with data already base64. Non-ASCII filenames use RFC 2231.
+const attachmentPart = ({ filename, mimeType, data }) => {
+    const name = isAscii(filename)
+        ? `filename="${filename.replace(/(["\\])/g, '\\$1')}"`
+        : `filename*=UTF-8''${encodeURIComponent(filename)}`;
+    return [
+        `Content-Type: ${mimeType || 'application/octet-stream'}`,
+        `Content-Disposition: attachment; ${name}`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(data.replace(/\s+/g, ''))
+    ].join(MIME_LINE);
+};
+
+const multipart = (subtype, boundary, parts) => [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    '',
+    ...parts.map(part => `--${boundary}${MIME_LINE}${part}`),
+    `--${boundary}--`
+].join(MIME_LINE);
+
+const randomBoundary = (kind) => `=_${kind}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+// Builds the raw message. message: { to, cc, bcc, replyTo, subject, body, html, attachments, headers }
+//   html: true -> also send an HTML version of body (or pass an HTML string to use as-is)
+//   headers: extra headers, e.g. { 'In-Reply-To': ..., 'References': ... } to thread a reply
+// makeBoundary(kind) can be replaced for reproducible output.
+function buildMimeMessage(message, makeBoundary = randomBoundary) {
+    const { to, cc, bcc, replyTo, subject = '', body = '', html = false, attachments = [], headers = {} } = message;
+
+    const lines = ['MIME-Version: 1.0'];
+    [['To', to], ['Cc', cc], ['Bcc', bcc], ['Reply-To', replyTo]].forEach(([name, value]) => {
+        const formatted = formatAddressList(value);
+        if (formatted) lines.push(`${name}: ${formatted}`);
+    });
+    Object.entries(headers).forEach(([name, value]) => {
+        if (value) lines.push(`${name}: ${value}`);
+    });
+    lines.push(`Subject: ${encodeHeaderWord(subject)}`);
+
+    let content = textPart(body, 'plain');
+    if (html) {
+        const htmlBody = typeof html === 'string' ? html : textToHtml(body);
+        content = multipart('alternative', makeBoundary('alt'), [content, textPart(htmlBody, 'html')]);
+    }
+    if (attachments.length > 0) {
+        content = multipart('mixed', makeBoundary('mixed'), [content, ...attachments.map(attachmentPart)]);
+    }
+
+    return `${lines.join(MIME_LINE)}${MIME_LINE}${content}`;
+}
+
+// Gmail's `raw` field wants URL-safe base64 without padding
+const toBase64Url = (raw) => base64Utf8(raw)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
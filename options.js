@@ -2,38 +2,129 @@
 const saveOptions = () => {
   const apiKey = document.getElementById('apiKey').value;
   const anthropicApiKey = document.getElementById('anthropicApiKey').value;
-  const userContext = document.getElementById('userContext').value;
   const modelSelect = document.getElementById('model').value;
   const customModel = document.getElementById('customModel').value;
   const model = modelSelect === 'custom' ? customModel : modelSelect;
-  const tone = document.getElementById('tone').value;
-  const exampleEmail = document.getElementById('exampleEmail').value;
-  const financeRecruitingMode = document.getElementById('financeRecruitingMode').checked;
+  const provider = document.getElementById('provider').value;
+  const customBaseUrl = document.getElementById('customBaseUrl').value.trim();
+  const customApiKey = document.getElementById('customApiKey').value;
+  const fallbackEnabled = document.getElementById('fallbackEnabled').checked;
+  const fallbackModel = document.getElementById('fallbackModel').value.trim();
+  const defaultTemplateId = document.getElementById('defaultTemplateId').value;
+  const companyDomains = sanitizeCompanyDomains(readCompanyDomainRows());
+  const followUpCadenceText = document.getElementById('followUpCadence').value;
+  const followUpCadence = parseCadence(followUpCadenceText);
+  const gmailSyncEnabled = document.getElementById('gmailSyncEnabled').checked;
+  const draftDestination = document.getElementById('draftDestination').value;
+  const outlookClientId = document.getElementById('outlookClientId').value.trim();
+  const outlookTenant = document.getElementById('outlookTenant').value.trim();
+  const replyToAddress = document.getElementById('replyToAddress').value.trim();
+  const defaultCc = document.getElementById('defaultCc').value.trim();
+  const defaultBcc = document.getElementById('defaultBcc').value.trim();
+  const htmlEmail = document.getElementById('htmlEmail').checked;
+  const styleMemoryEnabled = document.getElementById('styleMemoryEnabled').checked;
 
-  if (!apiKey && !anthropicApiKey) {
+  commitPersonaForm();
+
+  if (provider !== 'custom' && !apiKey && !anthropicApiKey) {
     showStatus('Please enter at least one API Key.', 'error');
     return;
   }
 
+  if (provider === 'custom' && !isValidUrl(customBaseUrl)) {
+    showStatus('Please enter a valid base URL for the custom provider.', 'error');
+    return;
+  }
+
+  if (draftDestination === 'outlook' && !outlookClientId) {
+    showStatus('Please enter your Azure app client ID to draft in Outlook.', 'error');
+    return;
+  }
+
+  // Names may be quoted and contain commas ("Doe, Jane" <jane@x.com>), so only check what's in the brackets
+  const badAddress = [replyToAddress, defaultCc, defaultBcc].join(',')
+    .replace(/"[^"]*"/g, '')
+    .split(/[,;]/)
+    .map(item => item.trim())
+    .find(item => item && !/^[^<>]*<?[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+>?$/.test(item));
+  if (badAddress) {
+    showStatus(`"${badAddress}" is not a valid email address.`, 'error');
+    return;
+  }
+
+  if (editedPersonas.some(persona => !persona.name)) {
+    showStatus('Every persona needs a name.', 'error');
+    return;
+  }
+
+  if (followUpCadenceText.trim() && followUpCadence.length === 0) {
+    showStatus('Follow-up cadence must be a list of days, e.g. 4, 10.', 'error');
+    return;
+  }
+
   if (modelSelect === 'custom' && !customModel) {
     showStatus('Please enter a custom model name.', 'error');
     return;
   }
 
-  chrome.storage.local.set(
-    {
-      openAiApiKey: apiKey,
-      anthropicApiKey: anthropicApiKey,
-      userContext: userContext,
-      model: model,
-      tone: tone,
-      exampleEmail: exampleEmail,
-      financeRecruitingMode: financeRecruitingMode
-    },
-    () => {
-      showStatus('Settings saved successfully!', 'success');
+  // The extension can only call hosts it has permission for, so ask for the custom server's origin
+  const permissionRequest = provider === 'custom'
+    ? chrome.permissions.request({ origins: [`${new URL(customBaseUrl).origin}/*`] })
+    : Promise.resolve(true);
+
+  permissionRequest.then(async (granted) => {
+    if (!granted) {
+      showStatus('Permission to reach the custom base URL was denied.', 'error');
+      return;
     }
-  );
+
+    // Catch up with persona changes saved elsewhere that the storage listener hasn't delivered yet
+    rebasePersonas((await loadPersonas()).personas);
+
+    chrome.storage.local.set(
+      {
+        openAiApiKey: apiKey,
+        anthropicApiKey: anthropicApiKey,
+        model: model,
+        provider: provider,
+        customBaseUrl: customBaseUrl,
+        customApiKey: customApiKey,
+        fallbackEnabled: fallbackEnabled,
+        fallbackModel: fallbackModel,
+        personas: editedPersonas,
+        defaultPersonaId: editedDefaultPersonaId,
+        defaultTemplateId: defaultTemplateId,
+        companyDomains: companyDomains,
+        followUpCadence: followUpCadence,
+        gmailSyncEnabled: gmailSyncEnabled,
+        draftDestination: draftDestination,
+        outlookClientId: outlookClientId,
+        outlookTenant: outlookTenant,
+        replyToAddress: replyToAddress,
+        defaultCc: defaultCc,
+        defaultBcc: defaultBcc,
+        htmlEmail: htmlEmail,
+        styleMemoryEnabled: styleMemoryEnabled
+      },
+      () => {
+        showStatus('Settings saved successfully!', 'success');
+        if (gmailSyncEnabled) {
+          // First sync right away, which also asks for the read scope if we don't have it yet
+          chrome.runtime.sendMessage({ action: 'syncGmail' }, (response) => {
+            if (response && !response.success) showStatus(`Gmail sync: ${response.error}`, 'error');
+          });
+        }
+      }
+    );
+  });
+};
+
+const isValidUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
 };
 
 // Restores select box and checkbox state using the preferences
@@ -43,21 +134,45 @@ const restoreOptions = () => {
     {
       openAiApiKey: '',
       anthropicApiKey: '',
-      userContext: '',
       model: 'gpt-5.2',
-      tone: 'Casual & Friendly',
-      exampleEmail: '',
-      financeRecruitingMode: false
+      provider: 'auto',
+      customBaseUrl: '',
+      customApiKey: '',
+      fallbackEnabled: true,
+      fallbackModel: '',
+      followUpCadence: DEFAULT_FOLLOW_UP_CADENCE,
+      gmailSyncEnabled: false,
+      draftDestination: 'gmail',
+      outlookClientId: '',
+      outlookTenant: '',
+      replyToAddress: '',
+      defaultCc: '',
+      defaultBcc: '',
+      htmlEmail: false,
+      styleMemoryEnabled: true
     },
     (items) => {
       document.getElementById('apiKey').value = items.openAiApiKey;
       if (items.anthropicApiKey) {
         document.getElementById('anthropicApiKey').value = items.anthropicApiKey;
       }
-      document.getElementById('userContext').value = items.userContext;
-      document.getElementById('tone').value = items.tone;
-      document.getElementById('exampleEmail').value = items.exampleEmail;
-      document.getElementById('financeRecruitingMode').checked = items.financeRecruitingMode;
+      document.getElementById('provider').value = items.provider;
+      document.getElementById('customBaseUrl').value = items.customBaseUrl;
+      document.getElementById('customApiKey').value = items.customApiKey;
+      document.getElementById('fallbackEnabled').checked = items.fallbackEnabled;
+      document.getElementById('fallbackModel').value = items.fallbackModel;
+      document.getElementById('followUpCadence').value = formatCadence(items.followUpCadence);
+      document.getElementById('gmailSyncEnabled').checked = items.gmailSyncEnabled;
+      document.getElementById('draftDestination').value = items.draftDestination;
+      document.getElementById('outlookClientId').value = items.outlookClientId;
+      document.getElementById('outlookTenant').value = items.outlookTenant;
+      document.getElementById('replyToAddress').value = items.replyToAddress;
+      document.getElementById('defaultCc').value = items.defaultCc;
+      document.getElementById('defaultBcc').value = items.defaultBcc;
+      document.getElementById('htmlEmail').checked = items.htmlEmail;
+      document.getElementById('styleMemoryEnabled').checked = items.styleMemoryEnabled;
+      toggleCustomProviderFields();
+      toggleOutlookFields();
 
       // Check if saved model is in the dropdown
       const modelSelect = document.getElementById('model');
@@ -100,12 +215,700 @@ const setupModelSelect = () => {
   });
 };
 
+// Base URL / key inputs only matter for the OpenAI-compatible provider
+const toggleCustomProviderFields = () => {
+  const provider = document.getElementById('provider').value;
+  document.getElementById('customProviderFields').style.display = provider === 'custom' ? 'block' : 'none';
+};
+
+const setupProviderSelect = () => {
+  document.getElementById('provider').addEventListener('change', toggleCustomProviderFields);
+};
+
+// --- PROMPT TEMPLATES ---
+// User templates are saved straight away by "Save Template"; the default pick is saved with the other settings.
+let userTemplates = [];
+
+const readWordLimit = (id) => {
+  const value = parseInt(document.getElementById(id).value);
+  return value > 0 ? value : null;
+};
+
+// Refills both template selects, keeping the current picks where they still exist
+const renderTemplateLists = async (selectedId) => {
+  const { templates, defaultTemplateId } = await loadTemplates();
+  userTemplates = templates.filter(t => !t.builtIn);
+
+  const list = document.getElementById('templateList');
+  const defaultSelect = document.getElementById('defaultTemplateId');
+  const currentDefault = defaultSelect.value || defaultTemplateId;
+
+  [list, defaultSelect].forEach(select => {
+    select.innerHTML = '';
+    templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.builtIn ? `${template.name} (built-in)` : template.name;
+      select.appendChild(option);
+    });
+  });
+
+  defaultSelect.value = findTemplate(templates, currentDefault).id;
+  list.value = findTemplate(templates, selectedId || list.dataset.selected).id;
+  showTemplate(findTemplate(templates, list.value));
+};
+
+const showTemplate = (template) => {
+  document.getElementById('templateList').dataset.selected = template.id;
+  document.getElementById('templateName').value = template.name;
+  document.getElementById('templateMinWords').value = template.minWords || '';
+  document.getElementById('templateMaxWords').value = template.maxWords || '';
+  document.getElementById('templatePrompt').value = template.prompt;
+
+  // Built-ins are read-only so updates to them reach every user
+  ['templateName', 'templateMinWords', 'templateMaxWords', 'templatePrompt'].forEach(id => {
+    document.getElementById(id).readOnly = template.builtIn;
+  });
+  document.getElementById('templateReadOnlyNote').style.display = template.builtIn ? 'block' : 'none';
+  document.getElementById('saveTemplate').disabled = template.builtIn;
+  document.getElementById('deleteTemplate').disabled = template.builtIn;
+};
+
+const storeUserTemplates = (selectedId, message) => {
+  chrome.storage.local.set({ promptTemplates: userTemplates }, async () => {
+    await renderTemplateLists(selectedId);
+    if (editedPersonas.length > 0) renderPersonaList(); // Template choices changed
+    showStatus(message, 'success');
+  });
+};
+
+const addTemplate = (name, source) => {
+  const template = {
+    id: `template-${Date.now()}`,
+    name,
+    builtIn: false,
+    minWords: source ? source.minWords : null,
+    maxWords: source ? source.maxWords : 100,
+    prompt: source ? source.prompt : `${PROMPT_HEADER}\n\nSign off with "Best," and {{sender.firstName}}.`
+  };
+  userTemplates.push(template);
+  storeUserTemplates(template.id, `Created "${name}".`);
+};
+
+const saveTemplate = () => {
+  const id = document.getElementById('templateList').value;
+  const template = userTemplates.find(t => t.id === id);
+  if (!template) return;
+
+  const name = document.getElementById('templateName').value.trim();
+  const prompt = document.getElementById('templatePrompt').value;
+  if (!name || !prompt.trim()) {
+    showStatus('A template needs a name and a prompt.', 'error');
+    return;
+  }
+
+  const minWords = readWordLimit('templateMinWords');
+  const maxWords = readWordLimit('templateMaxWords');
+  if (minWords && maxWords && minWords > maxWords) {
+    showStatus('Min words must not be more than max words.', 'error');
+    return;
+  }
+
+  Object.assign(template, { name, prompt, minWords, maxWords });
+  storeUserTemplates(id, 'Template saved.');
+};
+
+const setupTemplateEditor = () => {
+  document.getElementById('templateVariables').textContent =
+    TEMPLATE_VARIABLES.map(([name, description]) => `{{${name}}} (${description})`).join(', ');
+
+  document.getElementById('templateList').addEventListener('change', () => {
+    renderTemplateLists(document.getElementById('templateList').value);
+  });
+
+  document.getElementById('newTemplate').addEventListener('click', () => addTemplate('New Template'));
+
+  document.getElementById('duplicateTemplate').addEventListener('click', async () => {
+    const { templates } = await loadTemplates();
+    const source = findTemplate(templates, document.getElementById('templateList').value);
+    addTemplate(`${source.name} (copy)`, source);
+  });
+
+  document.getElementById('deleteTemplate').addEventListener('click', () => {
+    const id = document.getElementById('templateList').value;
+    const template = userTemplates.find(t => t.id === id);
+    if (!template || !confirm(`Delete the "${template.name}" template?`)) return;
+
+    userTemplates = userTemplates.filter(t => t.id !== id);
+    storeUserTemplates(DEFAULT_TEMPLATE_ID, 'Template deleted.');
+  });
+
+  document.getElementById('saveTemplate').addEventListener('click', saveTemplate);
+
+  renderTemplateLists();
+};
+
+// --- SENDER PERSONAS ---
+// Edited in memory and saved with the other settings. The form shows the persona picked in personaList.
+let editedPersonas = [];
+let editedDefaultPersonaId = DEFAULT_PERSONA_ID;
+// The stored personas the edits are based on: fields still equal to these weren't edited on this page
+let basePersonas = [];
+
+const clonePersonas = (personas) => JSON.parse(JSON.stringify(personas));
+
+// Three-way merge of the edited personas onto `stored`, the personas in storage now. Fields edited here
+// win and the rest take the stored value, so a sender context or LinkedIn profile saved from a profile page
+// ("Use as my sender context") while this page was open isn't reverted. Personas deleted here stay deleted;
+// ones added elsewhere are kept.
+const rebasePersonas = (stored) => {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const merged = editedPersonas.map(persona => {
+    const base = basePersonas.find(p => p.id === persona.id);
+    const current = stored.find(p => p.id === persona.id);
+    if (!base || !current) return persona;
+    return Object.fromEntries(Object.keys({ ...current, ...persona })
+      .map(field => [field, same(persona[field], base[field]) ? current[field] : persona[field]]));
+  });
+  const addedElsewhere = stored.filter(p => !basePersonas.some(b => b.id === p.id) && !editedPersonas.some(e => e.id === p.id));
+
+  editedPersonas = [...merged, ...addedElsewhere];
+  basePersonas = clonePersonas(stored);
+  // Straight into the form: anything that commits it next must not copy the older values back
+  showPersona(findPersona(editedPersonas, document.getElementById('personaList').dataset.selected, editedDefaultPersonaId));
+  renderPersonaList();
+};
+
+// Copies the form back into the persona it shows
+const commitPersonaForm = () => {
+  const persona = editedPersonas.find(p => p.id === document.getElementById('personaList').dataset.selected);
+  if (!persona) return;
+
+  Object.assign(persona, {
+    name: document.getElementById('personaName').value.trim(),
+    senderName: document.getElementById('personaSenderName').value.trim(),
+    tone: document.getElementById('tone').value,
+    context: document.getElementById('userContext').value,
+    signature: document.getElementById('personaSignature').value.trim(),
+    exampleEmails: splitExampleEmails(document.getElementById('exampleEmail').value),
+    templateId: document.getElementById('personaTemplateId').value,
+    gmailAccount: document.getElementById('personaGmailAccount').value
+  });
+};
+
+// Template and account choices, each with an empty "use the default" entry first
+const renderPersonaChoices = async () => {
+  const { templates } = await loadTemplates();
+  const { gmailAccounts = {} } = await chrome.storage.local.get('gmailAccounts');
+  const fill = (select, firstLabel, entries) => {
+    select.innerHTML = '';
+    [['', firstLabel], ...entries].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  };
+
+  fill(document.getElementById('personaTemplateId'), 'Default template', templates.map(t => [t.id, t.name]));
+  fill(document.getElementById('personaGmailAccount'), 'Default account', Object.keys(gmailAccounts).map(email => [email, email]));
+};
+
+const showPersona = (persona) => {
+  const isDefault = persona.id === editedDefaultPersonaId;
+  document.getElementById('personaList').dataset.selected = persona.id;
+  document.getElementById('personaName').value = persona.name;
+  document.getElementById('personaSenderName').value = persona.senderName;
+  document.getElementById('tone').value = persona.tone;
+  document.getElementById('userContext').value = persona.context;
+  document.getElementById('personaSignature').value = persona.signature;
+  document.getElementById('exampleEmail').value = joinExampleEmails(persona.exampleEmails);
+  document.getElementById('personaTemplateId').value = persona.templateId;
+  document.getElementById('personaGmailAccount').value = persona.gmailAccount;
+  // The overlap analyzer compares full profiles only once one was saved from LinkedIn
+  document.getElementById('personaSenderProfile').textContent = persona.senderProfile
+    ? `Shared schools, employers and clubs are checked against your LinkedIn profile (saved ${new Date(persona.senderProfile.savedAt).toLocaleDateString()}).`
+    : 'Shared schools, employers and clubs are only found in the text above. Click "Use as my sender context" on your own LinkedIn profile to compare full profiles.';
+  // Another persona becomes the default by ticking it there
+  document.getElementById('personaIsDefault').checked = isDefault;
+  document.getElementById('personaIsDefault').disabled = isDefault;
+  document.getElementById('deletePersona').disabled = editedPersonas.length === 1;
+};
+
+// Refills the persona picker (keeping edits to the shown persona) and shows `selectedId`
+const renderPersonaList = async (selectedId) => {
+  const list = document.getElementById('personaList');
+  commitPersonaForm();
+  await renderPersonaChoices();
+
+  list.innerHTML = '';
+  editedPersonas.forEach(persona => {
+    const option = document.createElement('option');
+    option.value = persona.id;
+    option.textContent = persona.id === editedDefaultPersonaId ? `${persona.name || 'Untitled'} (default)` : persona.name || 'Untitled';
+    list.appendChild(option);
+  });
+
+  const persona = findPersona(editedPersonas, selectedId || list.dataset.selected, editedDefaultPersonaId);
+  list.value = persona.id;
+  showPersona(persona);
+};
+
+const addPersona = (fields) => {
+  commitPersonaForm();
+  const persona = createPersona({ ...fields, id: `persona-${Date.now()}` });
+  editedPersonas.push(persona);
+  renderPersonaList(persona.id);
+};
+
+const setupPersonaEditor = async () => {
+  const { personas, defaultPersonaId } = await loadPersonas();
+  editedPersonas = personas;
+  editedDefaultPersonaId = defaultPersonaId;
+  basePersonas = clonePersonas(personas);
+
+  // Profile pages update personas too ("Use as my sender context"); show that while keeping edits made here
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local' || !changes.personas) return;
+    commitPersonaForm();
+    rebasePersonas((await loadPersonas()).personas);
+  });
+
+  document.getElementById('personaList').addEventListener('change', () => {
+    renderPersonaList(document.getElementById('personaList').value);
+  });
+
+  document.getElementById('newPersona').addEventListener('click', () => addPersona({ name: 'New Persona' }));
+
+  document.getElementById('duplicatePersona').addEventListener('click', () => {
+    commitPersonaForm();
+    const source = findPersona(editedPersonas, document.getElementById('personaList').value);
+    addPersona({ ...source, name: `${source.name} (copy)` });
+  });
+
+  document.getElementById('deletePersona').addEventListener('click', () => {
+    const id = document.getElementById('personaList').value;
+    const persona = editedPersonas.find(p => p.id === id);
+    if (!persona || editedPersonas.length === 1 || !confirm(`Delete the "${persona.name}" persona?`)) return;
+
+    editedPersonas = editedPersonas.filter(p => p.id !== id);
+    if (editedDefaultPersonaId === id) editedDefaultPersonaId = editedPersonas[0].id;
+    document.getElementById('personaList').dataset.selected = '';
+    renderPersonaList(editedDefaultPersonaId);
+  });
+
+  document.getElementById('personaIsDefault').addEventListener('change', () => {
+    editedDefaultPersonaId = document.getElementById('personaList').value;
+    renderPersonaList(editedDefaultPersonaId);
+  });
+
+  renderPersonaList(editedDefaultPersonaId);
+};
+
+// --- EMAIL FINDER TABLE ---
+const addCompanyDomainRow = (row = { company: '', domain: '', pattern: 'first.last' }) => {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td style="padding: 4px;"><input type="text" class="cd-company" placeholder="Company" style="width: 100%; padding: 6px; box-sizing: border-box;"></td>
+    <td style="padding: 4px;"><input type="text" class="cd-domain" placeholder="company.com" style="width: 100%; padding: 6px; box-sizing: border-box;"></td>
+    <td style="padding: 4px;"><select class="cd-pattern" style="width: 100%; padding: 6px;"></select></td>
+    <td style="padding: 4px;"><button type="button" class="cd-remove" style="padding: 4px 10px; background-color: #dc2626;">&times;</button></td>
+  `;
+
+  const patternSelect = tr.querySelector('.cd-pattern');
+  Object.keys(EMAIL_PATTERNS).forEach(pattern => {
+    const option = document.createElement('option');
+    option.value = pattern;
+    option.textContent = pattern;
+    patternSelect.appendChild(option);
+  });
+
+  tr.querySelector('.cd-company').value = row.company;
+  tr.querySelector('.cd-domain').value = row.domain;
+  patternSelect.value = EMAIL_PATTERNS[row.pattern] ? row.pattern : 'first.last';
+  tr.querySelector('.cd-remove').addEventListener('click', () => tr.remove());
+
+  document.querySelector('#companyDomainsTable tbody').appendChild(tr);
+  return tr;
+};
+
+const renderCompanyDomains = (rows) => {
+  document.querySelector('#companyDomainsTable tbody').innerHTML = '';
+  rows.forEach(row => addCompanyDomainRow(row));
+};
+
+const readCompanyDomainRows = () => Array.from(document.querySelectorAll('#companyDomainsTable tbody tr')).map(tr => ({
+  company: tr.querySelector('.cd-company').value,
+  domain: tr.querySelector('.cd-domain').value,
+  pattern: tr.querySelector('.cd-pattern').value
+}));
+
+const importCompanyDomains = (file) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const rows = parseCsvObjects(reader.result);
+    const valid = sanitizeCompanyDomains(rows);
+    if (valid.length === 0) {
+      showStatus('No valid rows found. Expected columns: company, domain, pattern.', 'error');
+      return;
+    }
+
+    // Imported rows replace existing rows for the same company
+    const imported = new Set(valid.map(row => row.company.toLowerCase()));
+    const kept = readCompanyDomainRows().filter(row => !imported.has(row.company.trim().toLowerCase()));
+    renderCompanyDomains([...kept, ...valid]);
+
+    const skipped = rows.length - valid.length;
+    showStatus(`Imported ${valid.length} companies${skipped > 0 ? ` (${skipped} invalid rows skipped)` : ''}. Click Save Settings to keep them.`, 'success');
+  };
+  reader.readAsText(file);
+};
+
+const setupCompanyDomains = async () => {
+  document.getElementById('emailPatternList').textContent = Object.keys(EMAIL_PATTERNS).join(', ');
+  renderCompanyDomains(await loadCompanyDomains());
+
+  const fileInput = document.getElementById('companyDomainsFile');
+  document.getElementById('addCompanyDomain').addEventListener('click', () => {
+    addCompanyDomainRow().querySelector('.cd-company').focus();
+  });
+  document.getElementById('importCompanyDomains').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) importCompanyDomains(fileInput.files[0]);
+    fileInput.value = ''; // Allow importing the same file again
+  });
+  document.getElementById('exportCompanyDomains').addEventListener('click', () => {
+    downloadTextFile('company-domains.csv', toCsv(sanitizeCompanyDomains(readCompanyDomainRows()), COMPANY_DOMAIN_COLUMNS));
+  });
+  document.getElementById('resetCompanyDomains').addEventListener('click', () => {
+    if (confirm('Replace the table with the built-in company list?')) renderCompanyDomains(DEFAULT_COMPANY_DOMAINS);
+  });
+};
+
+// --- SAVED PROFILES IMPORT / EXPORT ---
+// Works on storage directly; saved profiles aren't part of the settings form.
+const renderExportListOptions = async () => {
+  const { profileLists = [] } = await chrome.storage.local.get('profileLists');
+  const select = document.getElementById('exportProfileList');
+  const current = select.value;
+  select.innerHTML = '<option value="all">All lists</option>';
+  profileLists.forEach(list => {
+    const option = document.createElement('option');
+    option.value = list;
+    option.textContent = list;
+    select.appendChild(option);
+  });
+  select.value = profileLists.includes(current) ? current : 'all';
+};
+
+const exportProfiles = async (format) => {
+  const { savedProfiles = [], profileLists = [] } = await chrome.storage.local.get(['savedProfiles', 'profileLists']);
+  const list = document.getElementById('exportProfileList').value;
+  const profiles = collectProfilesForExport(savedProfiles, await loadOutreachLog(), list);
+  if (profiles.length === 0) {
+    showStatus('No saved profiles to export.', 'error');
+    return;
+  }
+
+  const base = `saved-profiles-${list === 'all' ? 'all' : list.replace(/[^\w-]+/g, '-').toLowerCase()}`;
+  if (format === 'json') {
+    downloadTextFile(`${base}.json`, profilesToJson(profiles, list === 'all' ? profileLists : [list]), 'application/json');
+  } else {
+    downloadTextFile(`${base}.csv`, profilesToCsv(profiles));
+  }
+};
+
+const importProfiles = (file) => {
+  const reader = new FileReader();
+  reader.onload = async () => {
+    let imported;
+    try {
+      imported = parseProfileImport(reader.result, file.name);
+    } catch (e) {
+      showStatus(`Could not read ${file.name}: ${e.message}`, 'error');
+      return;
+    }
+    if (imported.profiles.length === 0) {
+      showStatus('No profiles with a LinkedIn URL found in that file.', 'error');
+      return;
+    }
+
+    const { savedProfiles = [], profileLists = [] } = await chrome.storage.local.get(['savedProfiles', 'profileLists']);
+    const merged = mergeImportedProfiles(
+      { savedProfiles, profileLists, log: await loadOutreachLog() },
+      imported,
+      { conflict: document.getElementById('importConflict').value }
+    );
+    await chrome.storage.local.set({
+      savedProfiles: merged.savedProfiles,
+      profileLists: merged.profileLists,
+      outreachLog: merged.log
+    });
+    renderExportListOptions();
+
+    const { added, updated, skipped } = merged.report;
+    const parts = [`${added} added`, `${updated} updated`, `${skipped} already saved`];
+    if (imported.invalid > 0) parts.push(`${imported.invalid} invalid rows skipped`);
+    showStatus(`Imported profiles: ${parts.join(', ')}.`, 'success');
+  };
+  reader.readAsText(file);
+};
+
+const setupProfileTransfer = () => {
+  const fileInput = document.getElementById('profilesFile');
+  document.getElementById('exportProfilesCsv').addEventListener('click', () => exportProfiles('csv'));
+  document.getElementById('exportProfilesJson').addEventListener('click', () => exportProfiles('json'));
+  document.getElementById('importProfiles').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) importProfiles(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  renderExportListOptions();
+};
+
+// --- GMAIL ACCOUNTS ---
+// Sign-in and revoke run in the background worker; the default pick is stored directly.
+const renderGmailAccounts = async () => {
+  const { gmailAccounts = {}, defaultGmailAccount = null } = await chrome.storage.local.get(['gmailAccounts', 'defaultGmailAccount']);
+  const container = document.getElementById('gmailAccountList');
+  const emails = Object.keys(gmailAccounts);
+  container.innerHTML = '';
+  if (editedPersonas.length > 0) renderPersonaList(); // Account choices changed
+
+  if (emails.length === 0) {
+    container.innerHTML = '<p class="info" style="margin-top: 0;">No Gmail account connected yet.</p>';
+    return;
+  }
+
+  const defaultEmail = gmailAccounts[defaultGmailAccount] ? defaultGmailAccount : emails[0];
+  emails.forEach(email => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 6px 0;';
+    row.innerHTML = `
+      <input type="radio" name="defaultGmailAccount" style="width: 16px; height: 16px; margin: 0;">
+      <span style="flex: 1; font-size: 14px;"></span>
+      <button type="button" style="padding: 4px 10px; font-size: 12px; background-color: #dc2626;">Sign out</button>
+    `;
+    const radio = row.querySelector('input');
+    radio.checked = email === defaultEmail;
+    radio.title = 'Default account';
+    radio.addEventListener('change', () => {
+      chrome.storage.local.set({ defaultGmailAccount: email }, () => showStatus(`${email} is now the default account.`, 'success'));
+    });
+    row.querySelector('span').textContent = email;
+    row.querySelector('button').addEventListener('click', () => {
+      if (!confirm(`Sign out of ${email}?`)) return;
+      chrome.runtime.sendMessage({ action: 'removeGmailAccount', email }, (response) => {
+        if (response && !response.success) showStatus(response.error, 'error');
+        renderGmailAccounts();
+      });
+    });
+    container.appendChild(row);
+  });
+};
+
+const setupGmailAccounts = () => {
+  document.getElementById('addGmailAccount').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'addGmailAccount' }, (response) => {
+      if (response && response.success) {
+        showStatus(`Connected ${response.email}.`, 'success');
+      } else {
+        showStatus(`Could not connect Gmail: ${response ? response.error : 'no response'}`, 'error');
+      }
+      renderGmailAccounts();
+    });
+  });
+  renderGmailAccounts();
+};
+
+// --- STYLE MEMORY ---
+// Pin and delete apply right away; the on/off switch is saved with the other settings.
+const renderStyleMemory = async () => {
+  const examples = await loadStyleMemory();
+  const { personas } = await loadPersonas();
+  const container = document.getElementById('styleMemoryList');
+  container.innerHTML = '';
+
+  if (examples.length === 0) {
+    container.innerHTML = '<p class="info" style="margin-top: 0;">No emails remembered yet.</p>';
+    return;
+  }
+
+  examples
+    .slice()
+    .sort((a, b) => (b.pinned - a.pinned) || b.createdAt - a.createdAt)
+    .forEach(example => {
+      const persona = personas.find(p => p.id === example.personaId);
+      const state = example.replied ? 'Replied' : (example.sent ? 'Sent' : (isFinalExample(example) ? 'Approved' : 'Draft only'));
+      const meta = [
+        example.recipient && example.recipient.name ? `to ${example.recipient.name}` : '',
+        persona ? persona.name : '',
+        example.templateName,
+        example.industry,
+        example.edited ? `${state}, edited by you` : state,
+        new Date(example.createdAt).toLocaleDateString()
+      ].filter(Boolean).join(' \u00b7 ');
+
+      const row = document.createElement('details');
+      row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid #f3f4f6;';
+      row.innerHTML = `
+        <summary style="display: flex; align-items: center; gap: 8px; cursor: pointer; list-style: none;">
+          <span style="flex: 1; font-size: 14px;"><strong></strong><br><span class="info"></span></span>
+          <button type="button" style="padding: 4px 10px; font-size: 12px;"></button>
+          <button type="button" style="padding: 4px 10px; font-size: 12px; background-color: #dc2626;">Delete</button>
+        </summary>
+        <div style="white-space: pre-wrap; font-size: 13px; color: #374151; margin-top: 6px;"></div>
+      `;
+      row.querySelector('strong').textContent = example.subject || '(no subject)';
+      row.querySelector('.info').textContent = meta;
+      row.querySelector('div').textContent = example.body;
+
+      const [pin, remove] = row.querySelectorAll('button');
+      pin.textContent = example.pinned ? 'Unpin' : 'Pin';
+      pin.addEventListener('click', async (e) => {
+        e.preventDefault(); // Don't toggle the details
+        await setStyleExamplePinned(example.id, !example.pinned);
+        renderStyleMemory();
+      });
+      remove.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await removeStyleExample(example.id);
+        renderStyleMemory();
+      });
+      container.appendChild(row);
+    });
+};
+
+// --- COMPANY RESEARCH ---
+// Notes and delete apply right away.
+const renderCompanyContexts = async () => {
+  const contexts = Object.values(await loadCompanyContexts());
+  const container = document.getElementById('companyContextList');
+  container.innerHTML = '';
+
+  if (contexts.length === 0) {
+    container.innerHTML = '<p class="info" style="margin-top: 0;">No companies researched yet.</p>';
+    return;
+  }
+
+  contexts
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .forEach(entry => {
+      const meta = [
+        entry.industry,
+        entry.size,
+        entry.scrapedAt ? `page read ${formatDaysAgo(entry.scrapedAt)}` : 'page not read',
+        entry.posts.length > 0 ? `${entry.posts.length} recent posts` : ''
+      ].filter(Boolean).join(' \u00b7 ');
+
+      const row = document.createElement('details');
+      row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid #f3f4f6;';
+      row.innerHTML = `
+        <summary style="display: flex; align-items: center; gap: 8px; cursor: pointer; list-style: none;">
+          <span style="flex: 1; font-size: 14px;"><strong></strong><br><span class="info"></span></span>
+          <button type="button" style="padding: 4px 10px; font-size: 12px; background-color: #dc2626;">Delete</button>
+        </summary>
+        <div style="white-space: pre-wrap; font-size: 13px; color: #374151; margin: 6px 0;"></div>
+        <textarea rows="3"></textarea>
+      `;
+      row.querySelector('strong').textContent = entry.name || entry.key;
+      row.querySelector('.info').textContent = meta;
+      row.querySelector('div').textContent = entry.about;
+
+      const notes = row.querySelector('textarea');
+      notes.value = entry.notes;
+      notes.placeholder = `Your notes on ${entry.name || 'this company'}...`;
+      notes.addEventListener('change', () => saveCompanyContext(entry, { notes: notes.value.trim() }));
+
+      row.querySelector('button').addEventListener('click', async (e) => {
+        e.preventDefault(); // Don't toggle the details
+        await removeCompanyContext(entry.key);
+        renderCompanyContexts();
+      });
+      container.appendChild(row);
+    });
+};
+
+// --- DRAFT DESTINATION ---
+// Outlook signs in on the first draft (background worker); options only shows and forgets the account.
+const toggleOutlookFields = () => {
+  const destination = document.getElementById('draftDestination').value;
+  document.getElementById('outlookFields').style.display = destination === 'outlook' ? 'block' : 'none';
+};
+
+const renderOutlookAccount = async () => {
+  const { outlookAccount = null } = await chrome.storage.local.get('outlookAccount');
+  document.getElementById('outlookAccountStatus').textContent = outlookAccount
+    ? `Signed in as ${outlookAccount.email}`
+    : 'Not signed in yet (you will be asked on your first draft).';
+  document.getElementById('signOutOutlook').style.display = outlookAccount ? 'inline-block' : 'none';
+};
+
+const setupDraftDestination = () => {
+  document.getElementById('draftDestination').addEventListener('change', toggleOutlookFields);
+  document.getElementById('outlookRedirectUri').textContent = chrome.identity.getRedirectURL();
+  document.getElementById('signOutOutlook').addEventListener('click', () => {
+    chrome.storage.local.remove('outlookAccount', renderOutlookAccount);
+  });
+  renderOutlookAccount();
+};
+
+// --- RESUME ATTACHMENT ---
+// Stored right away (not on Save) as { filename, mimeType, data (base64), size }.
+const MAX_RESUME_BYTES = 2 * 1024 * 1024;
+
+const renderResume = async () => {
+  const { resumeAttachment = null } = await chrome.storage.local.get('resumeAttachment');
+  document.getElementById('resumeStatus').textContent = resumeAttachment
+    ? `${resumeAttachment.filename} (${Math.ceil(resumeAttachment.size / 1024)} KB)`
+    : 'No resume uploaded.';
+  document.getElementById('chooseResume').textContent = resumeAttachment ? 'Replace' : 'Upload';
+  document.getElementById('removeResume').style.display = resumeAttachment ? 'inline-block' : 'none';
+};
+
+const storeResume = (file) => {
+  if (file.size > MAX_RESUME_BYTES) {
+    showStatus('That file is over 2 MB. Please upload a smaller PDF.', 'error');
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const resumeAttachment = {
+      filename: file.name,
+      mimeType: file.type || 'application/octet-stream',
+      data: reader.result.slice(reader.result.indexOf(',') + 1), // Strip the data: URL prefix
+      size: file.size
+    };
+    chrome.storage.local.set({ resumeAttachment }, () => {
+      showStatus(`Saved ${file.name} as your resume attachment.`, 'success');
+      renderResume();
+    });
+  };
+  reader.onerror = () => showStatus('Could not read that file.', 'error');
+  reader.readAsDataURL(file);
+};
+
+const setupResume = () => {
+  const fileInput = document.getElementById('resumeFile');
+  document.getElementById('chooseResume').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) storeResume(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  document.getElementById('removeResume').addEventListener('click', () => {
+    chrome.storage.local.remove('resumeAttachment', renderResume);
+  });
+  renderResume();
+};
+
 const setupHelperModal = () => {
   const modal = document.getElementById('setupModal');
   const btn = document.getElementById('openSetupHelper');
   const span = document.getElementsByClassName('close')[0];
   const copyBtn = document.getElementById('copyPrompt');
   const promptText = document.getElementById('systemPrompt');
+  promptText.value = SENDER_CONTEXT_PROMPT;
 
   btn.onclick = function (e) {
     e.preventDefault();
@@ -140,6 +943,16 @@ const setupHelperModal = () => {
 document.addEventListener('DOMContentLoaded', () => {
   restoreOptions();
   setupModelSelect();
+  setupProviderSelect();
+  setupTemplateEditor();
+  setupPersonaEditor();
+  setupCompanyDomains();
+  setupProfileTransfer();
+  setupDraftDestination();
+  setupResume();
+  setupGmailAccounts();
+  renderStyleMemory();
+  renderCompanyContexts();
   setupHelperModal();
 });
 document.getElementById('save').addEventListener('click', saveOptions);
@@ -0,0 +1,104 @@
+// Outreach log: every email we drafted for a contact, keyed by normalized LinkedIn profile URL
+// (chrome.storage.local `outreachLog`). Shared by background.js, the content script and the popup.
+//
+// Record: { url, name, headline, status, updatedAt, entries: [{ kind, subject, body, to, cc, model, template,
+//           createdAt, destination, account, draftId, messageId, threadId }] }
+
+const OUTREACH_STATUSES = [
+    { id: 'drafted', label: 'Drafted' },
+    { id: 'sent', label: 'Sent' },
+    { id: 'replied', label: 'Replied' },
+    { id: 'meeting', label: 'Meeting booked' },
+    { id: 'dead', label: 'Dead' }
+];
+
+const outreachStatusLabel = (id) => (OUTREACH_STATUSES.find(s => s.id === id) || OUTREACH_STATUSES[0]).label;
+
+// https://www.linkedin.com/in/Jane-Doe-123/details/experience/?foo -> https://www.linkedin.com/in/jane-doe-123/
+function normalizeProfileUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const match = parsed.pathname.match(/^\/in\/([^/]+)/);
+        if (!match) return `${parsed.origin}${parsed.pathname}`.toLowerCase();
+        return `https://www.linkedin.com/in/${decodeURIComponent(match[1]).toLowerCase()}/`;
+    } catch (e) {
+        return (url || '').toLowerCase();
+    }
+}
+
+const daysSince = (timestamp) => Math.floor((Date.now() - timestamp) / (24 * 60 * 60 * 1000));
+
+const formatDaysAgo = (timestamp) => {
+    const days = daysSince(timestamp);
+    if (days === 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+};
+
+const loadOutreachLog = async () => {
+    const { outreachLog = {} } = await chrome.storage.local.get('outreachLog');
+    return outreachLog;
+};
+
+const getOutreachRecord = async (url) => {
+    const log = await loadOutreachLog();
+    return log[normalizeProfileUrl(url)] || null;
+};
+
+// Writes to the log go one at a time: batch workers and Gmail sync save at the same moment, and two
+// overlapping load -> change -> set calls would each drop the other's change.
+// change(log) edits the log in place; returning null leaves storage untouched.
+let outreachLogWrites = Promise.resolve();
+
+function updateOutreachLog(change) {
+    const write = outreachLogWrites.then(async () => {
+        const log = await loadOutreachLog();
+        const result = await change(log);
+        if (result !== null) await chrome.storage.local.set({ outreachLog: log });
+        return result;
+    });
+    outreachLogWrites = write.catch(() => {});
+    return write;
+}
+
+// Adds one generated email to a contact's history. contact: { url, name, headline }
+async function recordOutreach(contact, entry) {
+    if (!contact || !contact.url) return null;
+
+    const url = normalizeProfileUrl(contact.url);
+    return updateOutreachLog((log) => {
+        const record = log[url] || { url, name: '', headline: '', status: 'drafted', entries: [] };
+
+        record.name = contact.name || record.name;
+        record.headline = contact.headline || record.headline;
+        record.entries.push({ kind: 'initial', ...entry, createdAt: Date.now() });
+        record.updatedAt = Date.now();
+        log[url] = record;
+        return record;
+    });
+}
+
+async function setOutreachStatus(url, status) {
+    return updateOutreachLog((log) => {
+        const record = log[normalizeProfileUrl(url)];
+        if (!record || !OUTREACH_STATUSES.some(s => s.id === status)) return null;
+
+        record.status = status;
+        record.updatedAt = Date.now();
+        return record;
+    });
+}
+
+async function deleteOutreachRecord(url) {
+    await updateOutreachLog((log) => {
+        delete log[normalizeProfileUrl(url)];
+    });
+}
+
+// "You emailed this person 12 days ago" style summary of a record
+const describeOutreach = (record) => {
+    const last = record.entries[record.entries.length - 1];
+    if (!last) return '';
+    const count = record.entries.length;
+    return `You emailed this person ${formatDaysAgo(last.createdAt)}${count > 1 ? ` (${count} emails)` : ''} - ${outreachStatusLabel(record.status)}`;
+};
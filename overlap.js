@@ -0,0 +1,155 @@
+// Overlap analyzer: finds what the sender and the recipient verifiably share (schools, employers, cities,
+// clubs, overlapping years, mutual connections shown on the page) by comparing structured profile data,
+// so the prompt can state them as fact instead of leaving the model to guess from free text.
+// Shared by background.js and the content script; loaded after draftLinter.js (uses its school matching).
+//
+// The sender side is the persona's `senderProfile` (saved from the user's own LinkedIn profile by
+// "Use as my sender context"); anything of the recipient's that the persona's sender context names is
+// counted too. An overlap is { id, kind: school | employer | city | club | mutual, name, label, detail }.
+
+const OVERLAP_KIND_ORDER = ['school', 'employer', 'club', 'city', 'mutual'];
+
+// Corporate suffixes that don't tell two employers apart ("Goldman Sachs & Co. LLC" -> "goldman sachs")
+const ORG_SUFFIXES = ['inc', 'llc', 'llp', 'lp', 'ltd', 'plc', 'co', 'corp', 'corporation', 'company', 'group'];
+
+const normalizeOrgName = (name) => {
+    const words = (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    if (words[0] === 'the') words.shift();
+    while (words.length > 1 && (ORG_SUFFIXES.includes(words[words.length - 1]) || words[words.length - 1] === 'and')) words.pop();
+    return words.join(' ');
+};
+
+// Same organization, allowing one name to be the other plus more ("Evercore" / "Evercore ISI")
+const orgNamesMatch = (a, b) => {
+    const [x, y] = [normalizeOrgName(a), normalizeOrgName(b)].sort((p, q) => p.length - q.length);
+    if (!x) return false;
+    return x === y || (x.length >= 5 && new RegExp(`\\b${escapeRegExp(x)}\\b`).test(y));
+};
+
+// Schools match when either name contains the other's distinctive core
+// ("University of Michigan" / "University of Michigan - Stephen M. Ross School of Business")
+const schoolNamesMatch = (a, b) =>
+    schoolNameVariants(a).some(name => mentions(b, name)) || schoolNameVariants(b).some(name => mentions(a, name));
+
+// "New York, New York, United States" / "Greater New York City Area" -> "new york"
+const normalizeCity = (location) => (location || '')
+    .split(',')[0]
+    .toLowerCase()
+    .replace(/^greater\s+/, '')
+    .replace(/\s+(metropolitan|metro|bay)?\s*area$/, '')
+    .replace(/\s+city$/, '')
+    .trim();
+
+// "Sep 2019 - Present" -> { start: 2019, end: <this year> }; null when the dates have no year
+const parseYearRange = (dates) => {
+    const years = ((dates || '').match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+    if (years.length === 0) return null;
+    const end = /present/i.test(dates) ? new Date().getFullYear() : years[years.length - 1];
+    return { start: years[0], end: Math.max(years[0], end) };
+};
+
+const describeYears = ({ start, end }) => start === end ? `${start}` : `${start}-${end}`;
+
+// "you 2016-2020, them 2017-2021, overlapping 2017-2020"; empty when either side has no dates
+const describeYearOverlap = (senderDates, recipientDates) => {
+    const mine = parseYearRange(senderDates);
+    const theirs = parseYearRange(recipientDates);
+    if (!mine || !theirs) return '';
+
+    const start = Math.max(mine.start, theirs.start);
+    const end = Math.min(mine.end, theirs.end);
+    const overlap = start <= end ? `overlapping ${describeYears({ start, end })}` : 'not at the same time';
+    return `you ${describeYears(mine)}, them ${describeYears(theirs)}, ${overlap}`;
+};
+
+// Clubs and societies: volunteer organizations plus the "Activities and societies" line of each school.
+// A school club keeps its school: "Finance Club" at two different schools isn't the same club.
+const profileClubs = (profile) => [
+    ...(profile.volunteer || []).map(entry => ({ name: entry.organization, dates: entry.dates, school: '' })),
+    ...(profile.education || []).flatMap(entry => (entry.activities || '')
+        .split(/[,;\u00b7]/)
+        .map(name => ({ name: name.trim(), dates: entry.dates, school: entry.school || '' })))
+].filter(club => club.name && club.name.length >= 3);
+
+const clubsMatch = (a, b) => orgNamesMatch(a.name, b.name) &&
+    (a.school && b.school ? schoolNamesMatch(a.school, b.school) : !a.school && !b.school);
+
+// "Jane Doe, John Smith, and 12 other mutual connections" -> { names: ['Jane Doe', 'John Smith'], total: 14 }
+function parseMutualConnections(text) {
+    const match = (text || '').replace(/\s+/g, ' ').trim()
+        .match(/^(.*?)(?:,?\s+and\s+(\d+)\s+others?)?(?:\s+(?:is|are))?\s+(?:a\s+)?mutual connections?\b/i);
+    if (!match) return null;
+
+    const names = match[1].split(/,\s*|\s+and\s+/).map(name => name.trim()).filter(Boolean);
+    const numberOnly = names.length === 1 && /^\d+$/.test(names[0]); // "12 mutual connections"
+    const total = numberOnly ? Number(names[0]) : names.length + Number(match[2] || 0);
+    return total > 0 ? { names: numberOnly ? [] : names, total } : null;
+}
+
+const makeOverlap = (kind, name, label, detail = '', key = name) => ({ id: `${kind}:${normalizeOrgName(key)}`, kind, name, label, detail });
+
+// Everything the sender and recipient share, most telling first.
+// persona: { context, senderProfile }; recipient: a scraped profile; mutualText: the top card's mutual connections line.
+function findOverlaps(persona, recipient, mutualText = '') {
+    const sender = (persona && persona.senderProfile) || {};
+    const senderText = (persona && persona.context) || '';
+    const overlaps = [];
+    const add = (overlap) => {
+        if (!overlaps.some(o => o.id === overlap.id)) overlaps.push(overlap);
+    };
+    const fromContext = 'named in your sender context';
+
+    (recipient.education || []).filter(entry => entry.school).forEach(entry => {
+        const own = (sender.education || []).find(mine => mine.school && schoolNamesMatch(mine.school, entry.school));
+        if (own) add(makeOverlap('school', entry.school, `Both studied at ${entry.school}`, describeYearOverlap(own.dates, entry.dates)));
+        else if (schoolNameVariants(entry.school).some(name => mentions(senderText, name))) add(makeOverlap('school', entry.school, `Both studied at ${entry.school}`, fromContext));
+    });
+
+    (recipient.experiences || []).filter(entry => entry.company).forEach(entry => {
+        const own = (sender.experiences || []).find(mine => mine.company && orgNamesMatch(mine.company, entry.company));
+        if (own) add(makeOverlap('employer', entry.company, `Both worked at ${entry.company}`, describeYearOverlap(own.dates, entry.dates)));
+        else if (normalizeOrgName(entry.company).length >= 4 && mentions(senderText, entry.company)) add(makeOverlap('employer', entry.company, `Both worked at ${entry.company}`, fromContext));
+    });
+
+    const senderClubs = profileClubs(sender);
+    profileClubs(recipient).forEach(club => {
+        const label = club.school ? `Both involved with ${club.name} at ${club.school}` : `Both involved with ${club.name}`;
+        const own = senderClubs.find(mine => clubsMatch(mine, club));
+        if (own) add(makeOverlap('club', club.name, label, describeYearOverlap(own.dates, club.dates), `${club.name} ${club.school}`));
+        else if (!club.school && club.name.length >= 4 && mentions(senderText, club.name)) add(makeOverlap('club', club.name, label, fromContext));
+    });
+
+    const city = normalizeCity(recipient.location);
+    const cityName = (recipient.location || '').split(',')[0].trim();
+    if (city && city === normalizeCity(sender.location)) add(makeOverlap('city', city, `Both based in ${cityName}`));
+    else if (city.length >= 4 && mentions(senderText, city)) add(makeOverlap('city', city, `Both based in ${cityName}`, fromContext));
+
+    const mutual = parseMutualConnections(mutualText);
+    if (mutual) {
+        add(makeOverlap('mutual', 'mutual connections',
+            `${mutual.total} mutual LinkedIn connection${mutual.total === 1 ? '' : 's'}`,
+            mutual.names.length > 0 ? `including ${mutual.names.join(', ')}` : ''));
+    }
+
+    return overlaps.sort((a, b) => OVERLAP_KIND_ORDER.indexOf(a.kind) - OVERLAP_KIND_ORDER.indexOf(b.kind));
+}
+
+const formatOverlap = (overlap) => overlap.detail ? `${overlap.label} (${overlap.detail})` : overlap.label;
+
+// The prompt's VERIFIED SHARED CONNECTIONS lines
+const formatSharedConnections = (overlaps = []) => overlaps.map(overlap => `- ${formatOverlap(overlap)}`).join('\n');
+
+// The parts of the user's own scraped profile the analyzer compares (kept on the persona)
+const toSenderProfile = (profile) => ({
+    name: profile.name || '',
+    location: profile.location || '',
+    experiences: (profile.experiences || []).map(({ company, title, dates }) => ({ company, title, dates })),
+    education: (profile.education || []).map(({ school, degree, dates, activities }) => ({ school, degree, dates, activities })),
+    volunteer: (profile.volunteer || []).map(({ organization, role, dates }) => ({ organization, role, dates })),
+    savedAt: new Date().toISOString()
+});
@@ -0,0 +1,96 @@
+// Sender personas: who the email is from. Each one carries its own sender context, signature block,
+// default template and tone, example emails and Gmail account, so the same install can write as a
+// student recruiting for banking one day and as a founder the next. Shared by background.js, the
+// content script and options.
+//
+// chrome.storage.local:
+//   personas:         [{ id, name, senderName, context, signature, templateId, tone, exampleEmails: [], gmailAccount, senderProfile }]
+//   defaultPersonaId: used when nothing else picks one
+//   personaByList:    { [saved list name]: personaId } - the persona last used for a profile in that list
+//
+// Empty fields fall back to the global settings: templateId -> default template, gmailAccount ->
+// default Gmail account, senderName -> the name on the LinkedIn nav bar, signature -> "Best, {firstName}".
+// senderProfile is the user's own LinkedIn profile (see toSenderProfile in overlap.js), saved with the
+// context by "Use as my sender context"; null until then.
+
+const DEFAULT_PERSONA_ID = 'default';
+const DEFAULT_PERSONA_TONE = 'Casual & Friendly';
+
+// Example emails are edited in one textarea, separated by a line with only "---"
+const EXAMPLE_EMAIL_SEPARATOR = '\n---\n';
+
+const splitExampleEmails = (text) => (text || '')
+    .split(/\n\s*-{3,}\s*\n/)
+    .map(example => example.trim())
+    .filter(Boolean);
+
+const joinExampleEmails = (examples = []) => examples.join(EXAMPLE_EMAIL_SEPARATOR);
+
+const createPersona = (fields = {}) => ({
+    id: `persona-${Date.now()}`,
+    name: 'New Persona',
+    senderName: '',
+    context: '',
+    signature: '',
+    templateId: '',
+    tone: DEFAULT_PERSONA_TONE,
+    exampleEmails: [],
+    gmailAccount: '',
+    senderProfile: null,
+    ...fields
+});
+
+// Installs from before personas have one userContext / exampleEmail / tone; they become the default persona
+const legacyPersona = ({ userContext = '', exampleEmail = '', tone = DEFAULT_PERSONA_TONE, senderName = '' }) => createPersona({
+    id: DEFAULT_PERSONA_ID,
+    name: 'Default',
+    senderName,
+    context: userContext,
+    tone,
+    exampleEmails: splitExampleEmails(exampleEmail)
+});
+
+// The persona with `id`, else the one with `fallbackId` (e.g. the default), else the first
+const findPersona = (personas, id, fallbackId = null) =>
+    personas.find(p => p.id === id) || personas.find(p => p.id === fallbackId) || personas[0];
+
+// Every persona plus the id of the default one. Always returns at least one persona.
+const loadPersonas = async () => {
+    const stored = await chrome.storage.local.get(['personas', 'defaultPersonaId', 'userContext', 'exampleEmail', 'tone', 'senderName']);
+    const personas = Array.isArray(stored.personas) && stored.personas.length > 0
+        ? stored.personas.map(persona => createPersona(persona))
+        : [legacyPersona(stored)];
+
+    return { personas, defaultPersonaId: findPersona(personas, stored.defaultPersonaId).id };
+};
+
+// The persona with `id`, or the default one when it's missing or was deleted
+async function resolvePersona(id = null) {
+    const { personas, defaultPersonaId } = await loadPersonas();
+    return findPersona(personas, id, defaultPersonaId);
+}
+
+// Id of the persona to preselect for a profile saved to `list`; the default one for unsaved profiles (list null)
+async function personaIdForList(list) {
+    const [{ personas, defaultPersonaId }, { personaByList = {} }] = await Promise.all([
+        loadPersonas(),
+        chrome.storage.local.get('personaByList')
+    ]);
+    return findPersona(personas, list ? personaByList[list] : null, defaultPersonaId).id;
+}
+
+async function rememberPersonaForList(list, personaId) {
+    if (!list || !personaId) return;
+    const { personaByList = {} } = await chrome.storage.local.get('personaByList');
+    await chrome.storage.local.set({ personaByList: { ...personaByList, [list]: personaId } });
+}
+
+// Applies `changes` to one persona and stores the whole set (the first write after an upgrade also
+// stores the default persona migrated from the old settings)
+async function updatePersona(id, changes) {
+    const { personas, defaultPersonaId } = await loadPersonas();
+    const persona = findPersona(personas, id, defaultPersonaId);
+    Object.assign(persona, changes);
+    await chrome.storage.local.set({ personas, defaultPersonaId });
+    return persona;
+}
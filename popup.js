@@ -25,6 +25,9 @@ tabs.forEach(tab => {
         if (tab.dataset.view === 'saved') {
             loadSavedProfiles();
         }
+        if (tab.dataset.view === 'outreach') {
+            loadOutreach();
+        }
     });
 });
 
@@ -38,19 +41,26 @@ const loadSavedProfiles = async () => {
 
     container.innerHTML = '';
 
-    // Build list filter dropdown
-    let filterHTML = `
+    // Build list filter dropdown. List names and profile fields come from pages and imports, so they only
+    // ever go in as text.
+    container.innerHTML = `
         <div style="margin-bottom: 12px; padding-top: 4px;">
             <select id="listFilter" style="width: 100%; padding: 10px 8px; border-radius: 6px; border: 1px solid #d1d5db; font-size: 13px; line-height: 1.4; box-sizing: border-box;">
                 <option value="all">All Lists</option>
-                ${profileLists.map(list => `<option value="${list}" ${currentListFilter === list ? 'selected' : ''}>${list}</option>`).join('')}
             </select>
         </div>
     `;
-    container.innerHTML = filterHTML;
+    const listFilter = document.getElementById('listFilter');
+    profileLists.forEach(list => {
+        const option = document.createElement('option');
+        option.value = list;
+        option.textContent = list;
+        listFilter.appendChild(option);
+    });
+    listFilter.value = profileLists.includes(currentListFilter) ? currentListFilter : 'all';
 
     // Add filter listener
-    document.getElementById('listFilter').addEventListener('change', (e) => {
+    listFilter.addEventListener('change', (e) => {
         currentListFilter = e.target.value;
         loadSavedProfiles();
     });
@@ -63,27 +73,41 @@ const loadSavedProfiles = async () => {
 
     if (filteredProfiles.length === 0) {
         emptyState.style.display = 'block';
-        emptyState.innerHTML = currentListFilter === 'all'
-            ? 'No profiles saved yet.<br>Click "Save" on a LinkedIn profile.'
-            : `No profiles in "${currentListFilter}" list.`;
+        if (currentListFilter === 'all') {
+            emptyState.innerHTML = 'No profiles saved yet.<br>Click "Save" on a LinkedIn profile.';
+        } else {
+            emptyState.textContent = `No profiles in "${currentListFilter}" list.`;
+        }
         return;
     }
 
     emptyState.style.display = 'none';
 
+    if (currentListFilter !== 'all') {
+        const draftAllBtn = document.createElement('button');
+        draftAllBtn.className = 'batch-start-btn';
+        draftAllBtn.textContent = `Draft all (${filteredProfiles.length})`;
+        draftAllBtn.title = 'Drafts an email for everyone in this list; contacts you already emailed are skipped';
+        draftAllBtn.addEventListener('click', () => startBatch(currentListFilter, draftAllBtn));
+        container.appendChild(draftAllBtn);
+    }
+
     // Reverse to show newest first
     filteredProfiles.slice().reverse().forEach((profile) => {
         const div = document.createElement('div');
         div.className = 'saved-item';
         div.innerHTML = `
-            <div class="saved-name">${profile.name}</div>
-            <div class="saved-headline">${profile.headline}</div>
-            <div style="font-size: 10px; color: #9ca3af; margin-bottom: 6px;">${profile.list || 'Everyone'}</div>
+            <div class="saved-name"></div>
+            <div class="saved-headline"></div>
+            <div class="saved-list" style="font-size: 10px; color: #9ca3af; margin-bottom: 6px;"></div>
             <div class="saved-actions">
                 <button class="visit-btn">Visit</button>
                 <button class="saved-delete">Remove</button>
             </div>
         `;
+        div.querySelector('.saved-name').textContent = profile.name;
+        div.querySelector('.saved-headline').textContent = profile.headline || '';
+        div.querySelector('.saved-list').textContent = profile.list || 'Everyone';
 
         div.querySelector('.visit-btn').addEventListener('click', () => {
             chrome.tabs.create({ url: profile.url });
@@ -100,6 +124,193 @@ const loadSavedProfiles = async () => {
     });
 };
 
+// --- Batch Drafting ---
+// The signed-in user's name from LinkedIn's nav bar, asked of the open LinkedIn tabs; null when none can tell
+const findSenderName = async () => {
+    const tabs = await chrome.tabs.query({ url: '*://*.linkedin.com/*' });
+    for (const tab of tabs) {
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSenderName' });
+            if (response && response.senderName) return response.senderName;
+        } catch (e) {
+            // No content script in that tab (opened before the extension was loaded)
+        }
+    }
+    return null;
+};
+
+const startBatch = async (list, button) => {
+    if (!confirm(`Draft an email for everyone in "${list}"? Drafts are saved for review; nothing is sent.`)) return;
+
+    button.disabled = true;
+    const senderName = await findSenderName();
+    const response = await chrome.runtime.sendMessage({ action: 'startBatch', list, senderName });
+    button.disabled = false;
+    if (!response || !response.success) {
+        alert(response ? response.error : 'Could not start batch drafting.');
+    }
+};
+
+const renderBatchPanel = (job) => {
+    const panel = document.getElementById('batchPanel');
+    panel.innerHTML = '';
+    if (!job) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'block';
+
+    const summary = summarizeBatchJob(job);
+    const finished = summary.succeeded + summary.failed + summary.skipped + summary.cancelled;
+    const titles = { running: 'Drafting', done: 'Finished', cancelled: 'Cancelled' };
+
+    panel.innerHTML = `
+        <div class="batch-title"></div>
+        <div class="batch-progress"><div class="batch-progress-fill"></div></div>
+        <div class="batch-counts"></div>
+        <div class="batch-failures"></div>
+        <button class="batch-action"></button>
+    `;
+    panel.querySelector('.batch-title').textContent = `${titles[job.status] || 'Drafting'} "${job.list}"${job.personaName ? ` as ${job.personaName}` : ''} (${finished}/${summary.total})`;
+    panel.querySelector('.batch-progress-fill').style.width = `${summary.total ? Math.round((finished / summary.total) * 100) : 0}%`;
+
+    const needAddress = job.items.filter(item => item.status === 'succeeded' && item.needsAddress);
+    const counts = [`${summary.succeeded} succeeded`, `${summary.failed} failed`, `${summary.skipped} skipped`];
+    if (needAddress.length > 0) counts.push(`${needAddress.length} need an address`);
+    if (summary.cancelled > 0) counts.push(`${summary.cancelled} cancelled`);
+    if (job.status === 'running') counts.push(`${summary.queued + summary.running} left`);
+    panel.querySelector('.batch-counts').textContent = counts.join(', ');
+
+    const failures = panel.querySelector('.batch-failures');
+    job.items.filter(item => item.status === 'failed' || (item.status === 'skipped' && item.error)).forEach(item => {
+        const line = document.createElement('div');
+        line.textContent = `${item.name}: ${item.error}`;
+        if (item.status === 'skipped') line.style.color = '#6b7280';
+        failures.appendChild(line);
+    });
+    // Drafted without a recipient: no address guess was certain enough to send to unreviewed
+    needAddress.forEach(item => {
+        const line = document.createElement('div');
+        line.textContent = `${item.name}: no confident address, add the recipient in the draft`;
+        line.style.color = '#92400e';
+        failures.appendChild(line);
+    });
+
+    const action = panel.querySelector('.batch-action');
+    if (job.status === 'running') {
+        action.textContent = 'Cancel';
+        action.addEventListener('click', () => chrome.runtime.sendMessage({ action: 'cancelBatch' }));
+    } else {
+        action.textContent = 'Dismiss';
+        action.addEventListener('click', () => chrome.storage.local.remove('batchJob'));
+    }
+};
+
+loadBatchJob().then(renderBatchPanel);
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.batchJob) renderBatchPanel(changes.batchJob.newValue || null);
+});
+
+// --- Outreach Log ---
+const outreachFilter = document.getElementById('outreachFilter');
+OUTREACH_STATUSES.forEach(status => {
+    const option = document.createElement('option');
+    option.value = status.id;
+    option.textContent = status.label;
+    outreachFilter.appendChild(option);
+});
+outreachFilter.addEventListener('change', () => loadOutreach());
+
+// Manual sync (the background also syncs every 30 minutes when sync is on)
+const syncGmailBtn = document.getElementById('syncGmailBtn');
+syncGmailBtn.addEventListener('click', async () => {
+    syncGmailBtn.disabled = true;
+    syncGmailBtn.textContent = 'Syncing...';
+    const response = await chrome.runtime.sendMessage({ action: 'syncGmail' });
+    syncGmailBtn.disabled = false;
+    syncGmailBtn.textContent = response && response.success
+        ? `Synced (${response.updates.length} updated)`
+        : `Sync failed: ${response ? response.error : 'no response'}`;
+    loadOutreach();
+});
+
+const loadOutreach = async () => {
+    const log = await loadOutreachLog();
+    const { gmailSyncEnabled = false } = await chrome.storage.local.get('gmailSyncEnabled');
+    syncGmailBtn.style.display = gmailSyncEnabled ? 'block' : 'none';
+    const container = document.getElementById('outreachList');
+    const emptyState = document.getElementById('outreachEmpty');
+    container.innerHTML = '';
+
+    const records = Object.values(log)
+        .filter(record => outreachFilter.value === 'all' || record.status === outreachFilter.value)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    emptyState.style.display = records.length === 0 ? 'block' : 'none';
+    emptyState.textContent = outreachFilter.value === 'all'
+        ? 'No emails drafted yet.'
+        : `No contacts marked "${outreachStatusLabel(outreachFilter.value)}".`;
+
+    records.forEach(record => {
+        const last = record.entries[record.entries.length - 1];
+        const div = document.createElement('div');
+        div.className = 'saved-item';
+        div.innerHTML = `
+            <div class="saved-name"></div>
+            <div class="saved-headline"></div>
+            <div class="outreach-meta"></div>
+            <select class="outreach-status"></select>
+            <div class="outreach-history"></div>
+            <div class="saved-actions">
+                <button class="visit-btn">Visit</button>
+                <button class="history-btn">History (${record.entries.length})</button>
+                <button class="saved-delete">Remove</button>
+            </div>
+        `;
+        div.querySelector('.saved-name').textContent = record.name || record.url;
+        div.querySelector('.saved-headline').textContent = record.headline || '';
+        div.querySelector('.outreach-meta').textContent = last ? `Last emailed ${formatDaysAgo(last.createdAt)}: "${last.subject}"` : '';
+
+        const statusSelect = div.querySelector('.outreach-status');
+        OUTREACH_STATUSES.forEach(status => {
+            const option = document.createElement('option');
+            option.value = status.id;
+            option.textContent = status.label;
+            statusSelect.appendChild(option);
+        });
+        statusSelect.value = record.status;
+        statusSelect.addEventListener('change', async () => {
+            await setOutreachStatus(record.url, statusSelect.value);
+            loadOutreach();
+        });
+
+        // Newest first
+        const history = div.querySelector('.outreach-history');
+        record.entries.slice().reverse().forEach(entry => {
+            const line = document.createElement('div');
+            line.className = 'outreach-entry';
+            const when = new Date(entry.createdAt).toLocaleDateString();
+            const via = [entry.template, entry.model].filter(Boolean).join(', ');
+            line.textContent = `${when} ${entry.kind === 'follow-up' ? 'Follow-up' : 'Email'}: ${entry.subject}${via ? ` (${via})` : ''}`;
+            line.title = entry.body || '';
+            history.appendChild(line);
+        });
+
+        div.querySelector('.visit-btn').addEventListener('click', () => {
+            chrome.tabs.create({ url: record.url });
+        });
+        div.querySelector('.history-btn').addEventListener('click', () => {
+            history.classList.toggle('open');
+        });
+        div.querySelector('.saved-delete').addEventListener('click', async () => {
+            if (!confirm(`Remove the outreach history for ${record.name || record.url}?`)) return;
+            await deleteOutreachRecord(record.url);
+            loadOutreach();
+        });
+
+        container.appendChild(div);
+    });
+};
 
 document.getElementById('generateBtn').addEventListener('click', async () => {
     setStatus('Analyzing profile...');
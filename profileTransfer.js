@@ -0,0 +1,167 @@
+// Import and export of saved profiles and lists (CSV for spreadsheets/CRMs, JSON for a full copy),
+// with each contact's outreach status and history. Pure data functions; options.js does the file I/O.
+// Loaded by options.html after csv.js and outreach.js.
+//
+// JSON export: { version, exportedAt, lists: [...], profiles: [{ ...profile, outreach: record | null }] }
+
+const PROFILE_EXPORT_VERSION = 1;
+
+// Profile fields first, then the outreach summary
+const PROFILE_EXPORT_COLUMNS = [
+    'name', 'headline', 'url', 'list', 'location', 'experience', 'saved_at',
+    'outreach_status', 'emails_drafted', 'last_emailed_at', 'last_subject', 'last_to'
+];
+
+// Profiles in `list` ('all' for everything) paired with their outreach record
+function collectProfilesForExport(savedProfiles, log, list = 'all') {
+    return savedProfiles
+        .filter(profile => list === 'all' || profile.list === list)
+        .map(profile => ({ ...profile, outreach: log[normalizeProfileUrl(profile.url)] || null }));
+}
+
+function profilesToCsv(profiles) {
+    const rows = profiles.map(profile => {
+        const entries = profile.outreach ? profile.outreach.entries : [];
+        const last = entries[entries.length - 1];
+        return {
+            name: profile.name,
+            headline: profile.headline,
+            url: profile.url,
+            list: profile.list || '',
+            location: profile.location || '',
+            experience: profile.experience || '',
+            saved_at: profile.savedAt || '',
+            outreach_status: profile.outreach ? profile.outreach.status : '',
+            emails_drafted: entries.length || '',
+            last_emailed_at: last ? new Date(last.createdAt).toISOString() : '',
+            last_subject: last ? last.subject : '',
+            last_to: last ? last.to : ''
+        };
+    });
+    return toCsv(rows, PROFILE_EXPORT_COLUMNS);
+}
+
+const profilesToJson = (profiles, lists) => JSON.stringify({
+    version: PROFILE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    lists,
+    profiles
+}, null, 2);
+
+// A CSV row back into a profile (same shape as one saved from its page) and, when the row has any,
+// an outreach record with one entry standing in for the history the CSV only summarizes
+const csvRowToProfile = (row) => {
+    const lastEmailedAt = Date.parse(row.last_emailed_at);
+    const hasOutreach = !!row.outreach_status || !isNaN(lastEmailedAt);
+    return {
+        name: row.name || '',
+        headline: row.headline || '',
+        url: row.url || row.profile_url || row.linkedin || '',
+        list: row.list || '',
+        location: row.location || '',
+        about: '',
+        experiences: [],
+        education: [],
+        certifications: [],
+        volunteer: [],
+        skills: [],
+        activity: [],
+        experience: row.experience || row.headline || 'See profile for details',
+        savedAt: row.saved_at || new Date().toISOString(),
+        outreach: hasOutreach ? {
+            status: OUTREACH_STATUSES.some(s => s.id === row.outreach_status) ? row.outreach_status : 'drafted',
+            entries: isNaN(lastEmailedAt) ? [] : [{
+                kind: 'imported',
+                subject: row.last_subject || '',
+                body: '',
+                to: row.last_to || '',
+                createdAt: lastEmailedAt
+            }]
+        } : null
+    };
+};
+
+// Reads an export file. Returns { profiles, lists, invalid } where invalid counts rows without a profile URL.
+function parseProfileImport(text, filename = '') {
+    const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+    let profiles;
+    let lists = [];
+
+    if (isJson) {
+        const data = JSON.parse(text);
+        profiles = Array.isArray(data) ? data : (data.profiles || []);
+        lists = Array.isArray(data.lists) ? data.lists.filter(list => typeof list === 'string') : [];
+    } else {
+        profiles = parseCsvObjects(text).map(csvRowToProfile);
+    }
+
+    const valid = profiles.filter(profile => profile && typeof profile.url === 'string' && /linkedin\.com\//i.test(profile.url));
+    return { profiles: valid, lists, invalid: profiles.length - valid.length };
+}
+
+// Import files can be hand-edited or come from elsewhere: only entries with a timestamp and text fields that
+// are text make it into the log, since the popup and the profile badge read them as such
+const isValidOutreachEntry = (entry) =>
+    !!entry && typeof entry === 'object' && !Array.isArray(entry) && Number.isFinite(entry.createdAt) &&
+    ['kind', 'subject', 'body', 'to'].every(field => entry[field] === undefined || typeof entry[field] === 'string');
+
+const isOutreachStatus = (status) => OUTREACH_STATUSES.some(s => s.id === status);
+
+// Merges imported profiles into the stored ones by normalized profile URL. Doesn't touch storage:
+// takes and returns { savedProfiles, profileLists, log } plus a report { added, updated, skipped }.
+// conflict decides what happens to a profile that's already saved:
+//   skip   - keep what's saved, ignore the imported copy
+//   update - imported values win where they're not empty (the saved list is kept unless the file has one)
+// Outreach history is only brought in for contacts with no local history, so nothing already logged is lost.
+// Malformed history entries are dropped and an unknown status becomes 'drafted' (or leaves the local one).
+function mergeImportedProfiles(current, imported, { conflict = 'skip', fallbackList = 'Imported' } = {}) {
+    const savedProfiles = current.savedProfiles.slice();
+    const profileLists = current.profileLists.slice();
+    const log = { ...current.log };
+    const report = { added: 0, updated: 0, skipped: 0 };
+
+    const indexByUrl = new Map(savedProfiles.map((profile, index) => [normalizeProfileUrl(profile.url), index]));
+    const addList = (list) => {
+        if (list && !profileLists.includes(list)) profileLists.push(list);
+    };
+    imported.lists.forEach(addList);
+
+    imported.profiles.forEach(({ outreach, ...profile }) => {
+        const url = normalizeProfileUrl(profile.url);
+        const existingIndex = indexByUrl.get(url);
+
+        if (existingIndex === undefined) {
+            const list = profile.list || fallbackList;
+            savedProfiles.push({ ...profile, list });
+            indexByUrl.set(url, savedProfiles.length - 1);
+            addList(list);
+            report.added++;
+        } else if (conflict === 'update') {
+            const existing = savedProfiles[existingIndex];
+            const filled = Object.fromEntries(Object.entries(profile).filter(([, value]) =>
+                value !== '' && value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)));
+            savedProfiles[existingIndex] = { ...existing, ...filled, url: existing.url };
+            addList(savedProfiles[existingIndex].list);
+            report.updated++;
+        } else {
+            report.skipped++;
+        }
+
+        const local = log[url];
+        if (!outreach || typeof outreach !== 'object') return;
+        if (!local || local.entries.length === 0) {
+            log[url] = {
+                url,
+                name: profile.name || (local && local.name) || '',
+                headline: profile.headline || (local && local.headline) || '',
+                status: isOutreachStatus(outreach.status) ? outreach.status : 'drafted',
+                updatedAt: Date.now(),
+                entries: Array.isArray(outreach.entries) ? outreach.entries.filter(isValidOutreachEntry) : []
+            };
+        } else if (conflict === 'update' && isOutreachStatus(outreach.status)) {
+            log[url] = { ...local, status: outreach.status, updatedAt: Date.now() };
+        }
+    });
+
+    return { savedProfiles, profileLists, log, report };
+}
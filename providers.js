@@ -0,0 +1,344 @@
+// LLM provider abstraction. Each provider knows how to build its request, pull the text out of
+// the response (whole or streamed) and turn an error payload into a readable message. Loaded by background.js.
+
+// Transient failures (rate limits, server errors, timeouts, network drops) are marked retryable
+class ProviderError extends Error {
+    constructor(message, { provider, status = null, retryable = status === 429 || status >= 500, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+const REQUEST_TIMEOUT_MS = 60000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Shared by OpenAI and any OpenAI-compatible server
+const openAiChatProvider = {
+    buildRequest({ model, system, messages, apiKey, json, schema, stream }) {
+        const body = {
+            model: model,
+            messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+        };
+        if (schema) {
+            // Structured outputs: the API guarantees the reply matches the schema
+            body.response_format = { type: 'json_schema', json_schema: { name: schema.name, strict: true, schema: schema.schema } };
+        } else if (json) {
+            body.response_format = { type: 'json_object' };
+        }
+        if (stream) body.stream = true;
+
+        return {
+            url: 'https://api.openai.com/v1/chat/completions',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body
+        };
+    },
+
+    extractContent(data) {
+        return data.choices?.[0]?.message?.content || '';
+    },
+
+    // One parsed SSE "data:" payload -> text delta
+    extractDelta(event) {
+        return event.choices?.[0]?.delta?.content || '';
+    },
+
+    normalizeError(status, data) {
+        // Some local servers (e.g. Ollama) return the error as a plain string
+        const error = data?.error;
+        return (typeof error === 'string' ? error : error?.message) || `Request failed with status ${status}`;
+    }
+};
+
+const PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        ...openAiChatProvider
+    },
+
+    anthropic: {
+        label: 'Anthropic',
+
+        buildRequest({ model, system, messages, apiKey, maxTokens, schema, stream }) {
+            const body = {
+                model: model,
+                max_tokens: maxTokens || 1024,
+                messages
+            };
+            if (system) body.system = system;
+            if (schema) {
+                // Forced tool use: the draft arrives as the tool's input, validated against the schema
+                body.tools = [{ name: schema.name, description: 'Submit the finished email.', input_schema: schema.schema }];
+                body.tool_choice = { type: 'tool', name: schema.name };
+            }
+            if (stream) body.stream = true;
+
+            return {
+                url: 'https://api.anthropic.com/v1/messages',
+                headers: {
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'content-type': 'application/json',
+                    'anthropic-dangerous-direct-browser-access': 'true' // Requesting from extension
+                },
+                body
+            };
+        },
+
+        extractContent(data) {
+            const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+            if (toolUse) return JSON.stringify(toolUse.input);
+
+            return (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        },
+
+        extractDelta(event) {
+            if (event.type === 'error') {
+                throw new ProviderError(event.error?.message || 'Stream error', { provider: 'anthropic', retryable: event.error?.type === 'overloaded_error' });
+            }
+            if (event.type !== 'content_block_delta') return '';
+            if (event.delta?.type === 'text_delta') return event.delta.text;
+            if (event.delta?.type === 'input_json_delta') return event.delta.partial_json; // Tool input streams as JSON text
+            return '';
+        },
+
+        normalizeError(status, data) {
+            return data?.error?.message || `Request failed with status ${status}`;
+        }
+    },
+
+    // Any server that speaks the OpenAI chat completions API: Ollama, LM Studio, Azure OpenAI, ...
+    custom: {
+        label: 'OpenAI-compatible',
+
+        buildRequest(options) {
+            // Not every compatible server supports json_schema, so only ask for plain JSON mode
+            const request = openAiChatProvider.buildRequest({ ...options, schema: null });
+            const baseUrl = (options.baseUrl || '').trim().replace(/\/+$/, '');
+            if (!baseUrl) {
+                throw new ProviderError('Custom provider needs a base URL. Please set it in options.', { provider: 'custom' });
+            }
+
+            const [path, query] = baseUrl.split('?');
+            request.url = path.endsWith('/chat/completions') ? baseUrl : `${path}/chat/completions${query ? `?${query}` : ''}`;
+
+            // Azure OpenAI authenticates with an api-key header; local servers usually need no key at all
+            if (/\.openai\.azure\.com$/.test(new URL(path).hostname)) {
+                delete request.headers['Authorization'];
+                if (options.apiKey) request.headers['api-key'] = options.apiKey;
+            } else if (!options.apiKey) {
+                delete request.headers['Authorization'];
+            }
+
+            return request;
+        },
+
+        extractContent: openAiChatProvider.extractContent,
+        extractDelta: openAiChatProvider.extractDelta,
+        normalizeError: openAiChatProvider.normalizeError
+    }
+};
+
+// Picks the provider for a model. An explicit provider setting wins; otherwise infer from the model name.
+function resolveProviderId(model, provider) {
+    if (provider && provider !== 'auto' && PROVIDERS[provider]) return provider;
+    return model.startsWith('claude-') ? 'anthropic' : 'openai';
+}
+
+const cancelledError = (providerId) => {
+    const error = new ProviderError('Generation cancelled.', { provider: providerId, retryable: false });
+    error.cancelled = true;
+    return error;
+};
+
+// Sends one chat request and returns the response text.
+// options: { model, system, messages, apiKey, baseUrl, maxTokens, json, schema, timeoutMs, signal, onDelta }
+// `schema` ({ name, schema }) asks the provider to enforce a JSON schema where it supports it.
+// With `onDelta` the response is streamed and every text chunk is passed to it as it arrives.
+// `signal` lets the caller cancel; the timeout applies to the wait for each chunk, not the whole stream.
+async function callProvider(providerId, options) {
+    const provider = PROVIDERS[providerId];
+    if (!provider) {
+        throw new ProviderError(`Unknown provider "${providerId}".`, { provider: providerId });
+    }
+    if (!options.apiKey && providerId !== 'custom') {
+        throw new ProviderError(`${provider.label} API Key missing. Please set it in options.`, { provider: providerId });
+    }
+
+    if (options.signal?.aborted) {
+        throw cancelledError(providerId);
+    }
+
+    const stream = typeof options.onDelta === 'function';
+    const request = provider.buildRequest({ ...options, stream });
+    const timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+
+    const controller = new AbortController();
+    let timer = null;
+    const armTimeout = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    const onCancel = () => controller.abort();
+    options.signal?.addEventListener('abort', onCancel);
+
+    // Aborts caused by the caller are cancellations; anything else that aborts is our timeout
+    const toProviderError = (e, retryable) => {
+        if (options.signal?.aborted) {
+            return cancelledError(providerId);
+        }
+        if (e instanceof ProviderError) return e;
+        const message = e.name === 'AbortError'
+            ? `${provider.label} did not respond within ${Math.round(timeoutMs / 1000)}s.`
+            : `Could not reach ${provider.label} (${e.message}).`;
+        return new ProviderError(message, { provider: providerId, retryable });
+    };
+
+    try {
+        armTimeout();
+
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: controller.signal
+            });
+        } catch (e) {
+            throw toProviderError(e, true);
+        }
+
+        if (!response.ok) {
+            let data = null;
+            try {
+                data = await response.json();
+            } catch (e) {
+                // Non-JSON error pages (proxies, local servers) fall back to the status code
+            }
+            const retryAfter = parseFloat(response.headers.get('retry-after'));
+            throw new ProviderError(provider.normalizeError(response.status, data), {
+                provider: providerId,
+                status: response.status,
+                retryAfterMs: isNaN(retryAfter) ? null : retryAfter * 1000
+            });
+        }
+
+        if (!stream) {
+            let data = null;
+            try {
+                data = await response.json();
+            } catch (e) {
+                throw toProviderError(e, true);
+            }
+            if (!data || data.error) {
+                throw new ProviderError(provider.normalizeError(response.status, data), { provider: providerId, status: response.status });
+            }
+            return provider.extractContent(data);
+        }
+
+        let received = false;
+        const onDelta = (text) => {
+            received = true;
+            options.onDelta(text);
+        };
+
+        return await readEventStream(response, provider, onDelta, armTimeout).catch((e) => {
+            const error = toProviderError(e, true);
+            // Once text has reached the caller a retry would duplicate it, so mid-stream failures are final
+            if (received) error.retryable = false;
+            throw error;
+        });
+    } finally {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onCancel);
+    }
+}
+
+// Reads a server-sent events body, passing each text delta to onDelta. Returns the full text.
+async function readEventStream(response, provider, onDelta, onChunk) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        onChunk();
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the incomplete last line for the next chunk
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (!payload || payload === '[DONE]') continue;
+
+            let event;
+            try {
+                event = JSON.parse(payload);
+            } catch (e) {
+                continue; // Keep-alive comments and partial payloads
+            }
+
+            const text = provider.extractDelta(event);
+            if (text) {
+                content += text;
+                onDelta(text);
+            }
+        }
+    }
+
+    return content;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// callProvider with exponential backoff on retryable errors (honours Retry-After when sent)
+async function callProviderWithRetry(providerId, options, retries = MAX_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await callProvider(providerId, options);
+        } catch (error) {
+            if (!error.retryable || attempt >= retries || options.signal?.aborted) throw error;
+
+            const delay = error.retryAfterMs ?? RETRY_BASE_DELAY_MS * Math.pow(2, attempt) + Math.random() * 250;
+            console.warn(`${providerId} request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Tries each { providerId, model, apiKey } target in order, moving on only when the
+// previous one failed with a retryable error. Returns { content, model, providerId }.
+async function callWithFallback(targets, options) {
+    let lastError;
+
+    for (const target of targets) {
+        try {
+            const content = await callProviderWithRetry(target.providerId, { ...options, model: target.model, apiKey: target.apiKey });
+            return { content, model: target.model, providerId: target.providerId };
+        } catch (error) {
+            lastError = error;
+            if (!error.retryable || options.signal?.aborted) throw error;
+            console.warn(`${target.model} failed, trying next model if configured:`, error.message);
+        }
+    }
+
+    throw lastError;
+}
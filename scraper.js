@@ -0,0 +1,457 @@
+// Profile scraping: a registry of extraction strategies per field, tried in order.
+// Every scrape also produces a per-field diagnostic report so broken selectors don't fail silently.
+
+// --- Section helpers ---
+// LinkedIn renders each profile section as <section> with an anchor div (#experience, #education, ...)
+// and one <li> per entry. The visible copy of every text lives in span[aria-hidden="true"].
+
+const DATE_RANGE_PATTERN = /((19|20)\d{2}|Present)/;
+
+const getSectionByAnchor = (anchorId) => {
+    const anchor = document.getElementById(anchorId);
+    return anchor?.closest('section') || anchor?.parentElement || null;
+};
+
+// Landmark fallback: the <section> whose heading reads e.g. "Experience"
+const getSectionByHeading = (heading) => {
+    const sections = Array.from(document.querySelectorAll('main section, section'));
+    return sections.find(section => {
+        const labelId = section.getAttribute('aria-labelledby');
+        const label = labelId ? document.getElementById(labelId) : section.querySelector('h2');
+        const text = (label?.innerText || '').trim().split('\n')[0].trim();
+        return text.toLowerCase() === heading.toLowerCase();
+    }) || null;
+};
+
+// Top-level entries of a section (nested role lists inside an entry are handled by the caller)
+const getSectionItems = (section) => {
+    if (!section) return [];
+    return Array.from(section.querySelectorAll('li'))
+        .filter(li => !li.parentElement.closest('li'))
+        .filter(li => li.querySelector('span[aria-hidden="true"]'));
+};
+
+// Visible texts belonging to this entry only (skips texts of nested entries)
+const getItemTexts = (item) => {
+    const texts = Array.from(item.querySelectorAll('span[aria-hidden="true"]'))
+        .filter(span => span.closest('li') === item)
+        .map(span => span.innerText?.trim())
+        .filter(Boolean);
+    return [...new Set(texts)];
+};
+
+const isDateLine = (text) => DATE_RANGE_PATTERN.test(text) && /\s[-–]\s|Issued|^\d{4}$/.test(text);
+
+// "Jan 2020 - Present · 4 yrs 2 mos" -> { dates, duration }
+const splitDates = (text = '') => {
+    const [dates = '', duration = ''] = text.split(' · ').map(t => t.trim());
+    return { dates, duration };
+};
+
+// Longest free-text line of an entry, used as its description
+const findDescription = (texts, exclude = []) => {
+    return texts
+        .filter(t => !exclude.includes(t) && t.length > 60)
+        .sort((a, b) => b.length - a.length)[0] || '';
+};
+
+// --- Section parsers (each takes the <section> element) ---
+
+const scrapeExperience = (section) => {
+    const entries = [];
+
+    getSectionItems(section).forEach(item => {
+        const texts = getItemTexts(item);
+        const companyUrl = item.querySelector('a[href*="/company/"]')?.href || '';
+        const nestedRoles = Array.from(item.querySelectorAll('li')).filter(li => li.querySelector('.t-bold'));
+
+        // Grouped entry: several roles at the same company
+        if (nestedRoles.length > 0) {
+            const company = texts[0] || '';
+            nestedRoles.forEach(role => {
+                const roleTexts = getItemTexts(role);
+                const dateLine = roleTexts.find(isDateLine) || '';
+                const { dates, duration } = splitDates(dateLine);
+                entries.push({
+                    title: roleTexts[0] || '',
+                    company,
+                    companyUrl,
+                    dates,
+                    duration,
+                    description: findDescription(roleTexts, [dateLine])
+                });
+            });
+            return;
+        }
+
+        const dateLine = texts.find(isDateLine) || '';
+        const { dates, duration } = splitDates(dateLine);
+        entries.push({
+            title: texts[0] || '',
+            company: (texts[1] || '').split(' · ')[0],
+            companyUrl,
+            dates,
+            duration,
+            description: findDescription(texts, [dateLine])
+        });
+    });
+
+    return entries.filter(e => e.title);
+};
+
+const scrapeEducation = (section) => {
+    return getSectionItems(section).map(item => {
+        const texts = getItemTexts(item);
+        const dateLine = texts.find(isDateLine) || '';
+        const activities = texts.find(t => t.startsWith('Activities and societies')) || '';
+        return {
+            school: texts[0] || '',
+            degree: texts[1] && texts[1] !== dateLine ? texts[1] : '',
+            dates: splitDates(dateLine).dates,
+            activities: activities.replace(/^Activities and societies:\s*/, ''),
+            description: findDescription(texts, [dateLine, activities])
+        };
+    }).filter(e => e.school);
+};
+
+const scrapeCertifications = (section) => {
+    return getSectionItems(section).map(item => {
+        const texts = getItemTexts(item);
+        return {
+            name: texts[0] || '',
+            issuer: texts[1] || '',
+            issued: texts.find(t => t.startsWith('Issued')) || ''
+        };
+    }).filter(e => e.name);
+};
+
+const scrapeVolunteer = (section) => {
+    return getSectionItems(section).map(item => {
+        const texts = getItemTexts(item);
+        const dateLine = texts.find(isDateLine) || '';
+        return {
+            role: texts[0] || '',
+            organization: texts[1] || '',
+            dates: splitDates(dateLine).dates,
+            description: findDescription(texts, [dateLine])
+        };
+    }).filter(e => e.role);
+};
+
+const scrapeSkills = (section) => {
+    return getSectionItems(section)
+        .map(item => getItemTexts(item)[0])
+        .filter(Boolean);
+};
+
+// Recent posts/comments from the Activity section
+const scrapeActivity = (section) => {
+    return getSectionItems(section)
+        .map(item => {
+            const texts = getItemTexts(item);
+            const longest = texts.sort((a, b) => b.length - a.length)[0] || '';
+            return longest.length > 300 ? longest.slice(0, 300) + '...' : longest;
+        })
+        .filter(text => text.length > 20)
+        .slice(0, 5);
+};
+
+// --- Strategy registry ---
+// A strategy is { kind, describe, extract }. `kind` is 'css', 'aria' or 'heuristic' and
+// sets the confidence we report when that strategy is the one that produced the value.
+
+const STRATEGY_CONFIDENCE = {
+    css: 0.9,
+    aria: 0.7,
+    heuristic: 0.4
+};
+
+const textOf = (selector) => () => document.querySelector(selector)?.innerText?.trim() || '';
+
+const cssStrategy = (selector) => ({ kind: 'css', describe: selector, extract: textOf(selector) });
+
+// Structured sections: anchor id first, then the section heading, in that order
+const sectionStrategies = (anchorId, heading, parse) => [
+    { kind: 'css', describe: `#${anchorId}`, extract: () => parse(getSectionByAnchor(anchorId)) },
+    { kind: 'aria', describe: `section heading "${heading}"`, extract: () => parse(getSectionByHeading(heading)) }
+];
+
+// The top card is the first section of <main> that holds the h1
+const getTopCard = () => document.querySelector('main h1, [role="main"] h1')?.closest('section') || null;
+
+// Company pages (linkedin.com/company/<slug>/): the About tab lists details as <dt>/<dd> pairs
+const isCompanyPage = () => /linkedin\.com\/company\/[^/?#]+/.test(window.location.href);
+
+// The first <dd> after the <dt> labelled `label` ("Industry", "Company size", ...)
+const companyDetail = (label) => {
+    const term = Array.from(document.querySelectorAll('dt')).find(dt => dt.innerText.trim().toLowerCase() === label.toLowerCase());
+    let detail = term?.nextElementSibling;
+    while (detail && detail.tagName !== 'DD') detail = detail.nextElementSibling;
+    return detail?.innerText?.trim().split('\n')[0] || '';
+};
+
+const companyDetailStrategy = (label) => ({ kind: 'css', describe: `dt "${label}"`, extract: () => companyDetail(label) });
+
+// Top card line under the name: industry, headquarters, followers, employees
+const companySummaryItems = () => Array.from(document.querySelectorAll('.org-top-card-summary-info-list__info-item'))
+    .map(el => el.innerText?.trim() || '');
+
+const FIELD_STRATEGIES = {
+    name: [
+        cssStrategy('h1.text-heading-xlarge'),
+        cssStrategy('h1'),
+        {
+            kind: 'heuristic',
+            describe: 'document title',
+            // "(3) Jane Doe | LinkedIn"
+            extract: () => document.title.replace(/^\(\d+\)\s*/, '').split('|')[0].trim()
+        }
+    ],
+    headline: [
+        cssStrategy('.text-body-medium.break-words'),
+        {
+            kind: 'aria',
+            describe: 'top card text after the name heading',
+            extract: () => {
+                const card = getTopCard();
+                const h1 = card?.querySelector('h1');
+                if (!card || !h1) return '';
+                const blocks = Array.from(card.querySelectorAll('div, span'))
+                    .filter(el => el.children.length === 0 && (h1.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING))
+                    .map(el => el.innerText?.trim() || '')
+                    .filter(t => t.length > 10 && t.length < 220);
+                return blocks[0] || '';
+            }
+        },
+        {
+            kind: 'heuristic',
+            describe: 'meta description',
+            extract: () => (document.querySelector('meta[name="description"]')?.content || '').split(/\s\|\s|\.\s/)[0].trim()
+        }
+    ],
+    location: [
+        cssStrategy('.text-body-small.inline.t-black--light.break-words')
+    ],
+    about: [
+        {
+            kind: 'css',
+            describe: '#about',
+            extract: () => document.querySelector('#about')?.parentElement?.querySelectorAll('[aria-hidden="true"]')[1]?.innerText?.trim() || ''
+        },
+        cssStrategy('.inline-show-more-text--is-collapsed'),
+        {
+            kind: 'aria',
+            describe: 'section heading "About"',
+            extract: () => {
+                const section = getSectionByHeading('About');
+                const texts = section ? Array.from(section.querySelectorAll('span[aria-hidden="true"]')).map(s => s.innerText?.trim() || '') : [];
+                return texts.sort((a, b) => b.length - a.length)[0] || '';
+            }
+        }
+    ],
+    experiences: [
+        ...sectionStrategies('experience', 'Experience', scrapeExperience),
+        {
+            kind: 'heuristic',
+            describe: 'headline "Role at Company"',
+            extract: () => {
+                const headline = resolveField('headline').value || '';
+                const [title, company] = headline.split(/\s+at\s+|\s+@\s+/);
+                return title && company ? [{ title: title.trim(), company: company.split('|')[0].trim(), companyUrl: '', dates: '', duration: '', description: '' }] : [];
+            }
+        }
+    ],
+    education: sectionStrategies('education', 'Education', scrapeEducation),
+    certifications: sectionStrategies('licenses_and_certifications', 'Licenses & certifications', scrapeCertifications),
+    volunteer: sectionStrategies('volunteering_experience', 'Volunteering', scrapeVolunteer),
+    skills: sectionStrategies('skills', 'Skills', scrapeSkills),
+    activity: sectionStrategies('content_collections', 'Activity', scrapeActivity),
+
+    // Company page fields (see scrapeCompanyPage)
+    companyName: [
+        cssStrategy('.org-top-card-summary__title'),
+        cssStrategy('h1')
+    ],
+    companyAbout: [
+        cssStrategy('.org-about-us-organization-description__text'),
+        cssStrategy('.org-about-module__description'),
+        {
+            kind: 'aria',
+            describe: 'section heading "Overview"',
+            extract: () => {
+                const section = getSectionByHeading('Overview');
+                const texts = section ? Array.from(section.querySelectorAll('p')).map(p => p.innerText?.trim() || '') : [];
+                return texts.sort((a, b) => b.length - a.length)[0] || '';
+            }
+        }
+    ],
+    companyIndustry: [
+        companyDetailStrategy('Industry'),
+        { kind: 'heuristic', describe: 'first top card summary item', extract: () => companySummaryItems()[0] || '' }
+    ],
+    companySize: [
+        companyDetailStrategy('Company size'),
+        { kind: 'heuristic', describe: 'top card summary item with "employees"', extract: () => companySummaryItems().find(item => /employees/i.test(item)) || '' }
+    ],
+    companyHeadquarters: [companyDetailStrategy('Headquarters')],
+    companyWebsite: [companyDetailStrategy('Website')],
+    companyPosts: [
+        {
+            kind: 'css',
+            describe: '.feed-shared-update-v2__description',
+            extract: () => {
+                const texts = Array.from(document.querySelectorAll('.feed-shared-update-v2__description, .update-components-text'))
+                    .map(el => (el.innerText || '').trim().replace(/\s+/g, ' '))
+                    .filter(text => text.length > 20);
+                return [...new Set(texts)].slice(0, 3).map(text => text.length > 300 ? text.slice(0, 300) + '...' : text);
+            }
+        }
+    ],
+
+    // Not a profile field: where the Cold Email / Save buttons get injected
+    actionPanel: [
+        ...['.pvs-profile-actions', '.ph5 .display-flex', '.pv-top-card-v2-ctas', '.pv-top-card__ctas'].map(selector => ({
+            kind: 'css',
+            describe: selector,
+            extract: () => document.querySelector(selector)
+        })),
+        {
+            kind: 'aria',
+            describe: 'top card button labelled Message/Connect/Follow',
+            extract: () => {
+                const card = getTopCard() || document;
+                const button = card.querySelector('button[aria-label^="Message"], button[aria-label^="Invite"], button[aria-label^="Follow"]');
+                return button?.parentElement || null;
+            }
+        },
+        {
+            kind: 'heuristic',
+            describe: 'button with text "Message"',
+            extract: () => {
+                const buttons = Array.from(document.querySelectorAll('button'));
+                return buttons.find(b => b.innerText.trim() === 'Message')?.parentElement || null;
+            }
+        }
+    ],
+
+    // Not a profile field: the top card's "Jane Doe, John Smith, and 12 other mutual connections" line
+    mutualConnections: [
+        {
+            kind: 'css',
+            describe: 'a[href*="facetConnectionOf"]',
+            extract: () => document.querySelector('a[href*="facetConnectionOf"]')?.innerText?.trim() || ''
+        },
+        {
+            kind: 'heuristic',
+            describe: 'top card text containing "mutual connection"',
+            extract: () => {
+                const card = getTopCard() || document;
+                const texts = Array.from(card.querySelectorAll('span, a'))
+                    .filter(el => el.children.length === 0)
+                    .map(el => el.innerText?.trim() || '');
+                return texts.find(t => /mutual connections?\b/i.test(t) && t.length < 200) || '';
+            }
+        }
+    ],
+
+    // Not a profile field: set when this is the signed-in user's own profile (LinkedIn only shows
+    // edit controls there), which offers "Use as my sender context" instead of Cold Email
+    ownProfile: [
+        ...['a[href*="/edit/intro"]', 'a[href*="/edit/forms/intro"]', '#navigation-add-edit-deeplink-edit-intro'].map(selector => ({
+            kind: 'css',
+            describe: selector,
+            extract: () => document.querySelector(selector)
+        })),
+        {
+            kind: 'aria',
+            describe: 'top card button labelled Add profile section / Edit intro',
+            extract: () => {
+                const card = getTopCard() || document;
+                return card.querySelector('button[aria-label^="Add profile section"], button[aria-label^="Edit intro"], a[aria-label^="Edit intro"]');
+            }
+        },
+        {
+            kind: 'heuristic',
+            describe: 'button with text "Add profile section"',
+            extract: () => Array.from(document.querySelectorAll('button')).find(b => b.innerText.trim() === 'Add profile section') || null
+        }
+    ]
+};
+
+// Fields whose absence makes a draft noticeably worse; the modal warns when any of these is empty
+const KEY_FIELDS = ['name', 'headline', 'experiences'];
+
+// Adds a strategy for a field. New strategies go last unless `first` is set.
+const registerStrategy = (field, strategy, first = false) => {
+    const strategies = FIELD_STRATEGIES[field] || (FIELD_STRATEGIES[field] = []);
+    if (first) strategies.unshift(strategy);
+    else strategies.push(strategy);
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Tries every strategy for a field in order and reports which one (if any) produced a value
+const resolveField = (field) => {
+    const tried = [];
+
+    for (const strategy of FIELD_STRATEGIES[field] || []) {
+        let value = null;
+        try {
+            value = strategy.extract();
+        } catch (e) {
+            console.warn(`ColdEmailCopilot: Strategy "${strategy.describe}" for ${field} threw`, e);
+        }
+        tried.push(strategy.describe);
+
+        if (!isEmptyValue(value)) {
+            return {
+                value,
+                report: { field, found: true, kind: strategy.kind, strategy: strategy.describe, confidence: STRATEGY_CONFIDENCE[strategy.kind] || 0, tried }
+            };
+        }
+    }
+
+    return { value: null, report: { field, found: false, kind: null, strategy: null, confidence: 0, tried } };
+};
+
+const TEXT_FIELDS = ['name', 'headline', 'location', 'about'];
+const LIST_FIELDS = ['experiences', 'education', 'certifications', 'volunteer', 'skills', 'activity'];
+
+// Returns { profile, report } where report maps each field to its diagnostic entry
+const scrapeProfileWithReport = () => {
+    const profile = {};
+    const report = {};
+
+    [...TEXT_FIELDS, ...LIST_FIELDS].forEach(field => {
+        const { value, report: fieldReport } = resolveField(field);
+        profile[field] = value ?? (LIST_FIELDS.includes(field) ? [] : '');
+        report[field] = fieldReport;
+    });
+
+    // Keep the simple "Role at Company" string for saved profiles and the email heuristics
+    const latest = profile.experiences[0];
+    profile.experience = latest ? `${latest.title} at ${latest.company}` : "See profile for details";
+
+    return { profile, report };
+};
+
+const scrapeProfile = () => scrapeProfileWithReport().profile;
+
+// What the open company page shows, in the shape companyContext.js caches. Fields missing from
+// this tab (posts on About, details on Posts) come back empty.
+const scrapeCompanyPage = () => ({
+    name: resolveField('companyName').value || '',
+    about: resolveField('companyAbout').value || '',
+    industry: resolveField('companyIndustry').value || '',
+    size: resolveField('companySize').value || '',
+    headquarters: resolveField('companyHeadquarters').value || '',
+    website: resolveField('companyWebsite').value || '',
+    posts: resolveField('companyPosts').value || []
+});
+
+// Key fields that came back empty or only from a low-confidence heuristic
+const getScrapeWarnings = (report) => {
+    return KEY_FIELDS
+        .map(field => report[field])
+        .filter(entry => entry && (!entry.found || entry.kind === 'heuristic'));
+};
@@ -0,0 +1,120 @@
+// Builds a persona's sender context from the user's own LinkedIn profile: the extraction prompt (also
+// shown in options for pasting into a chat app by hand) and a word diff for reviewing the result
+// against what the persona has now. Shared by background.js (runs the prompt), the content script
+// (review) and options (manual setup).
+
+const SENDER_CONTEXT_MAX_WORDS = 500;
+
+const SENDER_CONTEXT_PROMPT = `SYSTEM PROMPT: Sender Profile Extraction (Hybrid A+B, 500-word cap)
+
+You are an expert analyst tasked with constructing a compact but high-signal sender profile from a resume and any supplemental context. Your output will be used by another model to write highly personalized cold emails.
+
+Your goal is not to summarize the resume line-by-line, but to reconstruct the person behind it in a way that enables overlap detection, narrative hooks, and credible outreach.
+
+HARD CONSTRAINTS
+	•	Max 500 words total (both sections combined).
+	•	Two sections only, clearly separated with headers.
+	•	Use bullets, prioritize signal density.
+	•	No fluff, no generic praise.
+	•	Section 1 must be strictly resume-grounded (no inferred motivations).
+
+⸻
+
+SECTION 1 — PHYSICAL / FACTUAL HISTORY (Resume-grounded dossier)
+
+Reconstruct the subject’s professional and extracurricular history with high-level detail only. Keep each role to 1–2 bullets max.
+
+Include:
+	•	Identity snapshot: Name, current role, current firm, geography, career stage
+	•	Education: Institutions, degrees/concentrations, dates, GPA (if present), 3–6 signal-bearing courses
+	•	Leadership & orgs: Student orgs + roles (compress; avoid long explanations)
+	•	Professional experience (chronological):
+For each role include:
+	•	Organization, title, dates
+	•	Type of work (e.g., IB advisory, VC diligence, ML/NLP, public equities)
+	•	1–2 high-level outputs/anchors (e.g., notable deals/clients, key deliverables, trust signals like “only junior”)
+	•	Skills & fluencies: Technical + finance tools (compressed)
+	•	Credentials / anchors: Awards/recognitions; notable brands/firms/deals (compressed)
+	•	Interests (optional): Only if it adds outreach texture (1 line)
+
+Constraints:
+	•	Be comprehensive in coverage but minimal per item.
+	•	Do not infer motivations or add editorial commentary.
+	•	This should read like a clean internal dossier, not a narrative.
+
+⸻
+
+SECTION 2 — PSYCHOLOGICAL / NARRATIVE HISTORY (Interpretive, pattern-grounded)
+
+Infer how the person thinks and what they optimize for, grounded in patterns from Section 1. Keep this section to ~200–250 words.
+
+Include (bullets, compact):
+	1.	Core Through-Lines (recurring themes across roles)
+	2.	Intellectual Orientation (execution vs systems vs hybrid; evidence-based)
+	3.	Motivations & Tensions (e.g., building vs evaluating; speed vs rigor)
+	4.	Interests (explicit + implied) (only the most recurrent)
+	5.	Learning Goals (inferred) (what they seem to be trying to learn next)
+	6.	Overlap Vectors (for cold outreach) (industries, roles, transitions, stages, problem spaces)
+	7.	Tone & Positioning Guidance (how to sound; what to assume vs earn; what to avoid)
+
+Constraints:
+	•	Be specific, not flattering.
+	•	Prefer insight over positivity.
+	•	Frame the subject as early but deliberate.
+	•	Optimize for downstream cold-email drafting.
+
+⸻
+
+OUTPUT REQUIREMENTS
+	•	Clear headers + bullet points.
+	•	Two sections only.
+	•	Stay under 500 words.`;
+
+// The user message: the scraped profile stands in for the resume the prompt talks about
+const buildSenderContextMessage = (profileText) => `Here is my LinkedIn profile. Build my sender profile from it.
+
+${profileText}`;
+
+const countContextWords = (text) => (text || '').split(/\s+/).filter(Boolean).length;
+
+// Word-level diff of two texts: [{ type: 'same' | 'added' | 'removed', text }], whitespace kept with
+// the word before it so joining every 'same' + 'added' part gives back `after`
+function diffWords(before, after) {
+    const tokenize = (text) => (text || '').match(/\s*\S+\s*|\s+/g) || [];
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    // Longest common subsequence table, compared ignoring surrounding whitespace
+    const same = (i, j) => a[i].trim() === b[j].trim();
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = same(i, j) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (same(i, j)) {
+            push('same', b[j]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+}
@@ -0,0 +1,158 @@
+// Style memory: a rolling corpus of the user's own final emails (what they approved in the preview,
+// or what Gmail sync saw actually go out), from which the closest past emails are picked as few-shot
+// examples for each new draft. Shared by background.js and options.
+//
+// chrome.storage.local `styleMemory`: [{ id, subject, body, personaId, templateId, templateName, tone, industry,
+//   recipient: { name, headline }, destination, account, threadId, source: preview | batch,
+//   edited, sent, replied, pinned, createdAt, updatedAt }]
+// `styleMemoryEnabled` (default on) turns both capture and example picking on or off.
+
+const STYLE_MEMORY_LIMIT = 40; // Unpinned examples kept; pinned ones never roll off
+const STYLE_EXAMPLES_PER_PROMPT = 3;
+
+// Recipient industry from the headline and current role. First match wins, so narrower patterns go first.
+const INDUSTRY_PATTERNS = [
+    ['Private Equity / VC', /private equity|venture|\bvc\b|growth equity|buyout|\bpe\b/i],
+    ['Investment Banking', /investment bank|\bib\b|m&a|mergers|capital markets|leveraged finance|levfin|restructuring|goldman|morgan stanley|evercore|lazard|centerview|moelis|pjt/i],
+    ['Asset Management / Hedge Funds', /hedge fund|asset management|portfolio manager|equity research|trader|trading/i],
+    ['Consulting', /consult|mckinsey|\bbain\b|\bbcg\b|deloitte|strategy&|oliver wyman/i],
+    ['Software / Tech', /software|engineer|developer|product manager|\bpm\b|data scien|machine learning|\bai\b|saas|google|meta|amazon|microsoft|apple/i],
+    ['Startups', /founder|co-founder|cofounder|startup|stealth/i],
+    ['Healthcare', /health|medical|hospital|biotech|pharma|clinical/i],
+    ['Law', /attorney|lawyer|counsel|\blaw\b|legal/i]
+];
+
+function inferIndustry(profile) {
+    if (!profile) return '';
+    const latest = (profile.experiences || [])[0];
+    const text = [profile.headline, latest && latest.title, latest && latest.company, profile.experience].filter(Boolean).join(' ');
+    const match = INDUSTRY_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : '';
+}
+
+const sameEmailText = (a, b) => (a || '').replace(/\s+/g, ' ').trim() === (b || '').replace(/\s+/g, ' ').trim();
+
+// Final = the user signed off on this text: approved in the preview, or seen as sent in Gmail
+const isFinalExample = (example) => example.source === 'preview' || example.sent;
+
+const loadStyleMemory = async () => {
+    const { styleMemory = [] } = await chrome.storage.local.get('styleMemory');
+    return styleMemory;
+};
+
+// Keeps every pinned example plus the STYLE_MEMORY_LIMIT best others (final, replied, then newest)
+const trimStyleMemory = (examples) => {
+    const rank = (e) => (isFinalExample(e) ? 2 : 0) + (e.replied ? 1 : 0);
+    const unpinned = examples
+        .filter(e => !e.pinned)
+        .sort((a, b) => rank(b) - rank(a) || b.createdAt - a.createdAt)
+        .slice(0, STYLE_MEMORY_LIMIT);
+    const kept = new Set(unpinned.map(e => e.id));
+    return examples.filter(e => e.pinned || kept.has(e.id));
+};
+
+// Writes go one at a time so batch workers and Gmail sync saving together don't drop each other's examples.
+// change(examples) returns the list to store, or null to leave storage untouched.
+let styleMemoryWrites = Promise.resolve();
+
+function updateStyleMemory(change) {
+    const write = styleMemoryWrites.then(async () => {
+        const examples = await change(await loadStyleMemory());
+        if (examples) await chrome.storage.local.set({ styleMemory: trimStyleMemory(examples) });
+    });
+    styleMemoryWrites = write.catch(() => {});
+    return write;
+}
+
+// Records a created draft. A draft for a thread that's already in memory replaces that entry.
+async function addStyleExample(example) {
+    const { styleMemoryEnabled = true } = await chrome.storage.local.get('styleMemoryEnabled');
+    if (!styleMemoryEnabled || !example.body) return null;
+
+    const now = Date.now();
+    const entry = {
+        id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+        subject: '',
+        personaId: null,
+        templateId: null,
+        templateName: '',
+        tone: '',
+        industry: '',
+        recipient: null,
+        destination: 'gmail',
+        account: null,
+        threadId: null,
+        source: 'preview',
+        edited: false,
+        sent: false,
+        replied: false,
+        pinned: false,
+        ...example,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await updateStyleMemory((examples) => {
+        const rest = entry.threadId ? examples.filter(e => e.threadId !== entry.threadId) : examples;
+        return [...rest, entry];
+    });
+    return entry;
+}
+
+// Gmail sync saw the email for `threadId` go out: keep the text that was actually sent
+// (the user may have changed it in Gmail) and whether the recipient replied
+async function applySentEmailToStyleMemory(threadId, { subject, body, replied = false }) {
+    let example = null;
+    await updateStyleMemory((examples) => {
+        example = examples.find(e => e.threadId === threadId) || null;
+        if (!example) return null;
+
+        if (body && !sameEmailText(body, example.body)) {
+            example.body = body;
+            example.edited = true;
+        }
+        if (subject) example.subject = subject;
+        example.sent = true;
+        example.replied = example.replied || replied;
+        example.updatedAt = Date.now();
+        return examples;
+    });
+    return example;
+}
+
+async function setStyleExamplePinned(id, pinned) {
+    await updateStyleMemory((examples) => {
+        const example = examples.find(e => e.id === id);
+        if (example) example.pinned = pinned;
+        return examples;
+    });
+}
+
+async function removeStyleExample(id) {
+    await updateStyleMemory((examples) => examples.filter(e => e.id !== id));
+}
+
+// How close a past email is to the one being written, plus a little for emails that did well
+const scoreStyleExample = (example, { templateId, industry, tone }) =>
+    (templateId && example.templateId === templateId ? 3 : 0) +
+    (industry && example.industry === industry ? 2 : 0) +
+    (tone && example.tone === tone ? 1 : 0) +
+    (example.replied ? 2 : 0) +
+    (example.edited ? 1 : 0);
+
+// Few-shot examples for a new draft: the persona's pinned examples first (pinning also lets an unsent batch
+// draft in), then its best-matching final ones.
+// target: { personaId, templateId, industry, tone }. Examples from other personas are never used.
+function selectStyleExamples(examples, target, count = STYLE_EXAMPLES_PER_PROMPT) {
+    const candidates = examples.filter(e => (e.pinned || isFinalExample(e)) && (!e.personaId || !target.personaId || e.personaId === target.personaId));
+    const pinned = candidates.filter(e => e.pinned).sort((a, b) => b.createdAt - a.createdAt);
+    const ranked = candidates
+        .filter(e => !e.pinned)
+        .map(example => ({ example, score: scoreStyleExample(example, target) }))
+        .sort((a, b) => b.score - a.score || b.example.createdAt - a.example.createdAt)
+        .map(({ example }) => example);
+
+    return [...pinned, ...ranked].slice(0, count);
+}
+
+const formatStyleExample = (example) => `Subject: ${example.subject}\n\n${example.body}`;
@@ -0,0 +1,203 @@
+// Batch drafting (batch.js): the job queue with mocked generate/deliver steps.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChrome, plain } = require('./helpers/extension');
+
+const profile = (n, list = 'Bankers') => ({ url: `https://www.linkedin.com/in/p${n}/`, name: `Person ${n}`, headline: 'Analyst at Evercore', list });
+
+const load = (data = {}) => {
+    const chrome = createChrome({ savedProfiles: [1, 2, 3, 4].map(n => profile(n)).concat(profile(5, 'Founders')), ...data });
+    const get = loadScripts(['providers.js', 'outreach.js', 'personas.js', 'styleMemory.js', 'batch.js'], { chrome });
+    return { chrome, get };
+};
+
+const generated = (emailCandidates = [{ email: 'jane.doe@evercore.com', confidence: 'high' }]) => ({
+    success: true,
+    drafts: [{ to: emailCandidates.length > 0 ? emailCandidates[0].email : '', subject: 'Hi', body: 'Hello' }],
+    emailCandidates
+});
+
+const statuses = (job) => job.items.map(item => item.status);
+
+describe('createBatchJob', () => {
+    test('queues the list and skips contacts that were already emailed', async () => {
+        const { get } = load({
+            outreachLog: { 'https://www.linkedin.com/in/p2/': { url: 'https://www.linkedin.com/in/p2/', status: 'drafted', entries: [{ kind: 'initial' }] } }
+        });
+        const job = plain(await get('createBatchJob')('Bankers', 'Sam Sender'));
+
+        assert.strictEqual(job.status, 'running');
+        assert.deepStrictEqual(job.items.map(item => item.name), ['Person 1', 'Person 2', 'Person 3', 'Person 4']);
+        assert.deepStrictEqual(statuses(job), ['queued', 'skipped', 'queued', 'queued']);
+        assert.strictEqual(job.items[1].error, 'Already emailed');
+    });
+
+    test('keeps the sender name read from LinkedIn for the drafts', async () => {
+        const { get } = load();
+        const job = plain(await get('createBatchJob')('Bankers', 'Sam Sender'));
+        assert.strictEqual(job.senderName, 'Sam Sender');
+        assert.strictEqual(job.personaName, 'Default');
+    });
+
+    test('refuses to start without a name to sign the drafts with', async () => {
+        const { chrome, get } = load();
+        await assert.rejects(get('createBatchJob')('Bankers', null), /Could not find your name to sign the drafts with.*"Default" persona/);
+        assert.strictEqual(chrome.data.batchJob, undefined);
+
+        // A persona with its own sender name doesn't need one from LinkedIn
+        chrome.data.senderName = 'Samuel Sender';
+        const job = plain(await get('createBatchJob')('Bankers', null));
+        assert.strictEqual(job.status, 'running');
+        assert.strictEqual(job.senderName, null);
+    });
+
+    test('refuses an empty list and a second job while one runs', async () => {
+        const { get } = load();
+        await assert.rejects(get('createBatchJob')('Nobody', 'Sam Sender'), /No saved profiles in "Nobody"/);
+        await get('createBatchJob')('Bankers', 'Sam Sender');
+        await assert.rejects(get('createBatchJob')('Founders', 'Sam Sender'), /Already drafting the "Bankers" list/);
+    });
+});
+
+describe('runBatchJob', () => {
+    test('drafts every queued profile, two at a time', async () => {
+        const { chrome, get } = load();
+        const job = await get('createBatchJob')('Bankers', 'Sam Sender');
+        let running = 0;
+        let mostRunning = 0;
+        const delivered = [];
+
+        await get('runBatchJob')(job, {
+            generate: async () => {
+                running++;
+                mostRunning = Math.max(mostRunning, running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+                return generated();
+            },
+            deliver: async (p, result, to) => {
+                delivered.push([p.name, to]);
+                return { success: true };
+            }
+        });
+
+        assert.strictEqual(mostRunning, 2);
+        assert.strictEqual(delivered.length, 4);
+        assert.ok(delivered.every(([, to]) => to === 'jane.doe@evercore.com'));
+        assert.strictEqual(chrome.data.batchJob.status, 'done');
+        assert.deepStrictEqual(statuses(chrome.data.batchJob), ['succeeded', 'succeeded', 'succeeded', 'succeeded']);
+        assert.ok(chrome.data.batchJob.finishedAt);
+    });
+
+    test('keeps the outreach and style memory entries of drafts delivered at the same time', async () => {
+        const { chrome, get } = load();
+        const job = await get('createBatchJob')('Bankers', 'Sam Sender');
+        const recordOutreach = get('recordOutreach');
+        const addStyleExample = get('addStyleExample');
+
+        await get('runBatchJob')(job, {
+            generate: async () => generated(),
+            deliver: async (p, result, to) => {
+                const [draft] = result.drafts;
+                await Promise.all([
+                    recordOutreach(p, { subject: draft.subject, body: draft.body, to }),
+                    addStyleExample({ subject: draft.subject, body: draft.body, source: 'batch', threadId: `t-${p.name}` })
+                ]);
+                return { success: true };
+            }
+        });
+
+        assert.deepStrictEqual(Object.keys(chrome.data.outreachLog).sort(), [1, 2, 3, 4].map(n => `https://www.linkedin.com/in/p${n}/`));
+        assert.ok(Object.values(chrome.data.outreachLog).every(record => record.entries.length === 1));
+        assert.deepStrictEqual(chrome.data.styleMemory.map(example => example.threadId).sort(), ['t-Person 1', 't-Person 2', 't-Person 3', 't-Person 4']);
+    });
+
+    test('only addresses drafts to a high confidence guess and marks the rest as needing an address', async () => {
+        const { chrome, get } = load({ savedProfiles: [profile(1), profile(2), profile(3)] });
+        const job = await get('createBatchJob')('Bankers', 'Sam Sender');
+        const candidates = {
+            // Company in the domain table: its pattern first, then the other formats
+            'Person 1': [{ email: 'p1@evercore.com', confidence: 'medium' }, { email: 'person.1@evercore.com', confidence: 'high' }],
+            // Unknown company: only guesses on a made-up domain
+            'Person 2': [{ email: 'person.2@acmewidgets.com', confidence: 'low' }],
+            // No name or company to guess from
+            'Person 3': []
+        };
+        const delivered = {};
+
+        await get('runBatchJob')(job, {
+            generate: async (p) => generated(candidates[p.name]),
+            deliver: async (p, result, to) => {
+                delivered[p.name] = to;
+                return { success: true };
+            }
+        });
+
+        assert.deepStrictEqual(delivered, { 'Person 1': 'person.1@evercore.com', 'Person 2': '', 'Person 3': '' });
+        assert.deepStrictEqual(plain(chrome.data.batchJob.items).map(({ status, to, needsAddress }) => ({ status, to, needsAddress })), [
+            { status: 'succeeded', to: 'person.1@evercore.com', needsAddress: false },
+            { status: 'succeeded', to: null, needsAddress: true },
+            { status: 'succeeded', to: null, needsAddress: true }
+        ]);
+    });
+
+    test('records failures and profiles removed from the list', async () => {
+        const { chrome, get } = load();
+        const job = await get('createBatchJob')('Bankers', 'Sam Sender');
+        chrome.data.savedProfiles = chrome.data.savedProfiles.filter(p => p.name !== 'Person 4');
+
+        await get('runBatchJob')(job, {
+            generate: async (p) => p.name === 'Person 1' ? { success: false, error: 'No API key' } : generated(),
+            deliver: async (p) => p.name === 'Person 2' ? { success: false, error: 'Gmail sign-in required.' } : { success: true }
+        });
+
+        const items = plain(chrome.data.batchJob.items).map(({ status, error, attempts }) => ({ status, error, attempts }));
+        assert.deepStrictEqual(items, [
+            { status: 'failed', error: 'No API key', attempts: 1 },
+            { status: 'failed', error: 'Gmail sign-in required.', attempts: 1 },
+            { status: 'succeeded', error: null, attempts: 1 },
+            { status: 'skipped', error: 'No longer saved', attempts: 1 }
+        ]);
+    });
+
+    test('puts rate-limited profiles back and gives up after the last attempt', async () => {
+        const { chrome, get } = load({ savedProfiles: [profile(1), profile(2)] });
+        const job = await get('createBatchJob')('Bankers', 'Sam Sender');
+        const attempts = {};
+
+        const started = Date.now();
+        await get('runBatchJob')(job, {
+            generate: async (p) => {
+                attempts[p.name] = (attempts[p.name] || 0) + 1;
+                const limited = p.name === 'Person 2' || attempts[p.name] === 1;
+                return limited ? { success: false, error: 'Rate limited', rateLimited: true, retryAfterMs: 20 } : generated();
+            },
+            deliver: async () => ({ success: true })
+        });
+
+        assert.ok(Date.now() - started >= 20);
+        assert.deepStrictEqual(attempts, { 'Person 1': 2, 'Person 2': 3 });
+        assert.deepStrictEqual(plain(chrome.data.batchJob.items).map(({ status, error }) => [status, error]), [
+            ['succeeded', null],
+            ['failed', 'Rate limited']
+        ]);
+    });
+
+    test('stops taking profiles once cancelled', async () => {
+        const { chrome, get } = load();
+        const job = await get('createBatchJob')('Bankers', 'Sam Sender');
+        const cancelBatchJob = get('cancelBatchJob');
+
+        await get('runBatchJob')(job, {
+            generate: async (p) => {
+                if (p.name === 'Person 1') await cancelBatchJob(job);
+                return generated();
+            },
+            deliver: async () => ({ success: true })
+        });
+
+        assert.strictEqual(chrome.data.batchJob.status, 'cancelled');
+        assert.deepStrictEqual(statuses(chrome.data.batchJob), ['succeeded', 'succeeded', 'cancelled', 'cancelled']);
+    });
+});
@@ -0,0 +1,36 @@
+// Bulk capture (bulkCapture.js) against a saved Sales Navigator result list: which rows get a checkbox,
+// what they'd be saved as, and the count of rows that can't be saved.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, plain } = require('./helpers/extension');
+
+describe('Sales Navigator search', () => {
+    const get = loadPage('sales-navigator-search.html', ['outreach.js', 'bulkCapture.js'], {
+        url: 'https://www.linkedin.com/sales/search/people?query=(keywords%3Aanalyst)'
+    });
+    const checkboxes = () => Array.from(get('document').querySelectorAll('.cec-bulk-checkbox'));
+
+    test('saves leads under their public profile URL, even when the lead page is linked first', () => {
+        const { strategy, items } = get('findResultList()');
+        assert.strictEqual(strategy.describe, 'Sales Navigator search / lead list');
+        assert.deepStrictEqual(plain(items.map(item => strategy.parse(item))), [
+            { name: 'Jane Doe', headline: 'Investment Banking Analyst at Evercore', url: 'https://www.linkedin.com/in/jane-doe-123/', company: 'Evercore' },
+            { name: 'Lee Park', url: 'https://www.linkedin.com/sales/lead/ACwAAA2,NAME_SEARCH,x2/', unsupported: true },
+            { name: 'Ann Lee', headline: 'Vice President at Moelis', url: 'https://www.linkedin.com/in/ann-lee/', company: 'Moelis' }
+        ]);
+    });
+
+    test('only offers leads with a profile link and counts the rest as skipped', () => {
+        assert.deepStrictEqual(checkboxes().map(checkbox => checkbox.title), ['Select Jane Doe', 'Select Ann Lee']);
+        assert.strictEqual(get('document').querySelector('.cec-bulk-count').textContent,
+            '0 selected (1 Sales Navigator lead without a LinkedIn profile link skipped)');
+    });
+
+    test('selecting keeps the count of skipped leads', () => {
+        checkboxes()[0].click();
+        assert.deepStrictEqual([...get('bulkSelection').keys()], ['https://www.linkedin.com/in/jane-doe-123/']);
+        assert.strictEqual(get('document').querySelector('.cec-bulk-count').textContent,
+            '1 selected (1 Sales Navigator lead without a LinkedIn profile link skipped)');
+    });
+});
@@ -0,0 +1,213 @@
+// Each draft destination (destinations.js) against a local mock of its API.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChrome, plain } = require('./helpers/extension');
+const { startMockServer } = require('./helpers/server');
+
+const DESTINATION_SCRIPTS = ['gmailSync.js', 'gmail.js', 'mime.js', 'destinations.js'];
+
+const decodeRaw = (raw) => Buffer.from(raw, 'base64url').toString('utf8');
+
+const email = (fields = {}) => ({
+    to: 'Jane Doe <jane@evercore.com>',
+    cc: 'ann@evercore.com',
+    bcc: '',
+    replyTo: '',
+    subject: 'Quick question',
+    body: 'Hi Jane,\n\nDo you have 15 minutes this week?',
+    html: false,
+    attachments: [],
+    account: null,
+    thread: null,
+    ...fields
+});
+
+describe('gmail destination', () => {
+    let server;
+    let chrome;
+    let get;
+
+    before(async () => {
+        server = await startMockServer({
+            'POST /drafts': ({ body }) => ({ id: 'r-1', message: { id: 'm-2', threadId: body.message.threadId || 't-2' } }),
+            'GET /messages/m-1': () => ({ id: 'm-1', payload: { headers: [{ name: 'Message-ID', value: '<original@mail.gmail.com>' }] } })
+        });
+    });
+    after(() => server.close());
+
+    const load = () => {
+        server.requests.length = 0;
+        chrome = createChrome({
+            gmailAccounts: { 'me@gmail.com': { email: 'me@gmail.com', token: 'gmail-token', expiry: Date.now() + 3600000, scopes: [] } },
+            defaultGmailAccount: 'me@gmail.com'
+        });
+        get = loadScripts(DESTINATION_SCRIPTS, { chrome });
+        return get('DRAFT_DESTINATIONS.gmail');
+    };
+
+    test('creates a draft from the raw MIME message as the default account', async () => {
+        const created = plain(await load().createDraft(email(), { baseUrl: server.baseUrl }));
+
+        assert.strictEqual(server.requests.length, 1);
+        const [request] = server.requests;
+        assert.strictEqual(request.path, '/drafts');
+        assert.strictEqual(request.headers.authorization, 'Bearer gmail-token');
+        assert.strictEqual(request.body.message.threadId, undefined);
+
+        const raw = decodeRaw(request.body.message.raw);
+        assert.match(raw, /^To: Jane Doe <jane@evercore\.com>\r\nCc: ann@evercore\.com\r\n/m);
+        assert.match(raw, /\r\nSubject: Quick question\r\n/);
+        assert.doesNotMatch(raw, /In-Reply-To/);
+
+        assert.deepStrictEqual(created, {
+            account: 'me@gmail.com',
+            draftId: 'r-1',
+            messageId: 'm-2',
+            threadId: 't-2',
+            openUrl: 'https://mail.google.com/mail/u/me@gmail.com/#drafts?compose=m-2'
+        });
+    });
+
+    test('threads a follow-up under the original message', async () => {
+        const created = await load().createDraft(email({ subject: 'Re: Quick question', thread: { messageId: 'm-1', threadId: 't-1' } }), { baseUrl: server.baseUrl });
+
+        assert.deepStrictEqual(server.requests.map(request => `${request.method} ${request.path}`), ['GET /messages/m-1', 'POST /drafts']);
+        assert.strictEqual(server.requests[0].query.get('metadataHeaders'), 'Message-ID');
+
+        const { message } = server.requests[1].body;
+        assert.strictEqual(message.threadId, 't-1');
+        const raw = decodeRaw(message.raw);
+        assert.match(raw, /\r\nIn-Reply-To: <original@mail\.gmail\.com>\r\nReferences: <original@mail\.gmail\.com>\r\n/);
+        assert.strictEqual(created.threadId, 't-1');
+    });
+
+    test('uses the account picked in the preview', async () => {
+        const gmail = load();
+        chrome.data.gmailAccounts['work@gmail.com'] = { email: 'work@gmail.com', token: 'work-token', expiry: Date.now() + 3600000, scopes: [] };
+
+        const created = await gmail.createDraft(email({ account: 'work@gmail.com' }), { baseUrl: server.baseUrl });
+        assert.strictEqual(server.requests[0].headers.authorization, 'Bearer work-token');
+        assert.strictEqual(created.account, 'work@gmail.com');
+    });
+});
+
+describe('outlook destination', () => {
+    let server;
+    let chrome;
+    let get;
+
+    before(async () => {
+        server = await startMockServer({
+            'GET /me': () => ({ mail: 'me@contoso.com', userPrincipalName: 'me@contoso.onmicrosoft.com' }),
+            'POST /me/messages': () => ({ id: 'AAMk-new', conversationId: 'conv-1', webLink: 'https://outlook.office365.com/owa/?ItemID=AAMk-new' }),
+            'POST /me/messages/AAMk-sent/createReply': () => ({ id: 'AAMk-reply', conversationId: 'conv-0', webLink: 'https://outlook.office365.com/owa/?ItemID=AAMk-reply' })
+        });
+    });
+    after(() => server.close());
+
+    const load = (data = { outlookAccount: { email: 'me@contoso.com', token: 'graph-token', expiry: Date.now() + 3600000 } }) => {
+        server.requests.length = 0;
+        chrome = createChrome({ outlookClientId: 'client-id', ...data });
+        get = loadScripts(DESTINATION_SCRIPTS, { chrome });
+        return get('DRAFT_DESTINATIONS.outlook');
+    };
+
+    test('creates a message in Drafts with recipients, HTML body and attachments', async () => {
+        const created = plain(await load().createDraft(email({
+            bcc: 'me@contoso.com',
+            replyTo: 'replies@contoso.com',
+            html: true,
+            attachments: [{ filename: 'resume.pdf', mimeType: 'application/pdf', data: 'JVBERi0=' }]
+        }), { baseUrl: server.baseUrl }));
+
+        assert.strictEqual(server.requests.length, 1);
+        const [request] = server.requests;
+        assert.strictEqual(request.path, '/me/messages');
+        assert.strictEqual(request.headers.authorization, 'Bearer graph-token');
+        assert.strictEqual(request.headers.prefer, 'IdType="ImmutableId"');
+        assert.deepStrictEqual(request.body.toRecipients, [{ emailAddress: { name: 'Jane Doe', address: 'jane@evercore.com' } }]);
+        assert.deepStrictEqual(request.body.ccRecipients, [{ emailAddress: { address: 'ann@evercore.com' } }]);
+        assert.deepStrictEqual(request.body.bccRecipients, [{ emailAddress: { address: 'me@contoso.com' } }]);
+        assert.deepStrictEqual(request.body.replyTo, [{ emailAddress: { address: 'replies@contoso.com' } }]);
+        assert.strictEqual(request.body.body.contentType, 'HTML');
+        assert.match(request.body.body.content, /<p>Hi Jane,<\/p><p>Do you have 15 minutes this week\?<\/p>/);
+        assert.deepStrictEqual(request.body.attachments, [{
+            '@odata.type': '#microsoft.graph.fileAttachment', name: 'resume.pdf', contentType: 'application/pdf', contentBytes: 'JVBERi0='
+        }]);
+
+        assert.deepStrictEqual(created, {
+            account: 'me@contoso.com',
+            draftId: 'AAMk-new',
+            messageId: 'AAMk-new',
+            threadId: 'conv-1',
+            openUrl: 'https://outlook.office365.com/owa/?ItemID=AAMk-new'
+        });
+    });
+
+    test('replies to the original recipients for a follow-up', async () => {
+        const created = await load().createDraft(email({ thread: { messageId: 'AAMk-sent', threadId: 'conv-0' } }), { baseUrl: server.baseUrl });
+
+        const [request] = server.requests;
+        assert.strictEqual(request.path, '/me/messages/AAMk-sent/createReply');
+        assert.strictEqual(request.body.comment, 'Hi Jane,\n\nDo you have 15 minutes this week?');
+        assert.deepStrictEqual(request.body.message.toRecipients, [{ emailAddress: { name: 'Jane Doe', address: 'jane@evercore.com' } }]);
+        assert.deepStrictEqual(request.body.message.ccRecipients, [{ emailAddress: { address: 'ann@evercore.com' } }]);
+        assert.strictEqual(created.threadId, 'conv-0');
+    });
+
+    test('signs in and reads the account address when there is no token', async () => {
+        const outlook = load({ outlookAccount: null });
+        chrome.identity.launchWebAuthFlow = (details, callback) => {
+            assert.match(details.url, /^https:\/\/login\.microsoftonline\.com\/common\/oauth2\/v2\.0\/authorize\?client_id=client-id/);
+            callback('https://extension.chromiumapp.org/#access_token=fresh-token&expires_in=3600');
+        };
+
+        const created = await outlook.createDraft(email(), { baseUrl: server.baseUrl });
+
+        assert.deepStrictEqual(server.requests.map(request => `${request.method} ${request.path}`), ['GET /me', 'POST /me/messages']);
+        assert.strictEqual(server.requests[1].headers.authorization, 'Bearer fresh-token');
+        assert.strictEqual(chrome.data.outlookAccount.email, 'me@contoso.com');
+        assert.strictEqual(created.account, 'me@contoso.com');
+    });
+
+    test('surfaces Graph errors', async () => {
+        const outlook = load();
+        await assert.rejects(
+            outlook.createDraft(email({ thread: { messageId: 'AAMk-missing', threadId: 'conv-0' } }), { baseUrl: server.baseUrl }),
+            { message: 'Not found', status: 404 }
+        );
+    });
+});
+
+describe('mailto destination', () => {
+    test('builds the link and the clipboard text without calling any API', async () => {
+        const get = loadScripts(DESTINATION_SCRIPTS, { chrome: createChrome(), fetch: () => assert.fail('mailto must not fetch') });
+        const created = plain(await get('DRAFT_DESTINATIONS.mailto').createDraft(email()));
+
+        assert.deepStrictEqual(created, {
+            account: null,
+            draftId: null,
+            messageId: null,
+            threadId: null,
+            openUrl: 'mailto:Jane%20Doe%20%3Cjane@evercore.com%3E?cc=ann%40evercore.com&subject=Quick%20question&body=Hi%20Jane%2C%0A%0ADo%20you%20have%2015%20minutes%20this%20week%3F',
+            copyText: 'Subject: Quick question\n\nHi Jane,\n\nDo you have 15 minutes this week?'
+        });
+    });
+});
+
+describe('loadDraftDestination', () => {
+    test('uses the requested destination, then the one from options, then Gmail', async () => {
+        const chrome = createChrome({ draftDestination: 'outlook' });
+        const get = loadScripts(DESTINATION_SCRIPTS, { chrome });
+        const load = get('loadDraftDestination');
+
+        assert.strictEqual((await load('mailto')).id, 'mailto');
+        assert.strictEqual((await load()).id, 'outlook');
+        assert.strictEqual((await load('fax')).id, 'outlook');
+
+        chrome.data.draftDestination = 'pigeon';
+        assert.strictEqual((await load()).id, 'gmail');
+        assert.deepStrictEqual(Object.keys(await load()), ['id', 'destination']);
+    });
+});
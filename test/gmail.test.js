@@ -0,0 +1,103 @@
+// Gmail REST calls and token handling (gmail.js) against a local mock of the Gmail API.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChrome } = require('./helpers/extension');
+const { startMockServer } = require('./helpers/server');
+
+const ME = 'me@gmail.com';
+const HOUR = 3600000;
+
+describe('gmailRequest', () => {
+    let server;
+    let chrome;
+    let get;
+    let rejectTokens; // Tokens the mock answers with 401
+
+    before(async () => {
+        server = await startMockServer({
+            'GET /profile': ({ headers }) => ({ emailAddress: headers.authorization === 'Bearer other-token' ? 'other@gmail.com' : ME }),
+            'GET /labels': ({ headers }) => rejectTokens.includes(headers.authorization.replace('Bearer ', ''))
+                ? { status: 401, body: { error: { message: 'Invalid Credentials' } } }
+                : { labels: [{ id: 'INBOX' }] },
+            'POST /drafts': () => ({ status: 400, body: { error: { message: 'Invalid to header' } } })
+        });
+    });
+    after(() => server.close());
+
+    // authFlow(details) returns the redirect URL launchWebAuthFlow should answer with (undefined = failed)
+    const load = ({ expiry = Date.now() + HOUR, authFlow = () => undefined } = {}) => {
+        server.requests.length = 0;
+        rejectTokens = [];
+        chrome = createChrome({
+            gmailAccounts: { [ME]: { email: ME, token: 'old-token', expiry, scopes: [] } },
+            defaultGmailAccount: ME
+        });
+        chrome.authFlows = [];
+        chrome.identity.launchWebAuthFlow = (details, callback) => {
+            chrome.authFlows.push(details);
+            callback(authFlow(details));
+        };
+        get = loadScripts(['gmailSync.js', 'gmail.js'], { chrome });
+        return (path, options = {}) => get('gmailRequest')(path, { baseUrl: server.baseUrl, ...options });
+    };
+
+    const grant = (token) => () => `https://extension.chromiumapp.org/#access_token=${token}&expires_in=3600&scope=`;
+
+    test('calls the API with the account token', async () => {
+        const gmailRequest = load();
+        const data = await gmailRequest('labels');
+        assert.strictEqual(data.labels[0].id, 'INBOX');
+        assert.strictEqual(server.requests[0].headers.authorization, 'Bearer old-token');
+        assert.strictEqual(chrome.authFlows.length, 0);
+    });
+
+    test('returns null for a 404', async () => {
+        const gmailRequest = load();
+        assert.strictEqual(await gmailRequest('threads/gone'), null);
+    });
+
+    test('signs in again after a 401 and retries once', async () => {
+        const gmailRequest = load({ authFlow: grant('new-token') });
+        rejectTokens = ['old-token'];
+
+        const data = await gmailRequest('labels');
+
+        assert.strictEqual(data.labels[0].id, 'INBOX');
+        assert.deepStrictEqual(server.requests.map(request => `${request.method} ${request.path} ${request.headers.authorization}`), [
+            'GET /labels Bearer old-token',
+            'GET /profile Bearer new-token',
+            'GET /labels Bearer new-token'
+        ]);
+        assert.strictEqual(chrome.authFlows.length, 1);
+        assert.strictEqual(chrome.authFlows[0].interactive, false);
+        assert.match(chrome.authFlows[0].url, /login_hint=me%40gmail\.com/);
+        assert.strictEqual(chrome.data.gmailAccounts[ME].token, 'new-token');
+    });
+
+    test('gives up when the new token is rejected too', async () => {
+        const gmailRequest = load({ authFlow: grant('new-token') });
+        rejectTokens = ['old-token', 'new-token'];
+
+        await assert.rejects(gmailRequest('labels'), { message: 'Invalid Credentials', status: 401 });
+        assert.strictEqual(server.requests.filter(request => request.path === '/labels').length, 2);
+    });
+
+    test('throws the API error message with its status', async () => {
+        const gmailRequest = load();
+        await assert.rejects(gmailRequest('drafts', { method: 'POST', body: { message: { raw: '' } } }), { message: 'Invalid to header', status: 400 });
+    });
+
+    test('does not show the sign-in window when called non-interactively', async () => {
+        const gmailRequest = load({ expiry: 0 });
+        await assert.rejects(gmailRequest('labels', { interactive: false }), /Gmail sign-in required for me@gmail\.com/);
+        assert.deepStrictEqual(chrome.authFlows.map(flow => flow.interactive), [false]);
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    test('refuses a token for a different account than the one asked for', async () => {
+        const gmailRequest = load({ expiry: 0, authFlow: grant('other-token') });
+        await assert.rejects(gmailRequest('labels'), /Signed in as other@gmail\.com instead of me@gmail\.com/);
+        assert.ok(chrome.data.gmailAccounts['other@gmail.com']);
+    });
+});
@@ -0,0 +1,161 @@
+// Gmail sync (gmailSync.js): reading sent/replied state from threads and the status changes it makes,
+// against a fake Gmail api.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChrome, plain } = require('./helpers/extension');
+
+const get = loadScripts(['gmailSync.js'], { chrome: createChrome() });
+const analyzeThread = get('analyzeThread');
+const computeOutreachUpdates = get('computeOutreachUpdates');
+const createGmailApi = get('createGmailApi');
+
+const ME = 'me@gmail.com';
+
+const message = (id, labelIds, internalDate, from = ME) => ({
+    id, labelIds, internalDate: String(internalDate), payload: { headers: [{ name: 'From', value: from }] }
+});
+
+const THREADS = {
+    drafted: { id: 'drafted', messages: [message('d1', ['DRAFT'], 100)] },
+    sent: { id: 'sent', messages: [message('s1', ['SENT'], 100)] },
+    replied: {
+        id: 'replied',
+        messages: [
+            message('r1', ['SENT'], 100),
+            message('r2', ['INBOX', 'UNREAD'], 200, 'Jane Doe <jane@evercore.com>')
+        ]
+    }
+};
+
+// Fake api per account: serves THREADS, null (a 404) for anything else, and records what was asked
+const fakeApis = () => {
+    const calls = [];
+    const getApi = (account) => ({
+        getThread: async (threadId) => {
+            calls.push(`${account} ${threadId}`);
+            return THREADS[threadId] || null;
+        }
+    });
+    return { getApi, calls };
+};
+
+const record = (url, status, entries) => ({ url, status, entries });
+
+describe('analyzeThread', () => {
+    test('a thread with only a draft was not sent', () => {
+        assert.deepStrictEqual(plain(analyzeThread(THREADS.drafted, ME)), { sent: false, replied: false, repliedAt: null, sentMessageId: null });
+    });
+
+    test('a missing thread was not sent', () => {
+        assert.deepStrictEqual(plain(analyzeThread(null, ME)), { sent: false, replied: false, repliedAt: null, sentMessageId: null });
+    });
+
+    test('a sent message without an answer', () => {
+        assert.deepStrictEqual(plain(analyzeThread(THREADS.sent, ME)), { sent: true, replied: false, repliedAt: null, sentMessageId: 's1' });
+    });
+
+    test('an answer from someone else after the first sent message is a reply', () => {
+        assert.deepStrictEqual(plain(analyzeThread(THREADS.replied, ME)), { sent: true, replied: true, repliedAt: 200, sentMessageId: 'r1' });
+    });
+
+    test('the user\'s own messages and earlier messages are not replies', () => {
+        const thread = {
+            messages: [
+                message('a', ['INBOX'], 50, 'Jane Doe <jane@evercore.com>'),
+                message('b', ['SENT'], 300),
+                message('c', ['SENT'], 100),
+                message('d', ['INBOX'], 400, 'Sam <ME@gmail.com>'),
+                message('e', ['DRAFT'], 500, 'jane@evercore.com')
+            ]
+        };
+        assert.deepStrictEqual(plain(analyzeThread(thread, ME)), { sent: true, replied: false, repliedAt: null, sentMessageId: 'c' });
+    });
+});
+
+describe('computeOutreachUpdates', () => {
+    test('moves drafted contacts to sent or replied', async () => {
+        const { getApi } = fakeApis();
+        const updates = await computeOutreachUpdates({
+            a: record('a', 'drafted', [{ threadId: 'sent', account: ME }]),
+            b: record('b', 'drafted', [{ threadId: 'replied', account: ME }]),
+            c: record('c', 'sent', [{ threadId: 'replied', account: ME }])
+        }, getApi, ME);
+
+        assert.deepStrictEqual(plain(updates), [
+            { url: 'a', status: 'sent', threadId: 'sent', account: ME, sentMessageId: 's1' },
+            { url: 'b', status: 'replied', threadId: 'replied', account: ME, sentMessageId: 'r1' },
+            { url: 'c', status: 'replied', threadId: 'replied', account: ME, sentMessageId: 'r1' }
+        ]);
+    });
+
+    test('never moves a status backwards', async () => {
+        const { getApi, calls } = fakeApis();
+        const updates = await computeOutreachUpdates({
+            // Marked sent, but the thread still only holds the draft (or is gone)
+            a: record('a', 'sent', [{ threadId: 'drafted', account: ME }]),
+            b: record('b', 'sent', [{ threadId: 'deleted', account: ME }]),
+            // Already as far as sync goes, or set by the user
+            c: record('c', 'replied', [{ threadId: 'sent', account: ME }]),
+            d: record('d', 'meeting', [{ threadId: 'sent', account: ME }]),
+            e: record('e', 'dead', [{ threadId: 'replied', account: ME }])
+        }, getApi, ME);
+
+        assert.deepStrictEqual(plain(updates), []);
+        assert.deepStrictEqual(calls, [`${ME} drafted`, `${ME} deleted`]);
+    });
+
+    test('leaves contacts whose threads are missing (404) where they are', async () => {
+        const { getApi } = fakeApis();
+        const updates = await computeOutreachUpdates({
+            a: record('a', 'drafted', [{ threadId: 'deleted', account: ME }])
+        }, getApi, ME);
+        assert.deepStrictEqual(plain(updates), []);
+    });
+
+    test('takes the furthest thread of a contact', async () => {
+        const { getApi } = fakeApis();
+        const updates = await computeOutreachUpdates({
+            a: record('a', 'drafted', [
+                { threadId: 'sent', account: ME },
+                { threadId: 'deleted', account: ME },
+                { threadId: 'replied', account: ME },
+                { threadId: 'drafted', account: ME }
+            ])
+        }, getApi, ME);
+        assert.deepStrictEqual(plain(updates).map(update => [update.status, update.threadId]), [['replied', 'replied']]);
+    });
+
+    test('checks each thread with its account, old entries with the default one', async () => {
+        const { getApi, calls } = fakeApis();
+        await computeOutreachUpdates({
+            a: record('a', 'drafted', [{ threadId: 'sent', account: 'work@gmail.com' }]),
+            b: record('b', 'drafted', [{ threadId: 'replied' }])
+        }, getApi, ME);
+        assert.deepStrictEqual(calls, ['work@gmail.com sent', `${ME} replied`]);
+    });
+
+    test('skips entries without a thread, drafted elsewhere, or with no account to check', async () => {
+        const { getApi, calls } = fakeApis();
+        const updates = await computeOutreachUpdates({
+            a: record('a', 'drafted', [{ threadId: null, account: ME }]),
+            b: record('b', 'drafted', [{ threadId: 'sent', account: 'me@contoso.com', destination: 'outlook' }]),
+            c: record('c', 'drafted', [{ threadId: 'sent' }])
+        }, getApi, null);
+        assert.deepStrictEqual(plain(updates), []);
+        assert.deepStrictEqual(calls, []);
+    });
+});
+
+describe('createGmailApi', () => {
+    test('asks for thread metadata and full messages', async () => {
+        const paths = [];
+        const api = createGmailApi(async (path) => {
+            paths.push(path);
+            return null;
+        });
+        assert.strictEqual(await api.getThread('t1'), null);
+        await api.getMessage('m1');
+        assert.deepStrictEqual(paths, ['threads/t1?format=metadata&metadataHeaders=From', 'messages/m1?format=full']);
+    });
+});
@@ -0,0 +1,79 @@
+// Loads extension scripts the way the browser does: classic scripts sharing one global scope, so a
+// script sees the top-level consts and functions of the scripts loaded before it.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const runScripts = (context, files) => {
+    files.forEach(file => {
+        new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+    });
+};
+
+// A plain (no DOM) context for background/shared modules. `globals` become its globals (chrome, fetch, ...).
+// Returns get(name) for reading any top-level name, const or not.
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, URL, URLSearchParams, btoa, atob, fetch, ...globals });
+    runScripts(context, files);
+    return (name) => vm.runInContext(name, context);
+}
+
+// A jsdom page built from test/fixtures/<fixture>, with `files` loaded as content scripts
+function loadPage(fixture, files, { url = 'https://www.linkedin.com/in/jane-doe/' } = {}) {
+    const html = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+
+    // jsdom has no layout, so no innerText; textContent is close enough for these fixtures
+    Object.defineProperty(dom.window.HTMLElement.prototype, 'innerText', {
+        get() { return this.textContent; }
+    });
+
+    runScripts(dom.getInternalVMContext(), files);
+    return (name) => dom.window.eval(name);
+}
+
+// chrome.storage.local over a plain object, plus the stubs the loaded modules touch at load time
+function createChrome(data = {}) {
+    const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    const listeners = () => ({ addListener() {}, removeListener() {} });
+    return {
+        data,
+        storage: {
+            local: {
+                async get(keys) {
+                    if (keys === null || keys === undefined) return copy(data);
+                    const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+                    const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+                    return Object.fromEntries(names
+                        .filter(name => name in data || name in defaults)
+                        .map(name => [name, name in data ? copy(data[name]) : defaults[name]]));
+                },
+                async set(items) {
+                    Object.entries(items).forEach(([name, value]) => { data[name] = copy(value); });
+                },
+                async remove(keys) {
+                    [].concat(keys).forEach(name => { delete data[name]; });
+                }
+            },
+            onChanged: listeners()
+        },
+        runtime: { onMessage: listeners(), getManifest: () => ({ oauth2: { client_id: 'test-client', scopes: [] } }) },
+        alarms: { onAlarm: listeners(), create() {}, clear: async () => true },
+        // Tests that sign in replace launchWebAuthFlow with one answering like Google / Microsoft
+        identity: {
+            getRedirectURL: () => 'https://extension.chromiumapp.org/',
+            launchWebAuthFlow: (details, callback) => callback(undefined)
+        }
+    };
+}
+
+// Values built inside a vm context have that context's prototypes; this makes them comparable with
+// assert.deepStrictEqual
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadScripts, loadPage, createChrome, plain };
@@ -0,0 +1,33 @@
+// A local HTTP server standing in for the Gmail / Microsoft Graph APIs. routes maps "METHOD /path"
+// (path without the query) to a handler(request) returning { status, body } or just the JSON body.
+// Every request is recorded with its parsed JSON body.
+
+const http = require('http');
+
+async function startMockServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: data ? JSON.parse(data) : null };
+            requests.push(request);
+
+            const handler = routes[`${req.method} ${url.pathname}`];
+            const result = handler ? await handler(request) : { status: 404, body: { error: { message: 'Not found' } } };
+            const { status = 200, body = {} } = result && 'status' in result ? result : { body: result };
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}/`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,173 @@
+// buildMimeMessage (mime.js): the raw messages handed to the Gmail API, checked line by line with fixed
+// boundaries.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/extension');
+
+const get = loadScripts(['mime.js']);
+const buildMimeMessage = get('buildMimeMessage');
+const encodeHeaderWord = get('encodeHeaderWord');
+const boundary = (kind) => `b-${kind}`;
+
+const lines = (raw) => raw.split('\r\n');
+const base64 = (text) => Buffer.from(text, 'utf8').toString('base64');
+
+// "=?UTF-8?B?...?=\r\n =?UTF-8?B?...?=" -> the decoded text
+const decodeWords = (value) => value
+    .split('\r\n ')
+    .map(word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64').toString('utf8'))
+    .join('');
+
+describe('buildMimeMessage', () => {
+    test('text only', () => {
+        const raw = buildMimeMessage({ to: 'jane@evercore.com', subject: 'Quick question', body: 'Hi Jane,\nThanks!' }, boundary);
+        assert.deepStrictEqual(lines(raw), [
+            'MIME-Version: 1.0',
+            'To: jane@evercore.com',
+            'Subject: Quick question',
+            'Content-Type: text/plain; charset="UTF-8"',
+            'Content-Transfer-Encoding: 7bit',
+            '',
+            'Hi Jane,',
+            'Thanks!'
+        ]);
+    });
+
+    test('non-ASCII text body goes as base64', () => {
+        const raw = buildMimeMessage({ to: 'jane@evercore.com', subject: 'Hi', body: 'Caf\u00e9 on Friday?' }, boundary);
+        assert.deepStrictEqual(lines(raw).slice(3), [
+            'Content-Type: text/plain; charset="UTF-8"',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64('Caf\u00e9 on Friday?')
+        ]);
+    });
+
+    test('multipart/alternative with HTML', () => {
+        const raw = buildMimeMessage({ to: 'jane@evercore.com', subject: 'Hi', body: 'Hi Jane,\n\nA <quick> question', html: true }, boundary);
+        assert.deepStrictEqual(lines(raw), [
+            'MIME-Version: 1.0',
+            'To: jane@evercore.com',
+            'Subject: Hi',
+            'Content-Type: multipart/alternative; boundary="b-alt"',
+            '',
+            '--b-alt',
+            'Content-Type: text/plain; charset="UTF-8"',
+            'Content-Transfer-Encoding: 7bit',
+            '',
+            'Hi Jane,',
+            '',
+            'A <quick> question',
+            '--b-alt',
+            'Content-Type: text/html; charset="UTF-8"',
+            'Content-Transfer-Encoding: 7bit',
+            '',
+            '<!DOCTYPE html><html><body><p>Hi Jane,</p><p>A &lt;quick&gt; question</p></body></html>',
+            '--b-alt--'
+        ]);
+    });
+
+    test('an HTML string is used as-is', () => {
+        const raw = buildMimeMessage({ to: 'jane@evercore.com', subject: 'Hi', body: 'Hi', html: '<p><b>Hi</b></p>' }, boundary);
+        assert.ok(lines(raw).includes('<p><b>Hi</b></p>'));
+    });
+
+    test('multipart/mixed with an attachment around the alternative part', () => {
+        const pdf = Buffer.alloc(120, 7).toString('base64');
+        const raw = buildMimeMessage({
+            to: 'jane@evercore.com',
+            subject: 'Resume',
+            body: 'Attached.',
+            html: true,
+            attachments: [{ filename: 'Jane "JD" Resume.pdf', mimeType: 'application/pdf', data: pdf }]
+        }, boundary);
+        const output = lines(raw);
+
+        assert.strictEqual(output[3], 'Content-Type: multipart/mixed; boundary="b-mixed"');
+        assert.deepStrictEqual(output.slice(5, 8), ['--b-mixed', 'Content-Type: multipart/alternative; boundary="b-alt"', '']);
+        assert.ok(output.includes('--b-alt--'));
+
+        const attachment = output.indexOf('--b-mixed', 6);
+        assert.ok(attachment > output.indexOf('--b-alt--'));
+        assert.deepStrictEqual(output.slice(attachment), [
+            '--b-mixed',
+            'Content-Type: application/pdf',
+            'Content-Disposition: attachment; filename="Jane \\"JD\\" Resume.pdf"',
+            'Content-Transfer-Encoding: base64',
+            '',
+            pdf.slice(0, 76),
+            pdf.slice(76, 152),
+            pdf.slice(152),
+            '--b-mixed--'
+        ]);
+    });
+
+    test('a non-ASCII attachment name uses RFC 2231', () => {
+        const raw = buildMimeMessage({ to: 'j@x.com', subject: 'CV', body: 'CV', attachments: [{ filename: 'Lebenslauf M\u00fcller.pdf', mimeType: 'application/pdf', data: 'JVBERi0=' }] }, boundary);
+        assert.ok(lines(raw).includes("Content-Disposition: attachment; filename*=UTF-8''Lebenslauf%20M%C3%BCller.pdf"));
+    });
+
+    test('Cc, Bcc and Reply-To headers', () => {
+        const raw = buildMimeMessage({
+            to: 'Jane Doe <jane@evercore.com>',
+            cc: '"Lee, Ann" <ann@evercore.com>; bob@evercore.com',
+            bcc: ['me@gmail.com'],
+            replyTo: 'Sam Sender <replies@gmail.com>',
+            subject: 'Hi',
+            body: 'Hi',
+            headers: { 'In-Reply-To': '<a@b>', 'References': '' }
+        }, boundary);
+
+        assert.deepStrictEqual(lines(raw).slice(0, 8), [
+            'MIME-Version: 1.0',
+            'To: Jane Doe <jane@evercore.com>',
+            'Cc: "Lee, Ann" <ann@evercore.com>,',
+            ' bob@evercore.com',
+            'Bcc: me@gmail.com',
+            'Reply-To: Sam Sender <replies@gmail.com>',
+            'In-Reply-To: <a@b>',
+            'Subject: Hi'
+        ]);
+    });
+
+    test('empty Cc, Bcc and Reply-To are left out', () => {
+        const raw = buildMimeMessage({ to: 'jane@evercore.com', cc: '', bcc: ' , ', replyTo: null, subject: 'Hi', body: 'Hi' }, boundary);
+        assert.doesNotMatch(raw, /^(Cc|Bcc|Reply-To):/m);
+    });
+});
+
+describe('RFC 2047 headers', () => {
+    test('a non-ASCII subject is encoded', () => {
+        const subject = 'Caf\u00e9 chat \u2013 15 min?';
+        const raw = buildMimeMessage({ to: 'jane@evercore.com', subject, body: 'Hi' }, boundary);
+        const header = raw.match(/\r\nSubject: (.*?)\r\nContent-Type/s)[1];
+
+        assert.match(header, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+        assert.strictEqual(decodeWords(header), subject);
+    });
+
+    test('a long subject is folded into words under 78 characters without splitting characters', () => {
+        const subject = '\u00dcber die M\u00f6glichkeit eines kurzen Gespr\u00e4chs \u00fcber Ihre Arbeit bei Evercore \ud83d\ude80';
+        const header = encodeHeaderWord(subject);
+        const folded = header.split('\r\n ');
+
+        assert.ok(folded.length > 1);
+        folded.forEach((word, i) => assert.ok((i === 0 ? `Subject: ${word}` : ` ${word}`).length < 78, word));
+        assert.strictEqual(decodeWords(header), subject);
+    });
+
+    test('ASCII subjects stay as they are', () => {
+        assert.strictEqual(encodeHeaderWord('Quick question'), 'Quick question');
+    });
+
+    test('non-ASCII display names are encoded, the address is not', () => {
+        const raw = buildMimeMessage({ to: 'Jos\u00e9 N\u00fa\u00f1ez <jose@evercore.com>, "Doe, Jane" <jane@evercore.com>', subject: 'Hi', body: 'Hi' }, boundary);
+        const [first, second] = lines(raw).slice(1, 3);
+
+        const [, word, address] = first.match(/^To: (=\?UTF-8\?B\?.*\?=) <(.*)>,$/);
+        assert.strictEqual(decodeWords(word), 'Jos\u00e9 N\u00fa\u00f1ez');
+        assert.strictEqual(address, 'jose@evercore.com');
+        assert.strictEqual(second, ' "Doe, Jane" <jane@evercore.com>');
+    });
+});
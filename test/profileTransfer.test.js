@@ -0,0 +1,71 @@
+// Profile import (profileTransfer.js): merging an import file into the saved profiles and outreach log.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChrome, plain } = require('./helpers/extension');
+
+const get = loadScripts(['csv.js', 'outreach.js', 'profileTransfer.js'], { chrome: createChrome() });
+const parseProfileImport = get('parseProfileImport');
+const mergeImportedProfiles = get('mergeImportedProfiles');
+
+const JANE = 'https://www.linkedin.com/in/jane-doe/';
+const LEE = 'https://www.linkedin.com/in/lee-park/';
+
+const empty = () => ({ savedProfiles: [], profileLists: [], log: {} });
+const entry = (fields = {}) => ({ kind: 'initial', subject: 'Quick question', body: 'Hi', to: 'jane@evercore.com', createdAt: 1700000000000, ...fields });
+
+describe('mergeImportedProfiles', () => {
+    test('adds new profiles with their outreach history', () => {
+        const imported = parseProfileImport(JSON.stringify({
+            lists: ['Bankers'],
+            profiles: [{ name: 'Jane Doe', url: JANE, list: 'Bankers', outreach: { status: 'replied', entries: [entry()] } }]
+        }), 'contacts.json');
+        const merged = plain(mergeImportedProfiles(empty(), imported));
+
+        assert.deepStrictEqual(merged.report, { added: 1, updated: 0, skipped: 0 });
+        assert.deepStrictEqual(merged.profileLists, ['Bankers']);
+        assert.strictEqual(merged.log[JANE].status, 'replied');
+        assert.deepStrictEqual(merged.log[JANE].entries, [entry()]);
+    });
+
+    test('drops malformed history entries and unknown statuses from a hand-edited file', () => {
+        const imported = parseProfileImport(JSON.stringify({
+            profiles: [
+                {
+                    name: 'Jane Doe',
+                    url: JANE,
+                    outreach: {
+                        status: 'waiting',
+                        entries: [entry(), null, 'sent it', [entry()], entry({ createdAt: 'yesterday' }), entry({ subject: { text: 'Hi' } }), entry({ kind: 'follow-up', createdAt: 1700500000000 })]
+                    }
+                },
+                { name: 'Lee Park', url: LEE, outreach: { status: 'sent', entries: { 0: entry() } } },
+                { name: 'Ann Lee', url: 'https://www.linkedin.com/in/ann-lee/', outreach: 'replied' }
+            ]
+        }), 'contacts.json');
+        const merged = plain(mergeImportedProfiles(empty(), imported));
+
+        assert.strictEqual(merged.report.added, 3);
+        assert.strictEqual(merged.log[JANE].status, 'drafted');
+        assert.deepStrictEqual(merged.log[JANE].entries, [entry(), entry({ kind: 'follow-up', createdAt: 1700500000000 })]);
+        assert.strictEqual(merged.log[LEE].status, 'sent');
+        assert.deepStrictEqual(merged.log[LEE].entries, []);
+        assert.deepStrictEqual(Object.keys(merged.log), [JANE, LEE]);
+    });
+
+    test('an update only takes a known status over the local one', () => {
+        const current = {
+            savedProfiles: [{ name: 'Jane Doe', url: JANE, list: 'Bankers' }],
+            profileLists: ['Bankers'],
+            log: { [JANE]: { url: JANE, name: 'Jane Doe', headline: '', status: 'sent', entries: [entry()] } }
+        };
+        const update = (status) => plain(mergeImportedProfiles(current, {
+            lists: [],
+            profiles: [{ name: 'Jane Doe', url: JANE, outreach: { status, entries: [] } }]
+        }, { conflict: 'update' })).log[JANE];
+
+        assert.strictEqual(update('bogus').status, 'sent');
+        assert.strictEqual(update('meeting').status, 'meeting');
+        assert.deepStrictEqual(update('meeting').entries, [entry()]);
+    });
+});
@@ -0,0 +1,213 @@
+// scraper.js against saved page fixtures: which strategy tier each field resolves from, the parsed
+// sections, and the per-field scrape report.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, plain } = require('./helpers/extension');
+
+const scrape = (fixture, options) => {
+    const get = loadPage(fixture, ['scraper.js'], options);
+    return { get, ...plain(get('scrapeProfileWithReport()')) };
+};
+
+describe('current layout (css strategies)', () => {
+    const { get, profile, report } = scrape('profile-current.html');
+
+    test('finds every field with its first strategy', () => {
+        for (const field of ['name', 'headline', 'location', 'about', 'experiences', 'education', 'certifications', 'volunteer', 'skills', 'activity']) {
+            assert.strictEqual(report[field].found, true, field);
+            assert.strictEqual(report[field].kind, 'css', field);
+            assert.strictEqual(report[field].confidence, 0.9, field);
+            assert.strictEqual(report[field].tried.length, 1, field);
+        }
+        assert.deepStrictEqual(get('getScrapeWarnings(scrapeProfileWithReport().report)').length, 0);
+    });
+
+    test('reads the top card', () => {
+        assert.strictEqual(profile.name, 'Jane Doe');
+        assert.strictEqual(profile.headline, "Investment Banking Analyst at Evercore | Yale '21");
+        assert.strictEqual(profile.location, 'New York, New York, United States');
+        assert.match(profile.about, /^Analyst covering technology M&A/);
+    });
+
+    test('splits a grouped experience entry into its roles', () => {
+        assert.deepStrictEqual(profile.experiences.map(({ title, company, companyUrl, dates, duration }) => ({ title, company, companyUrl, dates, duration })), [
+            { title: 'Investment Banking Analyst', company: 'Evercore', companyUrl: 'https://www.linkedin.com/company/evercore/', dates: 'Jul 2022 - Present', duration: '2 yrs 4 mos' },
+            { title: 'Summer Analyst', company: 'Evercore', companyUrl: 'https://www.linkedin.com/company/evercore/', dates: 'Jun 2021 - Aug 2021', duration: '3 mos' },
+            { title: 'Summer Analyst', company: 'Goldman Sachs', companyUrl: 'https://www.linkedin.com/company/goldman-sachs/', dates: 'Jun 2020 - Aug 2020', duration: '3 mos' }
+        ]);
+        assert.match(profile.experiences[0].description, /^Technology M&A coverage/);
+        assert.strictEqual(profile.experience, 'Investment Banking Analyst at Evercore');
+    });
+
+    test('parses the other sections', () => {
+        assert.deepStrictEqual(profile.education, [{
+            school: 'Yale University',
+            degree: 'Bachelor of Arts - BA, Economics',
+            dates: '2017 - 2021',
+            activities: 'Yale Finance Club, Varsity Rowing',
+            description: ''
+        }]);
+        assert.deepStrictEqual(profile.certifications, [{ name: 'SIE Exam', issuer: 'FINRA', issued: 'Issued Jan 2022' }]);
+        assert.deepStrictEqual(profile.volunteer, [{ role: 'Tutor', organization: 'New Haven Reads', dates: 'Sep 2018 - May 2021', description: '' }]);
+        assert.deepStrictEqual(profile.skills, ['Financial Modeling', 'Valuation']);
+        assert.deepStrictEqual(profile.activity, ['Thrilled to share that our team advised on the largest semiconductor deal of the year.']);
+    });
+
+    test('finds the action panel, mutual connections, and that this is not the own profile', () => {
+        assert.strictEqual(get('resolveField("actionPanel").value.className'), 'pvs-profile-actions');
+        assert.strictEqual(get('resolveField("mutualConnections").value'), 'John Smith, Ann Lee, and 12 other mutual connections');
+
+        const own = plain(get('resolveField("ownProfile").report'));
+        assert.strictEqual(own.found, false);
+        assert.strictEqual(own.tried.length, 5);
+    });
+});
+
+describe('redesigned layout (aria strategies)', () => {
+    const { get, profile, report } = scrape('profile-landmarks.html');
+
+    test('falls back from the class selectors', () => {
+        assert.strictEqual(profile.name, 'Jane Doe');
+        assert.deepStrictEqual(report.name.tried, ['h1.text-heading-xlarge', 'h1']);
+        assert.strictEqual(report.name.kind, 'css');
+
+        assert.strictEqual(profile.headline, 'Investment Banking Analyst at Evercore');
+        assert.strictEqual(report.headline.kind, 'aria');
+        assert.strictEqual(report.headline.confidence, 0.7);
+
+        assert.strictEqual(profile.about, 'Analyst covering technology M&A, writing about semiconductor deals.');
+        assert.strictEqual(report.about.strategy, 'section heading "About"');
+    });
+
+    test('finds sections by their headings', () => {
+        assert.strictEqual(report.experiences.kind, 'aria');
+        assert.deepStrictEqual(report.experiences.tried, ['#experience', 'section heading "Experience"']);
+        assert.deepStrictEqual(profile.experiences.map(({ title, company, dates }) => ({ title, company, dates })), [
+            { title: 'Investment Banking Analyst', company: 'Evercore', dates: 'Jul 2022 - Present' }
+        ]);
+
+        assert.strictEqual(report.education.kind, 'aria');
+        assert.strictEqual(profile.education[0].school, 'Yale University');
+        assert.strictEqual(profile.education[0].degree, '');
+        assert.deepStrictEqual(profile.skills, ['Valuation']);
+    });
+
+    test('reports what it could not find', () => {
+        assert.strictEqual(profile.location, '');
+        assert.deepStrictEqual(report.location, {
+            field: 'location', found: false, kind: null, strategy: null, confidence: 0,
+            tried: ['.text-body-small.inline.t-black--light.break-words']
+        });
+        assert.deepStrictEqual(profile.certifications, []);
+        assert.strictEqual(report.certifications.found, false);
+        assert.strictEqual(get('getScrapeWarnings(scrapeProfileWithReport().report)').length, 0);
+    });
+
+    test('finds the action panel from the Message button label', () => {
+        const { value, report: panel } = get('resolveField("actionPanel")');
+        assert.strictEqual(value.className, 'actions');
+        assert.strictEqual(panel.kind, 'aria');
+    });
+});
+
+describe('unrendered page (heuristic strategies)', () => {
+    const { get, profile, report } = scrape('profile-minimal.html');
+
+    test('falls back to the title and meta description', () => {
+        assert.strictEqual(profile.name, 'Jane Doe');
+        assert.strictEqual(report.name.kind, 'heuristic');
+        assert.strictEqual(report.name.confidence, 0.4);
+        assert.strictEqual(profile.headline, "Investment Banking Analyst at Evercore");
+        assert.strictEqual(report.headline.strategy, 'meta description');
+    });
+
+    test('guesses the current role from the headline', () => {
+        assert.deepStrictEqual(profile.experiences, [
+            { title: 'Investment Banking Analyst', company: 'Evercore', companyUrl: '', dates: '', duration: '', description: '' }
+        ]);
+        assert.strictEqual(report.experiences.kind, 'heuristic');
+    });
+
+    test('warns about key fields that only a heuristic found', () => {
+        const warnings = plain(get('getScrapeWarnings(scrapeProfileWithReport().report)'));
+        assert.deepStrictEqual(warnings.map(entry => entry.field), ['name', 'headline', 'experiences']);
+    });
+
+    test('finds the action panel from the button text', () => {
+        const { value, report: panel } = get('resolveField("actionPanel")');
+        assert.strictEqual(value.className, 'loading-shell');
+        assert.strictEqual(panel.kind, 'heuristic');
+    });
+});
+
+describe('scrape report', () => {
+    test('marks missing key fields and keeps the defaults', () => {
+        const { get, profile, report } = scrape('profile-minimal.html');
+        get('document.title = ""; document.querySelector("meta[name=description]").remove()');
+
+        const empty = plain(get('scrapeProfileWithReport()'));
+        assert.strictEqual(empty.profile.name, '');
+        assert.deepStrictEqual(empty.profile.experiences, []);
+        assert.strictEqual(empty.profile.experience, 'See profile for details');
+        assert.deepStrictEqual(empty.report.name.tried, ['h1.text-heading-xlarge', 'h1', 'document title']);
+        assert.deepStrictEqual(plain(get('getScrapeWarnings(scrapeProfileWithReport().report)')).map(entry => [entry.field, entry.found]),
+            [['name', false], ['headline', false], ['experiences', false]]);
+
+        // The first scrape of the same page still had them
+        assert.strictEqual(profile.name, 'Jane Doe');
+        assert.strictEqual(report.name.found, true);
+    });
+
+    test('reports a throwing strategy as tried and moves on', () => {
+        const get = loadPage('profile-current.html', ['scraper.js']);
+        get(`registerStrategy('name', { kind: 'css', describe: 'broken', extract: () => { throw new Error('gone'); } }, true)`);
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            const { value, report } = plain(get('resolveField("name")'));
+            assert.strictEqual(value, 'Jane Doe');
+            assert.deepStrictEqual(report.tried, ['broken', 'h1.text-heading-xlarge']);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
+
+describe('own profile', () => {
+    test('is detected from the edit intro link, then the button labels', () => {
+        const get = loadPage('profile-own.html', ['scraper.js'], { url: 'https://www.linkedin.com/in/sam-sender/' });
+        assert.strictEqual(get('resolveField("ownProfile").report.kind'), 'css');
+
+        get('document.querySelector("a[href*=\'/edit/intro\']").remove()');
+        const { report } = plain(get('resolveField("ownProfile")'));
+        assert.strictEqual(report.found, true);
+        assert.strictEqual(report.kind, 'aria');
+    });
+});
+
+describe('company page', () => {
+    const get = loadPage('company-about.html', ['scraper.js'], { url: 'https://www.linkedin.com/company/evercore/about/' });
+
+    test('reads the about tab details and posts', () => {
+        assert.strictEqual(get('isCompanyPage()'), true);
+        assert.deepStrictEqual(plain(get('scrapeCompanyPage()')), {
+            name: 'Evercore',
+            about: 'Evercore is a premier global independent investment banking advisory firm.',
+            industry: 'Investment Banking',
+            size: '1,001-5,000 employees',
+            headquarters: 'New York, NY',
+            website: 'https://www.evercore.com',
+            posts: ['We advised on the largest semiconductor acquisition of the year.', 'Welcome to our new analyst class!']
+        });
+    });
+
+    test('falls back to the top card summary without the details list', () => {
+        get('document.querySelector("dl").remove()');
+        const company = plain(get('scrapeCompanyPage()'));
+        assert.strictEqual(company.industry, 'Investment Banking');
+        assert.strictEqual(company.size, '1,001-5,000 employees');
+        assert.strictEqual(company.headquarters, '');
+        assert.strictEqual(get('resolveField("companySize").report.kind'), 'heuristic');
+    });
+});